@@ -1,17 +1,14 @@
 import { TemplateLoader } from '../../src/config/template_loader.mjs';
 import { createBookPageByPage } from '../../src/core/createbook.mjs';
-import { createDrakeConfig } from '../../src/config/templates/drake_legacy.js';
 import { shortVersion, longVersion } from './config.js';
 
-async function createDrakeLegacy(options = {}) {
+async function createDrakeLegacy(options = {}, runOptions = {}) {
     console.log('Starting Drake Legacy book creation...');
     console.log('Using configuration:', options);
 
-    // Create configuration with custom options
-    const drakeConfig = createDrakeConfig(options);
-    
+    // Build the template from the custom options (tone, pacing, page length...)
     const loader = new TemplateLoader();
-    const bookConfig = await loader.initializeBook('drake_legacy', drakeConfig);
+    const bookConfig = await loader.initializeBook('drake_legacy', options);
 
     try {
         const result = await createBookPageByPage(
@@ -19,7 +16,8 @@ async function createDrakeLegacy(options = {}) {
             bookConfig.chapterStructure.totalChapters,
             bookConfig.chapterStructure.pagesPerChapter,
             null,
-            'drake_legacy'  // specify book name for output
+            'drake_legacy',  // specify book name for output
+            { ...runOptions, bookConfig }
         );
 
         console.log("\nBook creation completed!");
@@ -36,6 +34,9 @@ async function createDrakeLegacy(options = {}) {
 const args = process.argv.slice(2);
 const configArg = args.find(arg => arg.startsWith('--config='));
 const configType = configArg ? configArg.split('=')[1] : 'default';
+const useMocks = args.includes('--mock'); // Offline run with the mock provider
+const cassetteArg = args.find(arg => arg.startsWith('--cassette=')); // record, replay or auto
+const cassetteMode = cassetteArg ? cassetteArg.split('=')[1] : undefined;
 
 // Select configuration based on argument
 let config = {};
@@ -51,7 +52,7 @@ switch(configType) {
 }
 
 // Create the book
-createDrakeLegacy(config)
+createDrakeLegacy(config, { useMocks, cassetteMode })
     .then(() => console.log('Book creation process completed successfully'))
     .catch(error => {
         console.error('Book creation failed:', error);
@@ -1,4 +1,7 @@
 export function createDrakeConfig(options = {}) {
+    const tone = options.tone || "Serious and dramatic";
+    const pacing = options.pacing || "Balanced";
+
     // Default Drake Legacy settings
     const defaultConfig = {
         metadata: {
@@ -7,6 +10,7 @@ export function createDrakeConfig(options = {}) {
             genre: "Fantasy",
             subgenre: ["Supernatural", "Martial Arts", "Coming of Age"],
             targetAudience: "Young Adult",
+            language: "en",
             series: {
                 name: "Drake Legacy",
                 book: 1,
@@ -22,20 +26,67 @@ export function createDrakeConfig(options = {}) {
                 secondary: "Lili'Van (pocket dimension)",
                 time: "Contemporary"
             },
+            keywords: ["martial arts", "Deaf protagonist", "secret society", "coming of age", "fantasy"],
             synopsis: "John Drake, a 13-year-old Deaf boy, discovers his deceased father's connection to Lilian, a secret society in a pocket dimension called Lili'Van. Training in martial arts and uncovering mystical abilities, John must navigate both worlds while seeking the truth about his father's past."
         },
+        world: {
+            locations: [
+                { name: "Lili'Van", description: "A pocket dimension hidden alongside our world, home of the secret society Lilian" }
+            ],
+            organizations: [
+                { name: "Lilian", description: "A secret society based in Lili'Van, to which John's deceased father was connected" }
+            ],
+            rules: [
+                { name: "Mystical abilities", description: "Abilities John uncovers alongside his martial arts training" }
+            ]
+        },
+        // How each character communicates, checked against styleGuide.dialogueFormat
+        voices: [
+            {
+                name: "John Drake",
+                aliases: ["John"],
+                communication: "signed",
+                vocabulary: ["Short, direct sentences", "Jeet-Kune-Do terms"],
+                quirks: ["Reads lips but always answers in sign", "Fingerspells names he has no sign for"]
+            },
+            {
+                name: "Mr. Reynolds",
+                aliases: ["Reynolds"],
+                communication: "both",
+                vocabulary: ["Measured, old-fashioned phrasing"],
+                quirks: ["Signs slowly and deliberately", "Answers questions with questions"]
+            }
+        ],
+        // Audiobook narration export, see src/core/narration.mjs
+        narration: {
+            signedDialogue: "announced",
+            lexicon: {
+                "Lili'Van": "LIL-ee vahn",
+                "Lilian": "LIL-ee-an",
+                "Seelee Van": "SEE-lee vahn",
+                "Jeet-Kune-Do": "jeet koon doh"
+            }
+        },
+        systemPrompt: `You are writing "Drake Legacy", a story about John Drake, a 13-year-old Deaf boy training in Jeet-Kune-Do who discovers his father's connection to a secret society.
+
+Key elements to maintain:
+- Focus on martial arts and mystical abilities
+- Show John's unique way of perceiving the world through movement and sight
+- Mark signed dialogue with <> and spoken dialogue with ""
+- Balance action scenes with character development
+- Maintain a ${tone.toLowerCase()} tone and ${pacing.toLowerCase()} pacing`,
         chapterStructure: {
             totalChapters: 25,
             pagesPerChapter: 7,
             format: {
-                pageLength: 500,
+                pageLength: options.pageLength || 500,
                 dialogueStyle: "signed",
                 sceneBreakMarker: "* * *"
             }
         },
         styleGuide: {
-            tone: "Serious and dramatic",
-            pacing: options.pacing || "Balanced",
+            tone,
+            pacing,
             pointOfView: "Third person limited",
             dialogueFormat: {
                 signed: '<>',
@@ -47,15 +98,13 @@ export function createDrakeConfig(options = {}) {
     // Merge provided options with defaults
     return {
         ...defaultConfig,
+        // Front and back matter of the compiled book, see src/core/book_matter.mjs.
+        // Only what the author provides; the template adds none of its own.
+        bookMatter: options.bookMatter,
         chapterStructure: {
             ...defaultConfig.chapterStructure,
             totalChapters: options.totalChapters || defaultConfig.chapterStructure.totalChapters,
             pagesPerChapter: options.pagesPerChapter || defaultConfig.chapterStructure.pagesPerChapter
-        },
-        styleGuide: {
-            ...defaultConfig.styleGuide,
-            tone: options.tone || defaultConfig.styleGuide.tone,
-            pacing: options.pacing || defaultConfig.styleGuide.pacing
         }
     };
 } 
\ No newline at end of file
@@ -0,0 +1,645 @@
+import { BookManager } from './book_manager.mjs';
+import { PromptBuilder } from './prompt_builder.mjs';
+import { parseOutlineResponse } from './outline.mjs';
+import { reviseForContinuity } from './continuity.mjs';
+import { regenerateForRepetition } from './repetition.mjs';
+import { rewriteDialogue } from './dialogue.mjs';
+import { FileHandler } from '../utils/file_handler.mjs';
+import { createProvider } from '../providers/provider_factory.mjs';
+import { UsageTrackingProvider } from '../providers/usage_tracking_provider.mjs';
+
+export const BATCH_ENDPOINT = '/v1/chat/completions';
+export const BATCH_TERMINAL_STATUSES = ['completed', 'failed', 'expired', 'cancelled'];
+
+const BATCH_KINDS = ['outline', 'chapter', 'page', 'consistency', 'edit', 'translate'];
+
+// custom_id of a batch request: the kind of request followed by its position,
+// e.g. "outline", "chapter-3" (a whole chapter), "page-3-2", "edit-3-2"
+export function batchCustomId(kind, chapter = null, page = null) {
+    return [kind, chapter, page].filter(part => part !== null).join('-');
+}
+
+export function parseCustomId(customId) {
+    const match = /^([a-z]+)(?:-(\d+))?(?:-(\d+))?$/.exec(customId || '');
+    if (!match || !BATCH_KINDS.includes(match[1])) {
+        return null;
+    }
+    return {
+        kind: match[1],
+        chapter: match[2] ? parseInt(match[2], 10) : null,
+        page: match[3] ? parseInt(match[3], 10) : null
+    };
+}
+
+// Jobs saved before stages existed wrote whole chapters
+export function batchJobStage(job) {
+    return job.stage || 'chapters';
+}
+
+export function parseJsonl(text) {
+    return text.split('\n')
+        .filter(line => line.trim())
+        .map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid JSONL on line ${index + 1}: ${error.message}`);
+            }
+        });
+}
+
+// Splits a chapter written in one request into `pages` pages of similar
+// length, breaking between paragraphs (or sentences for very short chapters)
+export function splitIntoPages(text, pages) {
+    let units = text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+    let separator = '\n\n';
+    if (units.length < pages) {
+        units = (text.match(/[^.!?]+[.!?]+["'\u201d]?|[^.!?]+$/g) || []).map(sentence => sentence.trim()).filter(Boolean);
+        separator = ' ';
+    }
+
+    const wordCount = unit => unit.split(/\s+/).length;
+    const totalWords = units.reduce((total, unit) => total + wordCount(unit), 0);
+    const result = [];
+    let current = [];
+    let wordsSoFar = 0;
+    units.forEach((unit, index) => {
+        current.push(unit);
+        wordsSoFar += wordCount(unit);
+        const pagesLeft = pages - result.length - 1;
+        const unitsLeft = units.length - index - 1;
+        if (pagesLeft > 0 && (wordsSoFar >= totalWords * (result.length + 1) / pages || unitsLeft === pagesLeft)) {
+            result.push(current.join(separator));
+            current = [];
+        }
+    });
+    if (current.length) {
+        result.push(current.join(separator));
+    }
+    while (result.length < pages) {
+        result.push('');
+    }
+    return result;
+}
+
+// Writes books through the Batch API: requests are uploaded as a JSONL file,
+// and the output (and error) files are mapped back to the book by custom_id.
+// Written text is stored with saveProgress like pages written one by one.
+//
+// Work is done in stages, each one batch job at a time. The job in flight is
+// kept in progressState.batchJob
+//   { id, stage, inputFileId, submittedAt, status, requestCount, attempt }
+// so a later run can re-attach to it; finished jobs go to progressState.batchHistory
+// and finished requests to progressState.batchStages[stage].done, each one as
+// soon as it is saved. A run that stops part way through a job's results
+// re-attaches to it and only processes the results not saved yet.
+export class BatchBookManager extends BookManager {
+    constructor(bookName, options = {}) {
+        super(bookName, options);
+        this.provider = new UsageTrackingProvider(createProvider(options), this.usageLedger);
+        this.prompts = new PromptBuilder(options.bookConfig);
+        this.model = options.model || 'gpt-4-turbo';
+        this.batchTasks = [];
+    }
+
+    createTask(customId, messages, options = {}) {
+        return {
+            custom_id: customId,
+            method: 'POST',
+            url: BATCH_ENDPOINT,
+            body: { model: this.model, messages, ...options }
+        };
+    }
+
+    // One request per chapter that is not fully written yet
+    createBatchTasks(chapters, pagesPerChapter) {
+        this.batchTasks = [];
+        for (let chapter = 1; chapter <= chapters; chapter++) {
+            if (this.isChapterWritten(chapter, pagesPerChapter)) {
+                continue;
+            }
+            this.batchTasks.push(this.createTask(batchCustomId('chapter', chapter), this.prompts.chapterMessages({
+                chapter,
+                pagesPerChapter,
+                outline: this.outline,
+                storyContext: this.storyMemory.buildContext(this.bookContent, chapter, 1, this.outline),
+                timeline: this.timeline.describe(chapter),
+                world: this.world.describe()
+            }), { temperature: 0.7, max_tokens: 4000 }));
+        }
+        return this.batchTasks;
+    }
+
+    hasOutline() {
+        return typeof this.outline === 'string' ? this.outline.length > 0 : Object.keys(this.outline || {}).length > 0;
+    }
+
+    createOutlineTasks(theme, chapters, pagesPerChapter) {
+        return [this.createTask('outline', this.prompts.outlineMessages(theme, chapters, pagesPerChapter), {
+            response_format: { type: 'json_object' }
+        })];
+    }
+
+    // One wave: the given page of every chapter that still lacks it. Earlier
+    // waves are summarized by then, so each page sees what came before it.
+    createPageTasks(chapters, page, pagesPerChapter) {
+        const tasks = [];
+        for (let chapter = 1; chapter <= chapters; chapter++) {
+            if (this.hasPage(chapter, page)) {
+                continue;
+            }
+            tasks.push(this.createTask(batchCustomId('page', chapter, page), this.prompts.pageMessages({
+                chapter,
+                page,
+                pagesPerChapter,
+                outline: this.outline,
+                storyContext: this.storyMemory.buildContext(this.bookContent, chapter, page, this.outline),
+                timeline: this.timeline.describe(chapter, page),
+                world: this.world.describe()
+            }), { temperature: 0.7, max_tokens: this.prompts.pageMaxTokens }));
+        }
+        return tasks;
+    }
+
+    createConsistencyTasks(chapters, pagesPerChapter, done) {
+        const tasks = [];
+        for (let chapter = 1; chapter <= chapters; chapter++) {
+            const customId = batchCustomId('consistency', chapter);
+            if (!done.has(customId)) {
+                const { messages, ...options } = this.continuity.requestParams({
+                    chapter,
+                    pages: this.chapterPages(chapter, pagesPerChapter),
+                    content: this.chapterText(chapter, pagesPerChapter),
+                    outline: this.outline,
+                    storyBible: this.storyBible,
+                    plotPoints: Array.from(this.plotPoints)
+                });
+                tasks.push(this.createTask(customId, messages, options));
+            }
+        }
+        return tasks;
+    }
+
+    createProofreadTasks(chapters, pagesPerChapter, done) {
+        return this.pageTasks(chapters, pagesPerChapter, 'edit', done, content => this.editMessages(content));
+    }
+
+    createTranslationTasks(chapters, pagesPerChapter, language, done) {
+        return this.pageTasks(chapters, pagesPerChapter, 'translate', done, content => this.translateMessages(content, language));
+    }
+
+    pageTasks(chapters, pagesPerChapter, kind, done, messages) {
+        const tasks = [];
+        for (let chapter = 1; chapter <= chapters; chapter++) {
+            for (let page = 1; page <= pagesPerChapter; page++) {
+                const customId = batchCustomId(kind, chapter, page);
+                if (this.hasPage(chapter, page) && !done.has(customId)) {
+                    tasks.push(this.createTask(customId, messages(this.bookContent[chapter][page])));
+                }
+            }
+        }
+        return tasks;
+    }
+
+    chapterPages(chapter, pagesPerChapter) {
+        const pages = [];
+        for (let page = 1; page <= pagesPerChapter; page++) {
+            if (this.hasPage(chapter, page)) {
+                pages.push(page);
+            }
+        }
+        return pages;
+    }
+
+    // The chapter's pages, each headed "Page N:" so a check can say which
+    // page an issue is on
+    chapterText(chapter, pagesPerChapter) {
+        return this.chapterPages(chapter, pagesPerChapter)
+            .map(page => `Page ${page}:\n${this.bookContent[chapter][page]}`)
+            .join('\n\n');
+    }
+
+    // Uploads the requests, starts the job and saves it in the book state
+    // before anything else can fail
+    async submitBatchJob(tasks = this.batchTasks, attempt = 1, stage = 'chapters') {
+        const file = await this.provider.uploadFile({
+            file: Buffer.from(tasks.map(task => JSON.stringify(task)).join('\n')),
+            purpose: 'batch',
+            filename: `${this.bookName}_${stage}_${Date.now()}.jsonl`
+        });
+
+        const batch = await this.provider.createBatch({
+            input_file_id: file.id,
+            endpoint: BATCH_ENDPOINT,
+            completion_window: '24h'
+        });
+
+        this.progressState.batchJob = {
+            id: batch.id,
+            stage,
+            inputFileId: file.id,
+            submittedAt: new Date().toISOString(),
+            status: batch.status,
+            requestCount: tasks.length,
+            attempt
+        };
+        await this.saveState();
+        return batch;
+    }
+
+    // Submits the given requests of a finished job again, copied from its input file
+    async resubmitRequests(batch, customIds, attempt, stage = 'chapters') {
+        const input = parseJsonl(await this.provider.getFileContent(batch.input_file_id));
+        const tasks = input.filter(task => customIds.includes(task.custom_id));
+        console.log(`Resubmitting ${tasks.length} requests from batch ${batch.id} (attempt ${attempt})`);
+        return this.submitBatchJob(tasks, attempt, stage);
+    }
+
+    // Runs one stage to the end: submits createTasks(done) (or re-attaches to
+    // the stage's job in flight), waits, hands the finished batch to
+    // processResults and resubmits what failed. createTasks gets the custom_ids
+    // the stage already finished and returns no tasks once there is nothing left. Resolves with null once the
+    // stage is complete, or with the reason the book has to pause.
+    //   options: { wait, pollIntervalMs, sleep, maxBatchAttempts }
+    async runBatchStage(stage, createTasks, processResults, options = {}) {
+        const maxAttempts = options.maxBatchAttempts ?? 3;
+        this.progressState.batchStages = this.progressState.batchStages || {};
+        const stageState = this.progressState.batchStages[stage] = this.progressState.batchStages[stage] || { done: [] };
+
+        const inFlight = this.progressState.batchJob;
+        if (inFlight && batchJobStage(inFlight) !== stage) {
+            throw new Error(`Batch ${inFlight.id} for stage ${inFlight.stage} is still in flight`);
+        }
+        if (inFlight) {
+            console.log(`Re-attaching to batch ${inFlight.id} (${stage}) submitted at ${inFlight.submittedAt}`);
+        } else {
+            const tasks = createTasks(new Set(stageState.done));
+            if (tasks.length) {
+                const submitted = await this.submitBatchJob(tasks, 1, stage);
+                console.log(`Batch job submitted: ${submitted.id} (${stage}, ${tasks.length} requests)`);
+            }
+        }
+
+        while (this.progressState.batchJob) {
+            const job = this.progressState.batchJob;
+            let batch;
+            if (options.wait === false) {
+                batch = await this.checkBatchJob();
+                if (!BATCH_TERMINAL_STATUSES.includes(batch.status)) {
+                    return `Waiting for batch ${job.id} (${batch.status})`;
+                }
+            } else {
+                batch = await this.waitForBatchJob(options);
+            }
+
+            const results = await processResults(batch);
+            this.finishBatchJob(batch, results);
+            await this.saveState();
+
+            const retry = [...results.failed.map(entry => entry.customId), ...results.missing];
+            if (batch.status === 'failed') {
+                const errors = (batch.errors?.data || []).map(error => error.message).join('; ');
+                return `Batch ${batch.id} failed${errors ? `: ${errors}` : ''}`;
+            }
+            if (batch.status === 'cancelled') {
+                return `Batch ${batch.id} was cancelled`;
+            }
+            if (retry.length && job.attempt >= maxAttempts) {
+                return `${retry.length} batch requests still unanswered after ${job.attempt} attempts: ${retry.join(', ')}`;
+            }
+            if (retry.length) {
+                await this.resubmitRequests(batch, retry, job.attempt + 1, stage);
+            }
+        }
+
+        return null;
+    }
+
+    // Looks the saved job up once and records its status
+    async checkBatchJob() {
+        const job = this.progressState.batchJob;
+        const batch = await this.provider.retrieveBatch(job.id);
+        if (batch.status !== job.status) {
+            console.log(`Batch ${job.id} status: ${batch.status}`);
+            job.status = batch.status;
+            await this.saveState();
+        }
+        return batch;
+    }
+
+    // Polls the saved job until it reaches a terminal status
+    async waitForBatchJob({ pollIntervalMs = 60000, sleep = ms => new Promise(resolve => setTimeout(resolve, ms)) } = {}) {
+        for (;;) {
+            const batch = await this.checkBatchJob();
+            if (BATCH_TERMINAL_STATUSES.includes(batch.status)) {
+                return batch;
+            }
+            await sleep(pollIntervalMs);
+        }
+    }
+
+    // Asks the API to stop the job in flight; results it already finished
+    // are kept when the next run picks the job up
+    async cancelBatchJob() {
+        const job = this.progressState.batchJob;
+        if (!job) {
+            return null;
+        }
+        const batch = await this.provider.cancelBatch(job.id);
+        job.status = batch.status;
+        job.cancelledAt = new Date().toISOString();
+        await this.saveState();
+        console.log(`Batch ${job.id} cancellation requested (${batch.status})`);
+        return batch;
+    }
+
+    // custom_ids the stage of the job in flight has already saved
+    batchStageDone() {
+        const job = this.progressState.batchJob;
+        return job ? this.progressState.batchStages?.[batchJobStage(job)]?.done || [] : [];
+    }
+
+    // Records a result of the job in flight as saved, before the next one is
+    // processed, so it is not processed (and paid for) again if a later one fails
+    async markBatchSaved(customId) {
+        const job = this.progressState.batchJob;
+        const stageState = job && this.progressState.batchStages?.[batchJobStage(job)];
+        if (stageState && !stageState.done.includes(customId)) {
+            stageState.done.push(customId);
+        }
+        await this.saveState();
+    }
+
+    finishBatchJob(batch, { saved, failed, missing }) {
+        const job = this.progressState.batchJob;
+        this.progressState.batchHistory = [
+            ...(this.progressState.batchHistory || []),
+            {
+                ...job,
+                status: batch.status,
+                finishedAt: new Date().toISOString(),
+                saved: saved.length,
+                failed: failed.map(entry => entry.customId),
+                missing
+            }
+        ];
+        delete this.progressState.batchJob;
+    }
+
+    // Output and error lines of a finished batch
+    async downloadBatchResults(batch) {
+        const output = batch.output_file_id
+            ? parseJsonl(await this.provider.getFileContent(batch.output_file_id))
+            : [];
+        const errors = batch.error_file_id
+            ? parseJsonl(await this.provider.getFileContent(batch.error_file_id))
+            : [];
+        return [...output, ...errors];
+    }
+
+    // Splits a finished batch into succeeded requests ({ customId, position,
+    // content }, in book order), failed ones ({ customId, ...position, message })
+    // and missing custom_ids that got no result at all (jobs that expired or
+    // were cancelled part way). Results the stage already saved are left out.
+    // Usage of the succeeded requests is recorded at the batch price.
+    async collectBatchResults(batch) {
+        const lines = await this.downloadBatchResults(batch);
+        const done = new Set(this.batchStageDone());
+        const succeeded = [];
+        const failed = [];
+
+        let missing = [];
+        if (batch.input_file_id) {
+            const answered = new Set(lines.map(line => line.custom_id));
+            missing = parseJsonl(await this.provider.getFileContent(batch.input_file_id))
+                .map(task => task.custom_id)
+                .filter(customId => !answered.has(customId));
+        }
+
+        for (const line of lines) {
+            const position = parseCustomId(line.custom_id);
+            if (!position) {
+                console.warn(`Ignoring batch result with unknown custom_id ${line.custom_id}`);
+                continue;
+            }
+            if (done.has(line.custom_id)) {
+                continue;
+            }
+
+            const body = line.response?.body;
+            if (line.error || line.response?.status_code !== 200 || !body?.choices?.length) {
+                const message = line.error?.message || body?.error?.message || `status ${line.response?.status_code}`;
+                console.warn(`Batch request ${line.custom_id} failed: ${message}`);
+                failed.push({ customId: line.custom_id, ...position, message });
+                continue;
+            }
+
+            this.usageLedger.record(body.model, body.usage, {
+                task: position.kind,
+                chapter: position.chapter,
+                page: position.page,
+                batch: true
+            });
+            succeeded.push({ customId: line.custom_id, position, content: body.choices[0].message.content });
+        }
+
+        succeeded.sort((a, b) => (a.position.chapter || 0) - (b.position.chapter || 0) || (a.position.page || 0) - (b.position.page || 0));
+        return { succeeded, failed, missing };
+    }
+
+    // Stores written chapters and pages through saveProgress and returns
+    // { saved, failed, missing }. Results repeating earlier pages are
+    // regenerated live; with review, each result is also checked for
+    // consistency and proofread live. Dialogue in the wrong format is
+    // rewritten last, before the result is saved.
+    async processBatchResults(batch, pagesPerChapter, { review = true } = {}) {
+        const { succeeded, failed, missing } = await this.collectBatchResults(batch);
+        const saved = [];
+
+        for (const { customId, position, content } of succeeded) {
+            const { chapter, page } = position;
+            const request = this.revisionRequest(chapter, page, pagesPerChapter);
+            const repetition = await this.reviewRepetition({ chapter, page, content }, findings =>
+                regenerateForRepetition(this.provider, this.prompts, request, findings));
+            let consistency = null;
+            let text = repetition.content;
+            if (review) {
+                const result = await this.reviewContinuity(this.provider, { chapter, page, content: text }, (draft, issues) =>
+                    reviseForContinuity(this.provider, this.prompts, this.continuity.policy.action, request, draft, issues));
+                consistency = result.issues;
+                console.log(`Continuity check for chapter ${chapter}: ${consistency.length} issues`);
+                text = await this.editAndProofread(result.content, chapter);
+            }
+            const dialogue = await this.reviewDialogue({ chapter, page, content: text }, (draft, findings) =>
+                rewriteDialogue(this.provider, this.prompts, request, draft, findings));
+            text = dialogue.content;
+
+            // A whole chapter only fills in the pages it is still missing; pages
+            // written before (by an earlier run, or one by one) are kept
+            const pages = page === null
+                ? splitIntoPages(text, pagesPerChapter).map((pageText, index) => ({ page: index + 1, text: pageText }))
+                    .filter(entry => !this.hasPage(chapter, entry.page))
+                : [{ page, text }];
+            for (const entry of pages) {
+                await this.storyMemory.summarizePage(this.provider, chapter, entry.page, entry.text);
+                await this.extractStoryFacts(this.provider, chapter, entry.page, entry.text);
+                await this.saveProgress(entry.text, chapter, entry.page);
+            }
+            if (this.isChapterWritten(chapter, pagesPerChapter)) {
+                await this.storyMemory.summarizeChapter(this.provider, chapter, pagesPerChapter);
+            }
+            await this.markBatchSaved(customId);
+            saved.push({ customId, ...position, consistency });
+        }
+
+        return { saved, failed, missing };
+    }
+
+    // Validates the outline answer; an invalid outline counts as a failed request
+    async processOutlineResults(batch, chapters, pagesPerChapter) {
+        const { succeeded, failed, missing } = await this.collectBatchResults(batch);
+        const saved = [];
+        for (const { customId, position, content } of succeeded) {
+            const { outline, errors } = parseOutlineResponse(content, chapters, pagesPerChapter);
+            if (outline) {
+                this.outline = outline;
+                await this.markBatchSaved(customId);
+                saved.push({ customId, ...position });
+                continue;
+            }
+            console.warn(`Outline from batch ${batch.id} rejected: ${errors.join('; ')}`);
+            failed.push({ customId, ...position, message: errors.join('; ') });
+        }
+        await this.saveState();
+        return { saved, failed, missing };
+    }
+
+    // Records the issues of each chapter in the continuity report and, as the
+    // policy says, revises the pages they point at live. An issue placed
+    // outside the chapter's checked pages is kept for the chapter as a whole
+    // and revises nothing.
+    async processConsistencyResults(batch, pagesPerChapter) {
+        const { succeeded, failed, missing } = await this.collectBatchResults(batch);
+        for (const { customId, position, content } of succeeded) {
+            const { chapter } = position;
+            const pages = this.chapterPages(chapter, pagesPerChapter);
+            const issues = this.continuity.parseIssues(content, { chapter, page: null })
+                .map(issue => issue.location.chapter === chapter && pages.includes(issue.location.page)
+                    ? issue
+                    : { ...issue, location: { chapter, page: null } });
+            const revisions = [];
+            if (this.continuity.needsRevision(issues)) {
+                for (const page of new Set(issues.map(issue => issue.location.page))) {
+                    if (page === null) {
+                        continue;
+                    }
+                    const pageIssues = issues.filter(issue => issue.location.page === page);
+                    const revised = await reviseForContinuity(this.provider, this.prompts, this.continuity.policy.action,
+                        this.revisionRequest(chapter, page, pagesPerChapter), this.bookContent[chapter][page], pageIssues);
+                    await this.saveProgress(revised, chapter, page);
+                    revisions.push({ action: this.continuity.policy.action, page, issues: pageIssues });
+                }
+            }
+            this.continuityReport.record(chapter, null, { issues, revisions });
+            await this.markBatchSaved(customId);
+        }
+        return { saved: succeeded.map(({ customId, position }) => ({ customId, ...position })), failed, missing };
+    }
+
+    // Arguments for reviseForContinuity and regenerateForRepetition; page is
+    // null for a whole chapter
+    revisionRequest(chapter, page, pagesPerChapter) {
+        return {
+            chapter,
+            page,
+            pagesPerChapter,
+            model: this.model,
+            outline: this.outline,
+            storyContext: this.storyMemory.buildContext(this.bookContent, chapter, page ?? 1, this.outline),
+            timeline: this.timeline.describe(chapter, page),
+            world: this.world.describe()
+        };
+    }
+
+    // Proofreading may still change what a page says, so a changed page is
+    // summarized and its story facts extracted again, and its chapter summary
+    // rewritten once the chapter's last proofread page is in
+    async processProofreadResults(batch, pagesPerChapter) {
+        const { succeeded, failed, missing } = await this.collectBatchResults(batch);
+        const changed = new Set();
+        for (const [index, { customId, position, content }] of succeeded.entries()) {
+            const { chapter, page } = position;
+            if (content !== this.bookContent[chapter]?.[page]) {
+                await this.storyMemory.summarizePage(this.provider, chapter, page, content);
+                await this.extractStoryFacts(this.provider, chapter, page, content);
+                changed.add(chapter);
+            }
+            await this.saveProgress(content, chapter, page);
+            const lastOfChapter = succeeded[index + 1]?.position.chapter !== chapter;
+            if (lastOfChapter && changed.has(chapter) && this.isChapterWritten(chapter, pagesPerChapter)) {
+                // The book is written by now, so the digest no longer feeds any prompt
+                await this.storyMemory.summarizeChapter(this.provider, chapter, pagesPerChapter, { updateDigest: false });
+            }
+            await this.markBatchSaved(customId);
+        }
+        return { saved: succeeded.map(({ customId, position }) => ({ customId, ...position })), failed, missing };
+    }
+
+    // Translations are kept apart from the book, in translations/<language>/
+    async processTranslationResults(batch, language) {
+        const { succeeded, failed, missing } = await this.collectBatchResults(batch);
+        for (const { customId, position, content } of succeeded) {
+            const { chapter, page } = position;
+            await FileHandler.writeFile(`${this.outputPath}/translations/${language}/chapter${chapter}/page${page}.json`, {
+                chapter,
+                page,
+                language,
+                content,
+                timestamp: new Date().toISOString()
+            });
+            await this.markBatchSaved(customId);
+        }
+        return { saved: succeeded.map(({ customId, position }) => ({ customId, ...position })), failed, missing };
+    }
+
+    editMessages(content) {
+        return [
+            {
+                role: 'system',
+                content: 'You are an expert editor and proofreader. Fix grammar, spelling, and style issues while maintaining the original voice.'
+            },
+            { role: 'user', content }
+        ];
+    }
+
+    translateMessages(content, language) {
+        return [
+            {
+                role: 'system',
+                content: `Translate the following text to ${language}, maintaining the style and tone:`
+            },
+            { role: 'user', content }
+        ];
+    }
+
+    // Structured continuity issues of the text (see ContinuityChecker)
+    async checkConsistency(content, chapter, page = null) {
+        return this.continuity.check(this.provider, {
+            chapter,
+            page,
+            content,
+            outline: this.outline,
+            storyBible: this.storyBible,
+            plotPoints: Array.from(this.plotPoints)
+        });
+    }
+
+    async editAndProofread(content, chapter) {
+        const completion = await this.provider.createChatCompletion({
+            model: this.model,
+            messages: this.editMessages(content)
+        }, { task: 'edit', chapter });
+
+        return completion.choices[0].message.content;
+    }
+}
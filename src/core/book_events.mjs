@@ -0,0 +1,72 @@
+import { EventEmitter } from 'events';
+
+export const BOOK_EVENTS = {
+    OUTLINE_READY: 'outline:ready',
+    PAGE_STARTED: 'page:started',
+    TOKEN: 'token',
+    PAGE_SAVED: 'page:saved',
+    CHAPTER_COMPLETED: 'chapter:completed',
+    COST_UPDATED: 'cost:updated',
+    PAUSED: 'paused',
+    ERROR: 'error',
+    COMPLETED: 'completed'
+};
+
+function isTerminal(event) {
+    return event.type === BOOK_EVENTS.COMPLETED
+        || event.type === BOOK_EVENTS.PAUSED
+        || (event.type === BOOK_EVENTS.ERROR && event.fatal);
+}
+
+// Publishes on any EventEmitter: once under the event's own name and once
+// under 'event' with the type included. An 'error' without listeners is not
+// re-thrown by the emitter; the run reports it through its promise instead.
+export function publishBookEvent(emitter, type, payload = {}) {
+    if (!emitter) return;
+    const event = { type, ...payload };
+    if (type !== BOOK_EVENTS.ERROR || emitter.listenerCount(type) > 0) {
+        emitter.emit(type, event);
+    }
+    emitter.emit('event', event);
+}
+
+// Progress events for one book run. Listen with .on(BOOK_EVENTS.X, ...) or
+// consume every event with `for await (const event of emitter)`; iteration
+// ends when the run completes, pauses or fails.
+export class BookEventEmitter extends EventEmitter {
+    [Symbol.asyncIterator]() {
+        const queue = [];
+        let notify = null;
+        let ended = false;
+
+        const listener = (event) => {
+            queue.push(event);
+            if (isTerminal(event)) {
+                ended = true;
+                this.off('event', listener);
+            }
+            if (notify) {
+                notify();
+                notify = null;
+            }
+        };
+        this.on('event', listener);
+
+        return {
+            next: async () => {
+                while (!queue.length) {
+                    if (ended) {
+                        return { done: true, value: undefined };
+                    }
+                    await new Promise(resolve => { notify = resolve; });
+                }
+                return { done: false, value: queue.shift() };
+            },
+            return: async () => {
+                ended = true;
+                this.off('event', listener);
+                return { done: true, value: undefined };
+            }
+        };
+    }
+}
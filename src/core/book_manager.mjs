@@ -1,24 +1,62 @@
 import fs from 'fs/promises';
 import { FileHandler } from '../utils/file_handler.mjs';
 import { StateManager } from '../utils/state_manager.mjs';
-import { Document, Packer } from 'docx';
+import { UsageLedger } from '../utils/usage_ledger.mjs';
+import { toList } from '../utils/names.mjs';
+import { chapterTitle, chapterSubtitle } from './outline.mjs';
+import { StoryMemory } from './story_memory.mjs';
+import { StoryBible } from './story_bible.mjs';
+import { StoryTimeline } from './timeline.mjs';
+import { WorldRegistry } from './world_registry.mjs';
+import { ContinuityChecker, ContinuityReport } from './continuity.mjs';
+import { RepetitionDetector, RepetitionReport } from './repetition.mjs';
+import { DialogueValidator, DialogueReport } from './dialogue.mjs';
+import { buildEpub, bookIdentifier } from './epub.mjs';
+import { buildPdf, DEFAULT_PDF_OPTIONS } from './pdf.mjs';
+import { buildMarkdownFiles } from './markdown.mjs';
+import { buildHtmlSite } from './html_site.mjs';
+import { buildBookMatter } from './book_matter.mjs';
+import { buildNarration, DEFAULT_NARRATION_OPTIONS } from './narration.mjs';
+import { buildManuscript, buildStyledDocument, styledParagraphs } from './docx.mjs';
+import { Paragraph } from 'docx';
 
 export class BookManager {
-    constructor(bookName) {
+    constructor(bookName, options = {}) {
         this.bookName = bookName;
         this.outputPath = `output/books/${bookName}`;
         this.tempPath = 'temp';
+        this.bookConfig = options.bookConfig || {};
         this.stateManager = new StateManager(bookName);
+        this.usageLedger = new UsageLedger(bookName, {
+            budget: options.budget,
+            pricing: options.pricing
+        });
+        this.storyMemory = new StoryMemory(options.memory);
+        this.storyBible = new StoryBible();
+        this.timeline = new StoryTimeline(options.timeline);
+        this.world = new WorldRegistry();
+        this.continuity = new ContinuityChecker({
+            policy: typeof options.continuity === 'object' ? options.continuity : {}
+        });
+        this.continuityReport = new ContinuityReport();
+        this.repetition = options.repetition === false ? null : new RepetitionDetector(options.repetition);
+        this.repetitionReport = new RepetitionReport();
+        this.dialogue = options.dialogue === false ? null : new DialogueValidator({
+            voices: this.bookConfig.voices,
+            dialogueFormat: this.bookConfig.styleGuide?.dialogueFormat,
+            ...(typeof options.dialogue === 'object' ? options.dialogue : { rewrite: options.dialogue === true })
+        });
+        this.dialogueReport = new DialogueReport();
         this.progressState = {
             lastCompletedChapter: 0,
             lastCompletedPage: 0,
             status: 'not_started'
         };
-        this.characters = new Map();
         this.plotPoints = new Set();
         this.bookContent = {};
         this.outline = {};
         this.metadata = {};
+        this.pendingSave = Promise.resolve();
     }
 
     async ensureDirectories() {
@@ -36,6 +74,27 @@ export class BookManager {
     }
 
     async saveProgress(content, chapter, page) {
+        await this.writePageFiles(content, chapter, page);
+
+        // Update book content before the state is written
+        if (!this.bookContent[chapter]) {
+            this.bookContent[chapter] = {};
+        }
+        this.bookContent[chapter][page] = content;
+
+        // Update progress state. Chapters drafted in parallel finish out of
+        // order, so the last completed page only ever moves forward.
+        const { lastCompletedChapter, lastCompletedPage } = this.progressState;
+        if (Number(chapter) > lastCompletedChapter
+            || (Number(chapter) === lastCompletedChapter && Number(page) > lastCompletedPage)) {
+            this.progressState.lastCompletedChapter = Number(chapter);
+            this.progressState.lastCompletedPage = Number(page);
+        }
+        this.progressState.status = 'in_progress';
+        await this.saveState();
+    }
+
+    async writePageFiles(content, chapter, page) {
         await this.ensureDirectories();
         const chapterDir = `${this.outputPath}/chapters/chapter${chapter}`;
         await FileHandler.createDirectory(chapterDir);
@@ -54,67 +113,277 @@ export class BookManager {
         // Save DOCX version
         const doc = await this.createDocxDocument(content, chapter, page);
         await FileHandler.writeFile(`${chapterDir}/page${page}.docx`, doc);
+    }
 
-        // Update progress state
-        this.progressState.lastCompletedChapter = chapter;
-        this.progressState.lastCompletedPage = page;
-        this.progressState.status = 'in_progress';
-        await this.saveState();
+    hasPage(chapter, page) {
+        return this.bookContent[chapter]?.[page] !== undefined;
     }
 
-    async createDocxDocument(content, chapter, page) {
-        const doc = new Document({
-            sections: [{
-                properties: {},
-                children: [
-                    {
-                        text: `Chapter ${chapter}, Page ${page}`,
-                        heading: 1
-                    },
-                    {
-                        text: content
-                    }
-                ]
-            }]
-        });
+    isChapterWritten(chapter, pagesPerChapter) {
+        for (let page = 1; page <= pagesPerChapter; page++) {
+            if (!this.hasPage(chapter, page)) {
+                return false;
+            }
+        }
+        return true;
+    }
 
-        return await Packer.toBuffer(doc);
+    // First chapter/page that has not been written yet, or null when done
+    findNextPage(chapters, pagesPerChapter) {
+        for (let chapter = 1; chapter <= chapters; chapter++) {
+            for (let page = 1; page <= pagesPerChapter; page++) {
+                if (!this.hasPage(chapter, page)) {
+                    return { chapter, page };
+                }
+            }
+        }
+        return null;
     }
 
+    // Reads every chapters/chapterN/pageM.json written by saveProgress
+    async loadSavedPages() {
+        const chaptersDir = `${this.outputPath}/chapters`;
+        const savedPages = {};
+        let chapterDirs = [];
+        try {
+            chapterDirs = await fs.readdir(chaptersDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return savedPages;
+            }
+            throw error;
+        }
+
+        for (const chapterDir of chapterDirs) {
+            const chapterMatch = chapterDir.match(/^chapter(\d+)$/);
+            if (!chapterMatch) continue;
+
+            for (const file of await fs.readdir(`${chaptersDir}/${chapterDir}`)) {
+                const pageMatch = file.match(/^page(\d+)\.json$/);
+                if (!pageMatch) continue;
+
+                const saved = await FileHandler.readFile(`${chaptersDir}/${chapterDir}/${file}`, true);
+                const chapter = parseInt(chapterMatch[1], 10);
+                savedPages[chapter] = savedPages[chapter] || {};
+                savedPages[chapter][parseInt(pageMatch[1], 10)] = saved.content;
+            }
+        }
+        return savedPages;
+    }
+
+    // Makes bookContent and the page files on disk agree before resuming.
+    // Pages only on disk are restored into bookContent (the page file wins on
+    // conflict); pages only in bookContent are written back to disk.
+    async reconcilePages() {
+        const savedPages = await this.loadSavedPages();
+
+        for (const [chapter, pages] of Object.entries(savedPages)) {
+            for (const [page, content] of Object.entries(pages)) {
+                const known = this.bookContent[chapter]?.[page];
+                if (known === undefined) {
+                    console.log(`Restoring Chapter ${chapter}, Page ${page} from disk`);
+                } else if (known !== content) {
+                    console.warn(`Chapter ${chapter}, Page ${page} differs from book state, using the saved page`);
+                }
+                if (!this.bookContent[chapter]) {
+                    this.bookContent[chapter] = {};
+                }
+                this.bookContent[chapter][page] = content;
+            }
+        }
+
+        for (const [chapter, pages] of Object.entries(this.bookContent)) {
+            for (const [page, content] of Object.entries(pages)) {
+                if (savedPages[chapter]?.[page] === undefined) {
+                    console.log(`Rewriting missing page file for Chapter ${chapter}, Page ${page}`);
+                    await this.writePageFiles(content, chapter, page);
+                }
+            }
+        }
+    }
+
+    async createDocxDocument(content, chapter, page) {
+        return buildStyledDocument([
+            new Paragraph({ text: `${this.getChapterHeading(chapter)}, Page ${page}`, style: 'pageHeading' }),
+            ...styledParagraphs(content, this.proseFormat())
+        ]);
+    }
+
+    // Saves are chained so chapters finishing at the same time never write
+    // the state file concurrently; each save writes the latest state.
     async saveState() {
+        const save = this.pendingSave.then(() => this.writeState());
+        this.pendingSave = save.catch(() => {});
+        return save;
+    }
+
+    async writeState() {
         const state = {
             progress: this.progressState,
-            characters: Array.from(this.characters.entries()),
+            storyBible: this.storyBible.toJSON(),
+            timeline: this.timeline.toJSON(),
+            world: this.world.toJSON(),
             plotPoints: Array.from(this.plotPoints),
             bookContent: this.bookContent,
             outline: this.outline,
-            metadata: this.metadata
+            metadata: this.metadata,
+            memory: this.storyMemory.toJSON()
         };
         
         await this.stateManager.saveState(state);
+        await this.writeReport(this.continuityReport, this.continuityReportPath);
+        await this.writeReport(this.repetitionReport, this.repetitionReportPath);
+        await this.writeReport(this.dialogueReport, this.dialogueReportPath);
+        await this.usageLedger.save();
+    }
+
+    // An empty report removes the one an earlier run left, so findings a
+    // later run cleared are not shown as still open
+    async writeReport(report, reportPath) {
+        if (report.isEmpty) {
+            await FileHandler.removeFile(reportPath);
+        } else {
+            await FileHandler.writeFile(reportPath, report.toJSON());
+        }
+    }
+
+    // Stops generation cleanly; the next run resumes from the saved state
+    async pause(reason, error = null) {
+        this.progressState.status = 'paused';
+        this.progressState.pauseReason = reason;
+        this.progressState.pausedAt = new Date().toISOString();
+        if (error) {
+            this.progressState.lastError = {
+                category: error.category,
+                attempts: error.attempts,
+                message: error.message
+            };
+        }
+        console.log(`Generation paused: ${reason}`);
+        await this.saveState();
     }
 
     async loadState() {
+        await this.usageLedger.load();
         const state = await this.stateManager.loadState();
         if (state) {
             this.progressState = state.progress;
-            this.characters = new Map(state.characters);
+            this.storyBible.load(state.storyBible || state.characters);
+            this.timeline.load(state.timeline);
+            this.world.load(state.world);
             this.plotPoints = new Set(state.plotPoints);
             this.bookContent = state.bookContent;
             this.outline = state.outline;
             this.metadata = state.metadata;
+            this.storyMemory.load(state.memory);
+            this.continuityReport.load(await this.readMetadataFile(this.continuityReportPath));
+            this.repetitionReport.load(await this.readMetadataFile(this.repetitionReportPath));
+            this.dialogueReport.load(await this.readMetadataFile(this.dialogueReportPath));
             return true;
         }
         return false;
     }
 
+    // Merges the page's characters into the story bible, its events into the
+    // timeline and its places, groups, rules and artifacts into the world
+    // registry, and keeps its plot points
+    async extractStoryFacts(provider, chapter, page, content) {
+        const extraction = await this.storyBible.extract(provider, chapter, page, content, {
+            knownWorld: this.world.describeNames()
+        });
+        this.timeline.addDevelopments(extraction.storyDevelopments, { chapter, page }, this.storyBible);
+        this.world.mergeExtraction(extraction.world, { chapter, page });
+        for (const point of toList(extraction.plotPoints)) {
+            this.plotPoints.add(point);
+        }
+        return extraction;
+    }
+
+    get continuityReportPath() {
+        return `${this.outputPath}/metadata/continuity_report.json`;
+    }
+
+    get repetitionReportPath() {
+        return `${this.outputPath}/metadata/repetition_report.json`;
+    }
+
+    get dialogueReportPath() {
+        return `${this.outputPath}/metadata/dialogue_report.json`;
+    }
+
+    async readMetadataFile(filePath) {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Checks text against the story bible, plot points and outline, revises
+    // it as the continuity policy says and records the outcome in the report.
+    //   text: { chapter, page, content, storyContext }, page null for a whole chapter
+    //   revise(content, issues) patches or regenerates the text
+    async reviewContinuity(provider, text, revise) {
+        const result = await this.continuity.enforce(provider, {
+            ...text,
+            timeline: this.timeline.describe(text.chapter, text.page),
+            world: this.world.describe(),
+            outline: this.outline,
+            storyBible: this.storyBible,
+            plotPoints: Array.from(this.plotPoints)
+        }, revise);
+        this.continuityReport.record(text.chapter, text.page, result);
+        return result;
+    }
+
+    // Rejects text that repeats the pages before it and has it regenerated,
+    // recording what was found in the repetition report.
+    //   text: { chapter, page, content }, page null for a whole chapter
+    //   regenerate(findings) writes the text again
+    async reviewRepetition(text, regenerate) {
+        if (!this.repetition) {
+            return { content: text.content, findings: [], rejected: [] };
+        }
+        const result = await this.repetition.enforce(this.bookContent, text, regenerate);
+        this.repetitionReport.record(text.chapter, text.page, result);
+        return result;
+    }
+
+    // Flags dialogue in the wrong format for its speaker and, with the rewrite
+    // option, has it rewritten, recording what was found in the dialogue report.
+    //   text: { chapter, page, content }, page null for a whole chapter
+    //   rewrite(content, findings) fixes the dialogue
+    async reviewDialogue(text, rewrite) {
+        if (!this.dialogue) {
+            return { content: text.content, findings: [], flagged: [], rewrites: 0 };
+        }
+        const result = await this.dialogue.enforce(text, rewrite);
+        this.dialogueReport.record(text.chapter, text.page, result);
+        return result;
+    }
+
+    getChapterHeading(chapter) {
+        const title = chapterTitle(this.outline, chapter);
+        return title ? `Chapter ${chapter}: ${title}` : `Chapter ${chapter}`;
+    }
+
     async compileBook() {
         await this.ensureDirectories();
         
         // Save in multiple formats
         const formats = {
             json: await this.compileJSON(),
-            docx: await this.compileDOCX()
+            docx: await this.compileDOCX(),
+            epub: await this.exportEPUB(),
+            pdf: await this.exportPDF(),
+            markdown: await this.exportMarkdown(),
+            html: await this.exportHTML(),
+            narration: await this.exportNarration(),
+            storyBible: await this.exportStoryBible(),
+            timeline: await this.exportTimeline()
         };
 
         return formats;
@@ -126,31 +395,174 @@ export class BookManager {
         return compiledPath;
     }
 
+    async exportStoryBible() {
+        const biblePath = `${this.outputPath}/compiled/story_bible.md`;
+        const bible = this.storyBible.toMarkdown({
+            title: this.metadata?.title,
+            plotPoints: Array.from(this.plotPoints)
+        });
+        await FileHandler.writeFile(biblePath, `${bible}\n${this.world.toMarkdown()}`);
+        return biblePath;
+    }
+
+    async exportTimeline() {
+        const timelinePath = `${this.outputPath}/compiled/timeline.md`;
+        await FileHandler.writeFile(timelinePath, this.timeline.toMarkdown({ title: this.metadata?.title }));
+        return timelinePath;
+    }
+
+    // Chapters in order with their outline title and subtitle and their pages in order
+    compiledChapters() {
+        return Object.keys(this.bookContent)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .map(chapter => ({
+                number: chapter,
+                title: chapterTitle(this.outline, chapter),
+                subtitle: chapterSubtitle(this.outline, chapter),
+                pages: Object.keys(this.bookContent[chapter])
+                    .map(Number)
+                    .sort((a, b) => a - b)
+                    .map(page => this.bookContent[chapter][page])
+            }));
+    }
+
+    // The saved cover, or null when the book has none
+    async readCoverImage() {
+        try {
+            return await fs.readFile(`${this.outputPath}/assets/cover.png`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // How the template marks scene breaks and dialogue, for the styled DOCX
+    proseFormat() {
+        return {
+            sceneBreakMarker: this.bookConfig.chapterStructure?.format?.sceneBreakMarker,
+            dialogueFormat: this.bookConfig.styleGuide?.dialogueFormat
+        };
+    }
+
+    // Title page, front and back matter from the template's `bookMatter`
+    // section, for the DOCX, EPUB, PDF and HTML exports
+    bookMatter() {
+        return buildBookMatter(this.metadata, this.bookConfig.bookMatter);
+    }
+
+    // Title page and catalogue details shared by the EPUB and PDF exports
+    publicationDetails() {
+        const { title, author, series, synopsis, keywords, genre, subgenre = [], language } = this.metadata || {};
+        return {
+            title: title || this.bookName,
+            subtitle: series?.subtitle,
+            author,
+            language: language || 'en',
+            description: synopsis,
+            keywords: keywords || [genre, ...subgenre].filter(Boolean)
+        };
+    }
+
+    async exportEPUB() {
+        const epubPath = `${this.outputPath}/compiled/complete.epub`;
+        const buffer = await buildEpub({
+            ...this.publicationDetails(),
+            ...this.bookMatter(),
+            identifier: bookIdentifier(this.bookName),
+            sceneBreakMarker: this.bookConfig.chapterStructure?.format?.sceneBreakMarker,
+            cover: await this.readCoverImage(),
+            chapters: this.compiledChapters()
+        });
+        await FileHandler.writeFile(epubPath, buffer);
+        return epubPath;
+    }
+
+    // Print layout from the template's `pdf` section (see DEFAULT_PDF_OPTIONS)
+    async exportPDF() {
+        const pdfPath = `${this.outputPath}/compiled/complete.pdf`;
+        const buffer = await buildPdf({
+            ...this.publicationDetails(),
+            ...this.bookMatter(),
+            chapters: this.compiledChapters()
+        }, {
+            sceneBreakMarker: this.bookConfig.chapterStructure?.format?.sceneBreakMarker || DEFAULT_PDF_OPTIONS.sceneBreakMarker,
+            ...this.bookConfig.pdf
+        });
+        await FileHandler.writeFile(pdfPath, buffer);
+        return pdfPath;
+    }
+
+    // Writes files from buildMarkdownFiles or buildHtmlSite into a directory
+    // of compiled/ and returns the path of the entry file
+    async writeCompiledFiles(directory, files, entry) {
+        const dir = `${this.outputPath}/compiled/${directory}`;
+        for (const file of files) {
+            await FileHandler.writeFile(`${dir}/${file.path}`, file.content);
+        }
+        return `${dir}/${entry}`;
+    }
+
+    // compiled/markdown: index.md and one chapter-N.md per chapter, with front matter
+    async exportMarkdown() {
+        const files = buildMarkdownFiles({
+            ...this.publicationDetails(),
+            sceneBreakMarker: this.bookConfig.chapterStructure?.format?.sceneBreakMarker,
+            cover: await this.readCoverImage(),
+            chapters: this.compiledChapters()
+        });
+        return this.writeCompiledFiles('markdown', files, 'index.md');
+    }
+
+    // compiled/html: a static reader opening on index.html
+    async exportHTML() {
+        const files = buildHtmlSite({
+            ...this.publicationDetails(),
+            ...this.bookMatter(),
+            sceneBreakMarker: this.bookConfig.chapterStructure?.format?.sceneBreakMarker,
+            cover: await this.readCoverImage(),
+            chapters: this.compiledChapters()
+        });
+        return this.writeCompiledFiles('html', files, 'index.html');
+    }
+
+    // compiled/narration: an SSML file per chapter, script.json with the
+    // narrator and character lines and lexicon.pls, using the template's
+    // `narration` section (see DEFAULT_NARRATION_OPTIONS)
+    async exportNarration() {
+        const files = buildNarration({
+            ...this.publicationDetails(),
+            dialogueFormat: this.bookConfig.styleGuide?.dialogueFormat,
+            voices: this.bookConfig.voices,
+            characters: Object.values(this.storyBible.characters),
+            chapters: this.compiledChapters()
+        }, {
+            sceneBreakMarker: this.bookConfig.chapterStructure?.format?.sceneBreakMarker || DEFAULT_NARRATION_OPTIONS.sceneBreakMarker,
+            ...this.bookConfig.narration
+        });
+        return this.writeCompiledFiles('narration', files, 'script.json');
+    }
+
+    // One manuscript: title page, front matter, table of contents, then every
+    // chapter on a new page with running headers and page numbers, and the
+    // back matter
     async compileDOCX() {
         const compiledPath = `${this.outputPath}/compiled/complete.docx`;
-        const doc = new Document({
-            sections: Object.entries(this.bookContent).map(([chapter, pages]) => ({
-                properties: {},
-                children: Object.entries(pages).map(([page, content]) => [
-                    {
-                        text: `Chapter ${chapter}, Page ${page}`,
-                        heading: 1
-                    },
-                    {
-                        text: content
-                    }
-                ]).flat()
-            }))
+        const buffer = await buildManuscript({
+            ...this.publicationDetails(),
+            ...this.bookMatter(),
+            ...this.proseFormat(),
+            chapters: this.compiledChapters()
         });
-
-        const buffer = await Packer.toBuffer(doc);
         await FileHandler.writeFile(compiledPath, buffer);
         return compiledPath;
     }
 
     async saveCoverImage(imageUrl) {
         const response = await fetch(imageUrl);
-        const buffer = await response.buffer();
+        const buffer = Buffer.from(await response.arrayBuffer());
         await FileHandler.writeFile(`${this.outputPath}/assets/cover.png`, buffer);
         return `${this.outputPath}/assets/cover.png`;
     }
@@ -0,0 +1,142 @@
+// Front and back matter for the compiled exports, built from the book's
+// metadata and the template's `bookMatter` section:
+//   {
+//     titlePage: true,
+//     series: true,                        // series page from metadata.series
+//     copyright: true or { year, holder, rights, notice, isbn, publisher, edition },
+//     dedication: 'For ...',
+//     epigraph: { text, attribution },
+//     acknowledgements: 'text', aboutTheAuthor: 'text',
+//     alsoInSeries: ['Book 2: ...'],       // titles, or true for metadata.series.titles
+//     teaser: { title, text }              // an excerpt from the next book
+//   }
+// Every section is optional; leaving one out or setting it to false skips it.
+// Sections are { id, heading, layout, paragraphs: [text] } where heading may
+// be null and layout is 'prose' for running text, 'centered' for short
+// centred lines, 'epigraph' or 'copyright'.
+
+export const FRONT_MATTER = ['series', 'copyright', 'dedication', 'epigraph'];
+export const BACK_MATTER = ['acknowledgements', 'aboutTheAuthor', 'alsoInSeries', 'teaser'];
+
+export const DEFAULT_COPYRIGHT = {
+    rights: 'All rights reserved. No part of this book may be reproduced in any form without written permission from the copyright holder, except for brief quotations in reviews.',
+    notice: 'This is a work of fiction. Names, characters, places and incidents are products of the author\'s imagination or are used fictitiously.'
+};
+
+// Text given as a string, with paragraphs separated by blank lines, or as an array
+function toParagraphs(text) {
+    const parts = Array.isArray(text) ? text : String(text ?? '').split(/\n\s*\n/);
+    return parts.map(part => String(part).trim()).filter(Boolean);
+}
+
+function seriesName(series) {
+    const name = series?.name;
+    if (!name) {
+        return null;
+    }
+    return /\bseries\b/i.test(name) ? name : `${name} Series`;
+}
+
+function fullTitle(metadata) {
+    const subtitle = metadata.series?.subtitle;
+    return subtitle ? `${metadata.title}: ${subtitle}` : metadata.title;
+}
+
+const SECTIONS = {
+    series(config, metadata) {
+        const { series } = metadata;
+        const name = seriesName(series);
+        if (!name) {
+            return null;
+        }
+        return {
+            heading: name.replace(/^(?!the\b)/i, 'The '),
+            layout: 'centered',
+            paragraphs: [
+                series.book ? `Book ${series.book}${series.subtitle ? `: ${series.subtitle}` : ''}` : series.subtitle,
+                ...(series.titles || [])
+            ].filter(Boolean)
+        };
+    },
+
+    copyright(config, metadata) {
+        const settings = { ...DEFAULT_COPYRIGHT, ...(typeof config === 'object' ? config : {}) };
+        const year = settings.year || new Date().getFullYear();
+        const holder = settings.holder || metadata.author;
+        return {
+            heading: null,
+            layout: 'copyright',
+            paragraphs: [
+                fullTitle(metadata),
+                holder ? `Copyright © ${year} ${holder}` : `Copyright © ${year}`,
+                settings.rights,
+                settings.notice,
+                settings.isbn ? `ISBN ${settings.isbn}` : null,
+                settings.publisher ? `Published by ${settings.publisher}` : null,
+                settings.edition
+            ].filter(Boolean)
+        };
+    },
+
+    dedication(config) {
+        return { heading: null, layout: 'centered', paragraphs: toParagraphs(config) };
+    },
+
+    epigraph(config) {
+        const { text, attribution } = typeof config === 'object' && !Array.isArray(config) ? config : { text: config };
+        return {
+            heading: null,
+            layout: 'epigraph',
+            paragraphs: [...toParagraphs(text), attribution ? `— ${attribution}` : null].filter(Boolean)
+        };
+    },
+
+    acknowledgements(config) {
+        return { heading: 'Acknowledgements', layout: 'prose', paragraphs: toParagraphs(config) };
+    },
+
+    aboutTheAuthor(config) {
+        return { heading: 'About the Author', layout: 'prose', paragraphs: toParagraphs(config) };
+    },
+
+    alsoInSeries(config, metadata) {
+        const titles = Array.isArray(config) ? config : metadata.series?.titles || [];
+        const name = seriesName(metadata.series);
+        return {
+            heading: name ? `Also in the ${name.replace(/^the\s+/i, '')}` : 'Also by the Author',
+            layout: 'centered',
+            paragraphs: toParagraphs(titles)
+        };
+    },
+
+    teaser(config) {
+        const { title, text } = typeof config === 'object' && !Array.isArray(config) ? config : { text: config };
+        return { heading: title ? `A Preview of ${title}` : 'Coming Next', layout: 'prose', paragraphs: toParagraphs(text) };
+    }
+};
+
+// Kebab-case ids, used for file names and anchors
+function sectionId(key) {
+    return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+function buildSections(keys, config, metadata) {
+    return keys
+        .filter(key => config[key] !== undefined && config[key] !== null && config[key] !== false)
+        .map(key => {
+            const section = SECTIONS[key](config[key], metadata);
+            return section && section.paragraphs.length ? { id: sectionId(key), ...section } : null;
+        })
+        .filter(Boolean);
+}
+
+// { titlePage, frontMatter: [section], backMatter: [section] } to spread
+// into the book passed to the exporters
+export function buildBookMatter(metadata = {}, config = {}) {
+    const settings = config || {};
+    return {
+        titlePage: settings.titlePage !== false,
+        frontMatter: buildSections(FRONT_MATTER, settings, metadata || {}),
+        backMatter: buildSections(BACK_MATTER, settings, metadata || {})
+    };
+}
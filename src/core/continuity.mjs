@@ -0,0 +1,205 @@
+import { describeChapterOutline } from './outline.mjs';
+
+export const CONTINUITY_SEVERITIES = ['low', 'medium', 'high'];
+export const CONTINUITY_ISSUE_TYPES = ['character', 'timeline', 'setting', 'plot', 'outline', 'other'];
+
+// action: 'none' only records issues, 'patch' asks for a minimal fix of the
+// page, 'regenerate' writes the page again with the issues as notes.
+// Revisions happen while an issue of at least minSeverity is left, at most
+// maxRevisions times.
+export const DEFAULT_CONTINUITY_POLICY = {
+    action: 'none',
+    minSeverity: 'high',
+    maxRevisions: 1
+};
+
+const CONTINUITY_FORMAT = `Respond with JSON in this format, with an empty list when nothing conflicts:
+{
+  "issues": [
+    {
+      "type": "${CONTINUITY_ISSUE_TYPES.join('|')}",
+      "severity": "${CONTINUITY_SEVERITIES.join('|')}",
+      "location": { "chapter": 1, "page": 1 },
+      "conflictingFact": "what the text says and the established fact it contradicts",
+      "suggestedFix": "the smallest change to the text that resolves it"
+    }
+  ]
+}`;
+
+export function severityRank(severity) {
+    return CONTINUITY_SEVERITIES.indexOf(severity);
+}
+
+// Issues as the model reported them, with unknown types and severities
+// mapped to 'other' and 'medium' and the location defaulting to the page checked
+export function normalizeIssues(parsed, { chapter, page = null }) {
+    const issues = Array.isArray(parsed?.issues) ? parsed.issues : [];
+    return issues
+        .filter(issue => issue && (issue.conflictingFact || issue.description))
+        .map(issue => ({
+            type: CONTINUITY_ISSUE_TYPES.includes(issue.type) ? issue.type : 'other',
+            severity: CONTINUITY_SEVERITIES.includes(issue.severity) ? issue.severity : 'medium',
+            location: {
+                chapter: Number(issue.location?.chapter) || chapter,
+                page: Number(issue.location?.page) || page
+            },
+            conflictingFact: String(issue.conflictingFact || issue.description).trim(),
+            suggestedFix: String(issue.suggestedFix || '').trim()
+        }));
+}
+
+export function describeIssues(issues) {
+    return issues
+        .map(issue => `- [${issue.severity} ${issue.type}] ${issue.conflictingFact}${issue.suggestedFix ? ` Fix: ${issue.suggestedFix}` : ''}`)
+        .join('\n');
+}
+
+// Patches the text, or writes it again with the issues as notes.
+// request holds the pageMessages (or chapterMessages) arguments; without a
+// page the text is a whole chapter.
+export async function reviseForContinuity(provider, prompts, action, request, content, issues) {
+    const chapterOnly = request.page === undefined || request.page === null;
+    const messages = action === 'regenerate'
+        ? (chapterOnly ? prompts.chapterMessages({ ...request, issues }) : prompts.pageMessages({ ...request, issues }))
+        : prompts.patchMessages({ chapter: request.chapter, page: request.page, content, issues });
+    const completion = await provider.createChatCompletion({
+        model: request.model || 'gpt-4-turbo',
+        messages,
+        max_tokens: chapterOnly ? 4000 : prompts.pageMaxTokens
+    }, { task: 'revision', chapter: request.chapter, page: request.page ?? undefined });
+    return completion.choices[0].message.content;
+}
+
+// Checks pages against the story bible, the plot points, the timeline, the
+// world registry and the outline and revises them according to the policy
+export class ContinuityChecker {
+    constructor(options = {}) {
+        this.model = options.model || 'gpt-4o-mini';
+        this.policy = { ...DEFAULT_CONTINUITY_POLICY, ...options.policy };
+    }
+
+    // pages lists the page numbers of a whole chapter whose text heads each
+    // page with "Page N:", so issues can be placed on the right page
+    messages({ chapter, page = null, pages = null, content, outline, storyBible, plotPoints = [], timeline = '', world = '', storyContext = null }) {
+        const where = page ? `page ${page} of chapter ${chapter}` : `chapter ${chapter}`;
+        return [
+            {
+                role: 'system',
+                content: 'You are a continuity editor. Report only contradictions with what is established, not matters of taste.'
+            },
+            {
+                role: 'user',
+                content: `Check ${where} against what is established about the book.
+Outline: ${describeChapterOutline(outline, chapter, page)}
+Characters:
+${storyBible?.describe() || 'None recorded yet'}
+Plot points: ${plotPoints.length ? plotPoints.join('; ') : 'None recorded yet'}
+${world ? `World:\n${world}\n` : ''}${timeline ? `Timeline so far (check ages, travel times and the order of events against it):\n${timeline}\n` : ''}${storyContext ? `\nWhat has happened so far:\n${storyContext}\n` : ''}
+${CONTINUITY_FORMAT}
+${pages?.length ? `\nThe text is split into pages ${pages.join(', ')}, each headed "Page N:". Give every issue the chapter ${chapter} and the page whose heading it falls under.\n` : ''}
+Text to check:
+${content}`
+            }
+        ];
+    }
+
+    requestParams(page) {
+        return {
+            model: this.model,
+            messages: this.messages(page),
+            response_format: { type: 'json_object' },
+            temperature: 0.2
+        };
+    }
+
+    // Parses a response to messages(); an unreadable one yields no issues
+    parseIssues(content, location) {
+        try {
+            return normalizeIssues(JSON.parse(content), location);
+        } catch (error) {
+            console.warn(`Could not parse the continuity check of Chapter ${location.chapter}: ${error.message}`);
+            return [];
+        }
+    }
+
+    // page: { chapter, page, content, outline, storyBible, plotPoints, timeline, world, storyContext }
+    async check(provider, page) {
+        const completion = await provider.createChatCompletion(
+            this.requestParams(page),
+            { task: 'consistency', chapter: page.chapter, page: page.page ?? undefined }
+        );
+        return this.parseIssues(completion.choices[0].message.content, page);
+    }
+
+    needsRevision(issues) {
+        return this.policy.action !== 'none'
+            && issues.some(issue => severityRank(issue.severity) >= severityRank(this.policy.minSeverity));
+    }
+
+    // Checks the page and, while the policy asks for it, revises and checks it
+    // again. `revise(content, issues)` is how the caller patches or
+    // regenerates its text. Resolves with the final content, the issues left
+    // and the revisions made ({ action, issues }).
+    async enforce(provider, page, revise) {
+        let content = page.content;
+        let issues = await this.check(provider, page);
+        const revisions = [];
+
+        while (this.needsRevision(issues) && revisions.length < this.policy.maxRevisions) {
+            console.log(`Continuity: ${this.policy.action} Chapter ${page.chapter}${page.page ? `, Page ${page.page}` : ''} for ${issues.length} issues`);
+            content = await revise(content, issues);
+            revisions.push({ action: this.policy.action, issues });
+            issues = await this.check(provider, { ...page, content });
+        }
+
+        return { content, issues, revisions };
+    }
+}
+
+// Per-book record of the continuity checks, kept in metadata/continuity_report.json
+export class ContinuityReport {
+    constructor() {
+        this.entries = {};
+    }
+
+    // chapter and page of the text checked; page is null for whole chapters
+    record(chapter, page, { issues, revisions = [] }) {
+        this.entries[page ? `${chapter}:${page}` : `${chapter}`] = {
+            chapter: Number(chapter),
+            page: page === null || page === undefined ? null : Number(page),
+            checkedAt: new Date().toISOString(),
+            issues,
+            revisions
+        };
+    }
+
+    get isEmpty() {
+        return Object.keys(this.entries).length === 0;
+    }
+
+    toJSON() {
+        const entries = Object.values(this.entries)
+            .sort((a, b) => a.chapter - b.chapter || (a.page || 0) - (b.page || 0));
+        const issues = entries.flatMap(entry => entry.issues);
+        const bySeverity = Object.fromEntries(CONTINUITY_SEVERITIES.map(severity => [
+            severity,
+            issues.filter(issue => issue.severity === severity).length
+        ]));
+        return {
+            summary: {
+                checked: entries.length,
+                issues: issues.length,
+                bySeverity,
+                revisions: entries.reduce((total, entry) => total + entry.revisions.length, 0)
+            },
+            entries
+        };
+    }
+
+    load(report) {
+        this.entries = {};
+        for (const entry of report?.entries || []) {
+            this.entries[entry.page ? `${entry.chapter}:${entry.page}` : `${entry.chapter}`] = entry;
+        }
+    }
+}
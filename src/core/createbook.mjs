@@ -1,17 +1,48 @@
 import { BookManager } from './book_manager.mjs';
+import { BatchBookManager, batchJobStage } from './batch_book_manager.mjs';
 import { FileHandler } from '../utils/file_handler.mjs';
 import { StateManager } from '../utils/state_manager.mjs';
-import OpenAI from 'openai';
-import dotenv from 'dotenv';
+import { createProvider } from '../providers/provider_factory.mjs';
+import { UsageTrackingProvider } from '../providers/usage_tracking_provider.mjs';
+import { RequestFailedError, ERROR_CATEGORIES } from '../providers/retrying_provider.mjs';
+import { PromptBuilder } from './prompt_builder.mjs';
+import { requestOutline } from './outline.mjs';
+import { BOOK_EVENTS, BookEventEmitter, publishBookEvent } from './book_events.mjs';
+import { runWithConcurrency } from '../utils/concurrency.mjs';
+import { reviseForContinuity } from './continuity.mjs';
+import { regenerateForRepetition } from './repetition.mjs';
+import { rewriteDialogue } from './dialogue.mjs';
 
-dotenv.config();
-
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
-
-export async function createBookPageByPage(theme, chapters = 12, pagesPerChapter = 5, progressCallback = null, bookName = 'default') {
-    const bookManager = new BookManager(bookName);
+// options.provider / options.useMocks select the model backend (see provider_factory)
+// options.budget ({ maxTokens, maxCost, maxChapterCost }) pauses the run when exceeded
+// options.bookConfig is a full book template (see TemplateLoader) driving the prompts
+// options.memory ({ tokenBudget, previousPageTokens }) sizes the story context per page
+// options.events is an EventEmitter receiving BOOK_EVENTS as the book is written
+// options.concurrency > 1 drafts that many chapters at once; chapters opened
+// before their predecessor was written get a bridging pass (options.bridge = false skips it)
+// options.continuity (true or a policy, see DEFAULT_CONTINUITY_POLICY) checks
+// every page for continuity issues, which are kept in metadata/continuity_report.json
+// options.repetition (see DEFAULT_REPETITION_OPTIONS) tunes the rejection of
+// pages repeating earlier ones, recorded in metadata/repetition_report.json; false turns it off
+// options.dialogue (true or { rewrite, maxRewrites }, see DEFAULT_DIALOGUE_OPTIONS)
+// rewrites dialogue in the wrong format for the bookConfig.voices speaking it; lines
+// found are kept in metadata/dialogue_report.json either way, and false turns the check off
+export async function createBookPageByPage(theme, chapters = 12, pagesPerChapter = 5, progressCallback = null, bookName = 'default', options = {}) {
+    const events = options.events || null;
+    const bookManager = new BookManager(bookName, {
+        budget: options.budget,
+        pricing: options.pricing,
+        memory: options.memory,
+        continuity: options.continuity,
+        repetition: options.repetition,
+        dialogue: options.dialogue,
+        bookConfig: options.bookConfig
+    });
+    const provider = new UsageTrackingProvider(createProvider(options), bookManager.usageLedger, (entry, ledger) => {
+        publishBookEvent(events, BOOK_EVENTS.COST_UPDATED, { entry, totals: { ...ledger.totals } });
+    });
+    const bookConfig = options.bookConfig || {};
+    const prompts = new PromptBuilder(bookConfig);
     
     try {
         await bookManager.ensureDirectories();
@@ -21,77 +52,456 @@ export async function createBookPageByPage(theme, chapters = 12, pagesPerChapter
         if (hasState) {
             console.log("Resuming from previous state...");
         } else {
+            bookManager.metadata = { ...bookConfig.metadata };
+
             // Create new outline
             console.log("Creating book outline...");
-            const outlinePrompt = `Create a detailed outline for a book with the following theme: ${theme}`;
-            const outlineResponse = await openai.chat.completions.create({
-                model: "gpt-4-turbo",
-                messages: [
-                    { role: "system", content: "You are a professional book outliner." },
-                    { role: "user", content: outlinePrompt }
-                ]
-            });
-            bookManager.outline = outlineResponse.choices[0].message.content;
+            bookManager.outline = await requestOutline(
+                provider,
+                prompts.outlineMessages(theme, chapters, pagesPerChapter),
+                { chapters, pagesPerChapter }
+            );
+            await bookManager.saveState();
         }
+        publishBookEvent(events, BOOK_EVENTS.OUTLINE_READY, { outline: bookManager.outline, resumed: hasState });
 
-        // Generate cover
-        if (!bookManager.metadata.coverImage) {
-            const coverPrompt = `Create a professional book cover for: ${theme}`;
-            const coverResponse = await openai.images.generate({
-                model: "dall-e-3",
-                prompt: coverPrompt,
-                n: 1,
-                size: "1024x1024"
-            });
-            bookManager.metadata.coverImage = coverResponse.data[0].url;
-            await bookManager.saveCoverImage(coverResponse.data[0].url);
+        await ensureCover(provider, bookManager, theme);
+
+        // Generate chapters page by page, resuming at the first missing page
+        bookManager.world.seed(bookConfig);
+        bookManager.progressState.status = 'in_progress';
+        delete bookManager.progressState.pauseReason;
+        await bookManager.reconcilePages();
+        const nextPage = bookManager.findNextPage(chapters, pagesPerChapter);
+        if (hasState && nextPage) {
+            console.log(`Resuming at Chapter ${nextPage.chapter}, Page ${nextPage.page}`);
         }
 
-        // Generate chapters page by page
-        const startChapter = bookManager.progressState.lastCompletedChapter + 1;
-        for (let chapter = startChapter; chapter <= chapters; chapter++) {
+        const memory = bookManager.storyMemory;
+        const concurrency = options.concurrency || 1;
+        const parallel = concurrency > 1;
+        let stopReason = null;
+        let failed = false;
+
+        const writeChapter = async (chapter) => {
             for (let page = 1; page <= pagesPerChapter; page++) {
+                if (bookManager.hasPage(chapter, page)) {
+                    continue; // Written in an earlier run
+                }
+                if (stopReason || failed) {
+                    return;
+                }
+
+                const budgetReason = bookManager.usageLedger.checkBudget(chapter);
+                if (budgetReason) {
+                    stopReason = budgetReason;
+                    return;
+                }
+
                 if (progressCallback) {
                     await progressCallback(chapter, page);
                 }
 
                 console.log(`Generating Chapter ${chapter}, Page ${page}...`);
-                
-                const prompt = `Write page ${page} of chapter ${chapter}. Use the following outline as context: ${bookManager.outline}`;
-                const completion = await openai.chat.completions.create({
+                publishBookEvent(events, BOOK_EVENTS.PAGE_STARTED, { chapter, page });
+
+                if (!parallel) {
+                    await memory.ensureSummaries(provider, bookManager.bookContent, chapter, page, pagesPerChapter);
+                }
+                // Opened without the end of the previous chapter; the bridging pass smooths it
+                const needsBridge = page === 1 && chapter > 1 && options.bridge !== false
+                    && !bookManager.hasPage(chapter - 1, pagesPerChapter);
+
+                const pageRequest = {
+                    chapter,
+                    page,
+                    pagesPerChapter,
+                    outline: bookManager.outline,
+                    storyContext: memory.buildContext(bookManager.bookContent, chapter, page, bookManager.outline),
+                    timeline: bookManager.timeline.describe(chapter, page),
+                    world: bookManager.world.describe()
+                };
+                const completion = await provider.streamChatCompletion({
                     model: "gpt-4-turbo",
-                    messages: [
-                        { role: "system", content: "You are a professional book writer." },
-                        { role: "user", content: prompt }
-                    ]
+                    messages: prompts.pageMessages(pageRequest),
+                    max_tokens: prompts.pageMaxTokens
+                }, { task: 'page', chapter, page }, (text) => {
+                    publishBookEvent(events, BOOK_EVENTS.TOKEN, { chapter, page, text });
                 });
 
-                const pageContent = completion.choices[0].message.content;
+                const pageContent = await reviewPage(provider, bookManager, prompts, pageRequest,
+                    completion.choices[0].message.content, options);
+                if (needsBridge) {
+                    bookManager.progressState.pendingBridges = [...(bookManager.progressState.pendingBridges || []), chapter];
+                }
                 await bookManager.saveProgress(pageContent, chapter, page);
+                publishBookEvent(events, BOOK_EVENTS.PAGE_SAVED, {
+                    chapter,
+                    page,
+                    content: pageContent,
+                    completedPages: countPages(bookManager.bookContent),
+                    totalPages: chapters * pagesPerChapter
+                });
+            }
+            await memory.summarizeChapter(provider, chapter, pagesPerChapter, { updateDigest: !parallel });
+            await bookManager.saveState();
+            publishBookEvent(events, BOOK_EVENTS.CHAPTER_COMPLETED, { chapter, chapters });
+        };
 
-                // Update book content
-                if (!bookManager.bookContent[chapter]) {
-                    bookManager.bookContent[chapter] = {};
+        if (parallel) {
+            // Summaries for the written part of the book first; the workers
+            // only summarize their own chapters
+            if (nextPage) {
+                await memory.ensureSummaries(provider, bookManager.bookContent, nextPage.chapter, nextPage.page, pagesPerChapter);
+            }
+            const pendingChapters = [];
+            for (let chapter = 1; chapter <= chapters; chapter++) {
+                if (!memory.chapterSummaries[chapter] || !bookManager.isChapterWritten(chapter, pagesPerChapter)) {
+                    pendingChapters.push(chapter);
                 }
-                bookManager.bookContent[chapter][page] = pageContent;
             }
-            await bookManager.saveState();
+            console.log(`Drafting ${pendingChapters.length} chapters, ${concurrency} at a time`);
+            await runWithConcurrency(pendingChapters, concurrency, async (chapter) => {
+                try {
+                    await writeChapter(chapter);
+                } catch (error) {
+                    failed = true;
+                    throw error;
+                }
+            });
+            if (!stopReason) {
+                await memory.catchUpDigest(provider);
+            }
+        } else {
+            for (let chapter = nextPage ? nextPage.chapter : chapters + 1; chapter <= chapters && !stopReason; chapter++) {
+                await writeChapter(chapter);
+            }
+        }
+
+        // Rewrite chapter openings drafted before the chapter they follow
+        for (const chapter of [...(bookManager.progressState.pendingBridges || [])]) {
+            stopReason = stopReason || bookManager.usageLedger.checkBudget(chapter);
+            if (stopReason) break;
+            await bridgeChapter(provider, bookManager, prompts, chapter, pagesPerChapter, events, options);
+        }
+
+        if (stopReason) {
+            await bookManager.pause(stopReason);
+            publishBookEvent(events, BOOK_EVENTS.PAUSED, { reason: stopReason });
+            return buildResult(bookManager, null);
         }
 
         // Compile final book
         const compiledBook = await bookManager.compileBook();
-        
-        return {
-            outline: bookManager.outline,
-            coverImage: bookManager.metadata.coverImage,
-            compiledBook,
-            metadata: bookManager.metadata,
-            outputPath: bookManager.outputPath
-        };
+        bookManager.progressState.status = 'completed';
+        await bookManager.saveState();
+
+        const result = buildResult(bookManager, compiledBook);
+        publishBookEvent(events, BOOK_EVENTS.COMPLETED, { result });
+        return result;
 
     } catch (error) {
         console.error("Error in book creation:", error);
+
+        // Exhausted quota or retries: park the book so a later run can resume it
+        if (error instanceof RequestFailedError && error.category !== ERROR_CATEGORIES.FATAL) {
+            publishBookEvent(events, BOOK_EVENTS.ERROR, { error, fatal: false });
+            await bookManager.pause(error.message, error);
+            publishBookEvent(events, BOOK_EVENTS.PAUSED, { reason: error.message });
+            return buildResult(bookManager, null);
+        }
+
+        publishBookEvent(events, BOOK_EVENTS.ERROR, { error, fatal: true });
+
         await bookManager.saveState();
         throw error;
     }
-} 
\ No newline at end of file
+}
+
+// Writes the book through the Batch API: one request per unwritten chapter,
+// at half the price of live requests but with up to 24 hours of latency.
+// The job is saved in the book state, so a later run re-attaches to it.
+// options.pollIntervalMs sets how often the batch is checked (default 1 minute)
+// options.wait = false submits (or checks) the job and pauses instead of polling
+// options.maxBatchAttempts bounds resubmitting failed or expired requests (default 3)
+export async function createBookWithBatch(theme, chapters = 12, pagesPerChapter = 5, bookName = 'default', options = {}) {
+    const bookManager = new BatchBookManager(bookName, options);
+    const provider = bookManager.provider;
+    const bookConfig = options.bookConfig || {};
+
+    try {
+        await bookManager.ensureDirectories();
+
+        const hasState = await bookManager.loadState();
+        if (hasState) {
+            console.log("Resuming from previous state...");
+        } else {
+            bookManager.metadata = { ...bookConfig.metadata };
+            console.log("Creating book outline...");
+            bookManager.outline = await requestOutline(
+                provider,
+                bookManager.prompts.outlineMessages(theme, chapters, pagesPerChapter),
+                { chapters, pagesPerChapter }
+            );
+            await bookManager.saveState();
+        }
+
+        await ensureCover(provider, bookManager, theme);
+        bookManager.world.seed(bookConfig);
+        bookManager.progressState.status = 'in_progress';
+        delete bookManager.progressState.pauseReason;
+        await bookManager.reconcilePages();
+
+        const stopReason = await bookManager.runBatchStage(
+            'chapters',
+            () => bookManager.createBatchTasks(chapters, pagesPerChapter),
+            batch => bookManager.processBatchResults(batch, pagesPerChapter),
+            options
+        );
+        if (stopReason) {
+            await bookManager.pause(stopReason);
+            return buildResult(bookManager, null);
+        }
+
+        if (bookManager.findNextPage(chapters, pagesPerChapter)) {
+            await bookManager.pause('Batch finished without writing every chapter');
+            return buildResult(bookManager, null);
+        }
+
+        const compiledBook = await bookManager.compileBook();
+        bookManager.progressState.status = 'completed';
+        await bookManager.saveState();
+        return buildResult(bookManager, compiledBook);
+
+    } catch (error) {
+        console.error("Error in batch book creation:", error);
+        if (error instanceof RequestFailedError && error.category !== ERROR_CATEGORIES.FATAL) {
+            await bookManager.pause(error.message, error);
+            return buildResult(bookManager, null);
+        }
+        await bookManager.saveState();
+        throw error;
+    }
+}
+
+// Writes the book as a chain of batch jobs, each stage waiting for the one
+// before it: the outline, then one wave per page number (page N of every
+// chapter, written from the summaries of the waves before), then consistency
+// checks, proofreading and, with options.language, a translation.
+// Options are those of createBookWithBatch; a run that has to wait or stop
+// pauses the book, and the next run picks up at the stage it left.
+export async function createBookWithStagedBatch(theme, chapters = 12, pagesPerChapter = 5, bookName = 'default', options = {}) {
+    const bookManager = new BatchBookManager(bookName, options);
+    const provider = bookManager.provider;
+    const bookConfig = options.bookConfig || {};
+
+    const stages = [
+        {
+            name: 'outline',
+            createTasks: () => bookManager.hasOutline() ? [] : bookManager.createOutlineTasks(theme, chapters, pagesPerChapter),
+            processResults: batch => bookManager.processOutlineResults(batch, chapters, pagesPerChapter)
+        }
+    ];
+    for (let page = 1; page <= pagesPerChapter; page++) {
+        stages.push({
+            name: `pages-${page}`,
+            createTasks: () => bookManager.createPageTasks(chapters, page, pagesPerChapter),
+            processResults: batch => bookManager.processBatchResults(batch, pagesPerChapter, { review: false })
+        });
+    }
+    stages.push(
+        {
+            name: 'consistency',
+            createTasks: done => bookManager.createConsistencyTasks(chapters, pagesPerChapter, done),
+            processResults: batch => bookManager.processConsistencyResults(batch, pagesPerChapter)
+        },
+        {
+            name: 'proofread',
+            createTasks: done => bookManager.createProofreadTasks(chapters, pagesPerChapter, done),
+            processResults: batch => bookManager.processProofreadResults(batch, pagesPerChapter)
+        }
+    );
+    if (options.language && options.language !== 'en') {
+        stages.push({
+            name: `translate-${options.language}`,
+            createTasks: done => bookManager.createTranslationTasks(chapters, pagesPerChapter, options.language, done),
+            processResults: batch => bookManager.processTranslationResults(batch, options.language)
+        });
+    }
+
+    try {
+        await bookManager.ensureDirectories();
+
+        const hasState = await bookManager.loadState();
+        if (hasState) {
+            console.log("Resuming from previous state...");
+        } else {
+            bookManager.metadata = { ...bookConfig.metadata };
+        }
+        bookManager.world.seed(bookConfig);
+        bookManager.progressState.status = 'in_progress';
+        delete bookManager.progressState.pauseReason;
+        await bookManager.reconcilePages();
+
+        // Stages before the one in flight are already done
+        const inFlight = bookManager.progressState.batchJob;
+        const first = inFlight ? stages.findIndex(stage => stage.name === batchJobStage(inFlight)) : 0;
+        if (first === -1) {
+            throw new Error(`Batch ${inFlight.id} belongs to stage ${batchJobStage(inFlight)}, which this book does not run`);
+        }
+
+        for (const stage of stages.slice(first)) {
+            console.log(`Batch stage: ${stage.name}`);
+            const stopReason = await bookManager.runBatchStage(stage.name, stage.createTasks, stage.processResults, options);
+            if (stopReason) {
+                await bookManager.pause(stopReason);
+                return buildResult(bookManager, null);
+            }
+            if (stage.name === 'outline') {
+                if (!bookManager.hasOutline()) {
+                    await bookManager.pause('Batch finished without an outline');
+                    return buildResult(bookManager, null);
+                }
+                await ensureCover(provider, bookManager, theme);
+            }
+        }
+
+        if (bookManager.findNextPage(chapters, pagesPerChapter)) {
+            await bookManager.pause('Batch finished without writing every page');
+            return buildResult(bookManager, null);
+        }
+
+        const compiledBook = await bookManager.compileBook();
+        bookManager.progressState.status = 'completed';
+        await bookManager.saveState();
+        return buildResult(bookManager, compiledBook);
+
+    } catch (error) {
+        console.error("Error in staged batch book creation:", error);
+        if (error instanceof RequestFailedError && error.category !== ERROR_CATEGORIES.FATAL) {
+            await bookManager.pause(error.message, error);
+            return buildResult(bookManager, null);
+        }
+        await bookManager.saveState();
+        throw error;
+    }
+}
+
+// Cancels the book's batch job in flight. The next createBookWithBatch (or
+// createBookWithStagedBatch) run keeps whatever the job finished before it
+// stopped and pauses the book.
+export async function cancelBatchBook(bookName = 'default', options = {}) {
+    const bookManager = new BatchBookManager(bookName, options);
+    if (!await bookManager.loadState()) {
+        return null;
+    }
+    return bookManager.cancelBatchJob();
+}
+
+async function ensureCover(provider, bookManager, theme) {
+    if (bookManager.metadata.coverImage) {
+        return;
+    }
+    const coverResponse = await provider.generateImage({
+        model: "dall-e-3",
+        prompt: `Create a professional book cover for: ${theme}`,
+        n: 1,
+        size: "1024x1024"
+    }, { task: 'cover' });
+    bookManager.metadata.coverImage = coverResponse.data[0].url;
+    await bookManager.saveCoverImage(coverResponse.data[0].url);
+}
+
+// Starts createBookPageByPage and returns its BookEventEmitter right away, for
+// callers that would rather listen or `for await` than pass a callback.
+// `done` resolves with the same result createBookPageByPage does.
+export function startBook(theme, chapters = 12, pagesPerChapter = 5, bookName = 'default', options = {}) {
+    const events = options.events || new BookEventEmitter();
+    events.done = createBookPageByPage(theme, chapters, pagesPerChapter, options.progressCallback || null, bookName, { ...options, events });
+    // Failures also arrive as an error event; only callers awaiting `done` see the rejection
+    events.done.catch(() => {});
+    return events;
+}
+
+// Checks a drafted page for repetition, continuity (with options.continuity)
+// and dialogue format, then summarizes it and extracts its story facts.
+// Returns the text to save.
+async function reviewPage(provider, bookManager, prompts, pageRequest, draft, options) {
+    const { chapter, page } = pageRequest;
+    const repetition = await bookManager.reviewRepetition(
+        { chapter, page, content: draft },
+        findings => regenerateForRepetition(provider, prompts, pageRequest, findings)
+    );
+    let pageContent = repetition.content;
+    if (options.continuity) {
+        const review = await bookManager.reviewContinuity(provider, {
+            chapter,
+            page,
+            content: pageContent,
+            storyContext: pageRequest.storyContext
+        }, (content, issues) => reviseForContinuity(provider, prompts, bookManager.continuity.policy.action, pageRequest, content, issues));
+        pageContent = review.content;
+    }
+    const dialogue = await bookManager.reviewDialogue({ chapter, page, content: pageContent },
+        (content, findings) => rewriteDialogue(provider, prompts, pageRequest, content, findings));
+    pageContent = dialogue.content;
+    await bookManager.storyMemory.summarizePage(provider, chapter, page, pageContent);
+    await bookManager.extractStoryFacts(provider, chapter, page, pageContent);
+    return pageContent;
+}
+
+// Revises the first page of a chapter so it follows on from the previous one.
+// The revision is reviewed like a new page, and the chapter summary redone.
+async function bridgeChapter(provider, bookManager, prompts, chapter, pagesPerChapter, events, options) {
+    console.log(`Bridging into Chapter ${chapter}...`);
+    const memory = bookManager.storyMemory;
+    const completion = await provider.createChatCompletion({
+        model: "gpt-4-turbo",
+        messages: prompts.bridgeMessages({
+            chapter,
+            outline: bookManager.outline,
+            previousText: memory.previousPageText(bookManager.bookContent, chapter, 1),
+            pageText: bookManager.bookContent[chapter][1]
+        }),
+        max_tokens: prompts.pageMaxTokens
+    }, { task: 'bridge', chapter, page: 1 });
+
+    const pageContent = await reviewPage(provider, bookManager, prompts, {
+        chapter,
+        page: 1,
+        pagesPerChapter,
+        outline: bookManager.outline,
+        storyContext: memory.buildContext(bookManager.bookContent, chapter, 1, bookManager.outline),
+        timeline: bookManager.timeline.describe(chapter, 1),
+        world: bookManager.world.describe()
+    }, completion.choices[0].message.content, options);
+    if (bookManager.isChapterWritten(chapter, pagesPerChapter)) {
+        // Bridges run once every chapter is drafted; the digest is already folded
+        await memory.summarizeChapter(provider, chapter, pagesPerChapter, { updateDigest: false });
+    }
+    bookManager.progressState.pendingBridges = bookManager.progressState.pendingBridges.filter(c => c !== chapter);
+    await bookManager.saveProgress(pageContent, chapter, 1);
+    publishBookEvent(events, BOOK_EVENTS.PAGE_SAVED, {
+        chapter,
+        page: 1,
+        content: pageContent,
+        bridged: true,
+        completedPages: countPages(bookManager.bookContent)
+    });
+}
+
+function countPages(bookContent) {
+    return Object.values(bookContent).reduce((total, pages) => total + Object.keys(pages).length, 0);
+}
+
+function buildResult(bookManager, compiledBook) {
+    return {
+        outline: bookManager.outline,
+        coverImage: bookManager.metadata.coverImage,
+        compiledBook,
+        metadata: bookManager.metadata,
+        progressState: bookManager.progressState,
+        usage: bookManager.usageLedger.summary(),
+        outputPath: bookManager.outputPath
+    };
+}
@@ -0,0 +1,274 @@
+// How a character communicates: 'signed' and 'spoken' characters must use
+// that dialogue format only, 'both' may use either
+export const COMMUNICATION_MODES = ['signed', 'spoken', 'both'];
+
+// rewrite turns on the rewrite pass for pages with dialogue in the wrong
+// format; a page is rewritten at most maxRewrites times.
+export const DEFAULT_DIALOGUE_OPTIONS = {
+    rewrite: false,
+    maxRewrites: 1
+};
+
+// Words in the narration around a line that say how it is delivered
+const SIGNED_VERBS = /\b(sign(s|ed|ing)?|fingerspell(s|ed|ing)?|fingerspelt)\b/i;
+const SPOKEN_VERBS = /\b(said|says|say|saying|spoke|speaks|shout(s|ed|ing)?|yell(s|ed|ing)?|whisper(s|ed|ing)?|murmur(s|ed|ing)?|mutter(s|ed|ing)?|called out)\b/i;
+
+// Typographic quotes count as spoken dialogue wherever "" does
+const CURLY_QUOTES = ['“', '”'];
+
+function normalizeName(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+export function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toList(value) {
+    if (!value) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : [value]).map(item => String(item).trim()).filter(Boolean);
+}
+
+// Dialogue marks used when the template sets no dialogueFormat
+export const DEFAULT_DIALOGUE_FORMAT = { signed: '<>', spoken: '""' };
+
+// { signed: { open, close }, spoken: [{ open, close }] } from a styleGuide
+// dialogueFormat such as { signed: '<>', spoken: '""' }. 'standard' dialogue
+// is spoken.
+export function dialogueMarks(dialogueFormat = {}) {
+    const marks = {};
+    for (const [kind, value] of Object.entries(dialogueFormat || {})) {
+        const mode = kind === 'standard' ? 'spoken' : kind;
+        if (!['signed', 'spoken'].includes(mode) || !value) {
+            continue;
+        }
+        const [open, close = open] = [...value];
+        marks[mode] = [...(marks[mode] || []), { open, close }];
+        if (mode === 'spoken' && open === '"') {
+            marks[mode].push({ open: CURLY_QUOTES[0], close: CURLY_QUOTES[1] });
+        }
+    }
+    return marks;
+}
+
+// Every line of dialogue in a paragraph, in order: { mode, line, start, end }
+// where line includes its marks
+export function findDialogueLines(paragraph, marks) {
+    const lines = [];
+    for (const [mode, pairs] of Object.entries(marks)) {
+        for (const { open, close } of pairs) {
+            const inner = open === close ? escapeRegExp(open) : `${escapeRegExp(open)}${escapeRegExp(close)}`;
+            const pattern = new RegExp(`${escapeRegExp(open)}[^${inner}\\n]+${escapeRegExp(close)}`, 'g');
+            for (const match of paragraph.matchAll(pattern)) {
+                lines.push({ mode, line: match[0], start: match.index, end: match.index + match[0].length });
+            }
+        }
+    }
+    return lines.sort((a, b) => a.start - b.start);
+}
+
+// The lines of dialogue in a paragraph with who delivers them and how the
+// narration says they are delivered: { mode, line, start, end, speaker,
+// delivery }. The speaker is the profile named in the narration next to the
+// line, or the only one named in the paragraph; delivery is 'signed' or
+// 'spoken' when the sentences around the line say so, otherwise null.
+export function attributeLines(paragraph, voices, marks) {
+    const lines = findDialogueLines(paragraph, marks);
+    const narration = lines.reduceRight((text, { start, end }) => `${text.slice(0, start)} ${text.slice(end)}`, paragraph);
+    const inParagraph = voices.mentionedIn(narration);
+
+    return lines.map((line, index) => {
+        // The sentence of narration before the line and the one after it
+        const before = paragraph.slice(index ? lines[index - 1].end : 0, line.start).split(/[.!?]\s/).pop();
+        const after = paragraph.slice(line.end, lines[index + 1]?.start ?? paragraph.length).split(/[.!?](\s|$)/)[0];
+        const tag = `${before} ${after}`;
+        const tagged = voices.mentionedIn(after).concat(voices.mentionedIn(before));
+        const signed = SIGNED_VERBS.test(tag);
+        const spoken = SPOKEN_VERBS.test(tag);
+        return {
+            ...line,
+            speaker: tagged[0] || (inParagraph.length === 1 ? inParagraph[0] : null),
+            delivery: signed !== spoken ? (signed ? 'signed' : 'spoken') : null
+        };
+    });
+}
+
+// Per-character voice profiles from the template's `voices` section:
+//   [{ name, aliases, communication, vocabulary, quirks }]
+export class VoiceProfiles {
+    constructor(voices = []) {
+        this.profiles = (voices || []).filter(voice => voice?.name).map(voice => ({
+            name: String(voice.name).trim(),
+            aliases: toList(voice.aliases),
+            communication: COMMUNICATION_MODES.includes(voice.communication) ? voice.communication : 'spoken',
+            vocabulary: toList(voice.vocabulary),
+            quirks: toList(voice.quirks)
+        }));
+    }
+
+    get isEmpty() {
+        return this.profiles.length === 0;
+    }
+
+    find(name) {
+        const key = normalizeName(name);
+        return this.profiles.find(profile =>
+            normalizeName(profile.name) === key || profile.aliases.some(alias => normalizeName(alias) === key)
+        ) || null;
+    }
+
+    // Profiles named in a piece of narration, by name or alias
+    mentionedIn(text) {
+        return this.profiles.filter(profile => [profile.name, ...profile.aliases].some(name =>
+            new RegExp(`(^|[^\\p{L}])${escapeRegExp(name)}($|[^\\p{L}])`, 'u').test(text)
+        ));
+    }
+
+    // One line per character for prompts
+    describe() {
+        const delivery = {
+            signed: 'communicates only in sign; every line is signed dialogue',
+            spoken: 'speaks aloud; every line is spoken dialogue',
+            both: 'both signs and speaks; mark each line by how it is delivered'
+        };
+        return this.profiles.map(profile => {
+            const parts = [
+                `${profile.aliases.length ? `${profile.name} (also ${profile.aliases.join(', ')})` : profile.name}: ${delivery[profile.communication]}`
+            ];
+            if (profile.vocabulary.length) parts.push(`Vocabulary: ${profile.vocabulary.join(', ')}`);
+            if (profile.quirks.length) parts.push(`Quirks: ${profile.quirks.join('; ')}`);
+            return `- ${parts.join('. ')}`;
+        }).join('\n');
+    }
+}
+
+// Checks that each line of dialogue uses the format of whoever delivers it,
+// without calling a model. The speaker of a line is the profiled character
+// named in the narration next to it, or the only one named in its paragraph.
+// Nothing is checked unless the dialogue format has marks for signed lines.
+export class DialogueValidator {
+    constructor(options = {}) {
+        const { voices, dialogueFormat, ...rest } = options;
+        this.options = { ...DEFAULT_DIALOGUE_OPTIONS, ...rest };
+        this.voices = voices instanceof VoiceProfiles ? voices : new VoiceProfiles(voices);
+        this.marks = dialogueMarks(dialogueFormat);
+    }
+
+    get enabled() {
+        return Boolean(this.marks.signed && this.marks.spoken);
+    }
+
+    // Findings { type, speaker, expected, found, line } for every line in the
+    // wrong format: 'wrong-format' when the speaker's profile does not allow
+    // it, 'verb-mismatch' when the narration says it is signed but it is
+    // marked as spoken, or the other way round.
+    validate(content) {
+        if (!this.enabled) {
+            return [];
+        }
+        const findings = [];
+        for (const paragraph of String(content || '').split(/\n\s*\n/)) {
+            for (const { mode, line, speaker, delivery } of attributeLines(paragraph, this.voices, this.marks)) {
+                if (speaker && speaker.communication !== 'both' && speaker.communication !== mode) {
+                    findings.push({ type: 'wrong-format', speaker: speaker.name, expected: speaker.communication, found: mode, line });
+                } else if (delivery && delivery !== mode) {
+                    findings.push({ type: 'verb-mismatch', speaker: speaker?.name || null, expected: delivery, found: mode, line });
+                }
+            }
+        }
+        return findings;
+    }
+
+    // text: { chapter, page, content }, page null for a whole chapter.
+    // With the rewrite option, text with findings is rewritten with
+    // `rewrite(content, findings)` at most maxRewrites times. Resolves with
+    // the content, the findings left, the findings of the first draft and the
+    // number of rewrites.
+    async enforce(text, rewrite) {
+        let content = text.content;
+        let findings = this.validate(content);
+        const flagged = findings;
+        let rewrites = 0;
+
+        while (findings.length && this.options.rewrite && rewrites < this.options.maxRewrites) {
+            console.log(`Dialogue: rewriting Chapter ${text.chapter}${text.page ? `, Page ${text.page}` : ''} (${findings.length} lines in the wrong format)`);
+            rewrites++;
+            content = await rewrite(content, findings);
+            findings = this.validate(content);
+        }
+
+        return { content, findings, flagged, rewrites };
+    }
+}
+
+export function describeDialogueFindings(findings) {
+    const labels = { signed: 'signed dialogue', spoken: 'spoken dialogue' };
+    return findings.map(finding => finding.type === 'wrong-format'
+        ? `- ${finding.line} is marked as ${labels[finding.found]}, but ${finding.speaker} only uses ${labels[finding.expected]}`
+        : `- ${finding.line} is marked as ${labels[finding.found]}, but the narration says it is ${finding.expected}`
+    ).join('\n');
+}
+
+// Fixes the marks and tags of the lines found, changing nothing else.
+// request: { chapter, page, model }; without a page the text is a whole chapter.
+export async function rewriteDialogue(provider, prompts, request, content, findings) {
+    const chapterOnly = request.page === undefined || request.page === null;
+    const completion = await provider.createChatCompletion({
+        model: request.model || 'gpt-4-turbo',
+        messages: prompts.dialogueMessages({ chapter: request.chapter, page: request.page, content, findings }),
+        max_tokens: chapterOnly ? 4000 : prompts.pageMaxTokens
+    }, { task: 'dialogue', chapter: request.chapter, page: request.page ?? undefined });
+    return completion.choices[0].message.content;
+}
+
+// Per-book record of lines found in the wrong dialogue format, kept in
+// metadata/dialogue_report.json
+export class DialogueReport {
+    constructor() {
+        this.entries = {};
+    }
+
+    // Only pages where lines were flagged are recorded
+    record(chapter, page, { findings, flagged, rewrites }) {
+        const key = page ? `${chapter}:${page}` : `${chapter}`;
+        if (!flagged.length) {
+            delete this.entries[key];
+            return;
+        }
+        this.entries[key] = {
+            chapter: Number(chapter),
+            page: page === null || page === undefined ? null : Number(page),
+            checkedAt: new Date().toISOString(),
+            rewrites,
+            flagged,
+            findings
+        };
+    }
+
+    get isEmpty() {
+        return Object.keys(this.entries).length === 0;
+    }
+
+    toJSON() {
+        const entries = Object.values(this.entries)
+            .sort((a, b) => a.chapter - b.chapter || (a.page || 0) - (b.page || 0));
+        return {
+            summary: {
+                pages: entries.length,
+                flagged: entries.reduce((total, entry) => total + entry.flagged.length, 0),
+                rewrites: entries.reduce((total, entry) => total + entry.rewrites, 0),
+                unresolved: entries.reduce((total, entry) => total + entry.findings.length, 0)
+            },
+            entries
+        };
+    }
+
+    load(report) {
+        this.entries = {};
+        for (const entry of report?.entries || []) {
+            this.entries[entry.page ? `${entry.chapter}:${entry.page}` : `${entry.chapter}`] = entry;
+        }
+    }
+}
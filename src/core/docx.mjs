@@ -0,0 +1,326 @@
+import {
+    Document,
+    Packer,
+    Paragraph,
+    TextRun,
+    Header,
+    Footer,
+    AlignmentType,
+    HeadingLevel,
+    PageNumber,
+    TableOfContents
+} from 'docx';
+import { DEFAULT_DIALOGUE_FORMAT, dialogueMarks } from './dialogue.mjs';
+
+// Sizes are in half-points and spacing and indents in twentieths of a point
+// (1440 to the inch)
+const BODY_RUN = { size: 24, font: 'Georgia', color: '000000' };
+
+// Paragraph styles shared by the compiled manuscript and the single page
+// documents. Heading1 is what the table of contents picks up.
+export const PARAGRAPH_STYLES = [
+    {
+        id: 'Heading1',
+        name: 'Heading 1',
+        basedOn: 'Normal',
+        next: 'bodyText',
+        quickFormat: true,
+        run: { size: 36, bold: true, font: 'Garamond', color: '000000' },
+        paragraph: {
+            spacing: { before: 1440, after: 720 },
+            alignment: AlignmentType.CENTER,
+            outlineLevel: 0
+        }
+    },
+    {
+        id: 'chapterTitle',
+        name: 'Chapter Title',
+        run: { size: 36, bold: true, font: 'Garamond', color: '000000' },
+        paragraph: {
+            spacing: { before: 1440, after: 720 },
+            alignment: AlignmentType.CENTER
+        }
+    },
+    {
+        id: 'chapterHeading',
+        name: 'Chapter Heading',
+        run: { size: 32, bold: true, font: 'Garamond', color: '000000' },
+        paragraph: {
+            spacing: { before: 240, after: 120 },
+            alignment: AlignmentType.CENTER
+        }
+    },
+    {
+        id: 'chapterSubtitle',
+        name: 'Chapter Subtitle',
+        run: { size: 26, italics: true, font: 'Garamond', color: '444444' },
+        paragraph: {
+            spacing: { before: 0, after: 720 },
+            alignment: AlignmentType.CENTER
+        }
+    },
+    {
+        id: 'pageHeading',
+        name: 'Page Heading',
+        run: { size: 24, bold: true, font: 'Garamond', color: '444444' },
+        paragraph: {
+            spacing: { before: 180, after: 120 }
+        }
+    },
+    {
+        id: 'bodyText',
+        name: 'Body Text',
+        run: BODY_RUN,
+        paragraph: {
+            spacing: { line: 360, before: 120, after: 120 }, // 1.5 line spacing
+            indent: { firstLine: 720 }
+        }
+    },
+    {
+        id: 'dialogue',
+        name: 'Dialogue',
+        run: { ...BODY_RUN, italics: true },
+        paragraph: {
+            spacing: { line: 360, before: 120, after: 120 },
+            indent: { left: 720, right: 720 }
+        }
+    },
+    {
+        id: 'sceneBreak',
+        name: 'Scene Break',
+        run: BODY_RUN,
+        paragraph: {
+            spacing: { before: 480, after: 480 },
+            alignment: AlignmentType.CENTER
+        }
+    },
+    {
+        id: 'bookTitle',
+        name: 'Book Title',
+        run: { size: 56, bold: true, font: 'Garamond', color: '000000' },
+        paragraph: {
+            spacing: { before: 2880, after: 240 },
+            alignment: AlignmentType.CENTER
+        }
+    },
+    {
+        id: 'bookSubtitle',
+        name: 'Book Subtitle',
+        run: { size: 32, italics: true, font: 'Garamond', color: '000000' },
+        paragraph: {
+            spacing: { after: 240 },
+            alignment: AlignmentType.CENTER
+        }
+    },
+    {
+        id: 'bookAuthor',
+        name: 'Book Author',
+        run: { size: 32, font: 'Garamond', color: '000000' },
+        paragraph: {
+            spacing: { before: 1440 },
+            alignment: AlignmentType.CENTER
+        }
+    },
+    {
+        id: 'matterHeading',
+        name: 'Matter Heading',
+        run: { size: 32, bold: true, font: 'Garamond', color: '000000' },
+        paragraph: {
+            spacing: { before: 1440, after: 480 },
+            alignment: AlignmentType.CENTER
+        }
+    },
+    {
+        id: 'matterCentered',
+        name: 'Matter Centered',
+        run: BODY_RUN,
+        paragraph: {
+            spacing: { before: 120, after: 120 },
+            alignment: AlignmentType.CENTER
+        }
+    },
+    {
+        id: 'epigraph',
+        name: 'Epigraph',
+        run: { ...BODY_RUN, italics: true },
+        paragraph: {
+            spacing: { before: 120, after: 120 },
+            indent: { left: 1440, right: 1440 },
+            alignment: AlignmentType.CENTER
+        }
+    },
+    {
+        id: 'copyright',
+        name: 'Copyright',
+        run: { ...BODY_RUN, size: 18 },
+        paragraph: {
+            spacing: { before: 60, after: 120 }
+        }
+    },
+    {
+        id: 'tocHeading',
+        name: 'TOC Heading',
+        run: { size: 32, bold: true, font: 'Garamond' },
+        paragraph: {
+            spacing: { before: 240, after: 240 },
+            alignment: AlignmentType.CENTER
+        }
+    }
+];
+
+// US Letter with one-inch margins
+export const PAGE_PROPERTIES = {
+    margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 },
+    size: { width: 12240, height: 15840 }
+};
+
+// Paragraph style for each layout of front and back matter (see book_matter.mjs)
+const MATTER_STYLES = { centered: 'matterCentered', epigraph: 'epigraph', copyright: 'copyright' };
+
+function chapterHeading(chapter) {
+    return chapter.title ? `Chapter ${chapter.number}: ${chapter.title}` : `Chapter ${chapter.number}`;
+}
+
+// Prose as styled paragraphs: paragraphs opening with a dialogue mark use
+// the dialogue style, the scene break marker the scene break style and the
+// rest body text
+export function styledParagraphs(text, { sceneBreakMarker = '* * *', dialogueFormat = DEFAULT_DIALOGUE_FORMAT } = {}) {
+    const openings = Object.values(dialogueMarks(dialogueFormat)).flat().map(mark => mark.open);
+    return String(text || '')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean)
+        .map(paragraph => {
+            if (paragraph === sceneBreakMarker) {
+                return new Paragraph({ text: sceneBreakMarker, style: 'sceneBreak' });
+            }
+            const style = openings.some(open => paragraph.startsWith(open)) ? 'dialogue' : 'bodyText';
+            // Line breaks inside a paragraph are kept as breaks
+            return new Paragraph({
+                style,
+                children: paragraph.split(/\s*\n\s*/).map((line, index) => new TextRun({ text: line, break: index ? 1 : 0 }))
+            });
+        });
+}
+
+function runningHeader(text) {
+    return new Header({
+        children: [
+            new Paragraph({
+                alignment: AlignmentType.CENTER,
+                children: [new TextRun({ text: String(text || '').toUpperCase(), font: 'Garamond', size: 18, italics: true })]
+            })
+        ]
+    });
+}
+
+function pageNumberFooter() {
+    return new Footer({
+        children: [
+            new Paragraph({
+                alignment: AlignmentType.CENTER,
+                children: [new TextRun({ children: [PageNumber.CURRENT], font: 'Garamond', size: 20 })]
+            })
+        ]
+    });
+}
+
+// One section of front or back matter, opening on a new page when
+// pageBreakBefore is set. Back matter headings are Heading 1 so that they
+// appear in the table of contents.
+function matterParagraphs(section, { back = false, pageBreakBefore = true, ...format } = {}) {
+    const paragraphs = [];
+    if (section.heading) {
+        paragraphs.push(back
+            ? new Paragraph({ text: section.heading, heading: HeadingLevel.HEADING_1, pageBreakBefore })
+            : new Paragraph({ text: section.heading, style: 'matterHeading', pageBreakBefore }));
+    }
+    if (section.layout === 'prose') {
+        return [...paragraphs, ...styledParagraphs(section.paragraphs.join('\n\n'), format)];
+    }
+    return [...paragraphs, ...section.paragraphs.map((text, index) => new Paragraph({
+        text,
+        style: MATTER_STYLES[section.layout] || 'matterCentered',
+        pageBreakBefore: pageBreakBefore && !section.heading && index === 0
+    }))];
+}
+
+// A single-section document with the shared styles
+export async function buildStyledDocument(children, { title } = {}) {
+    const doc = new Document({
+        title,
+        styles: { paragraphStyles: PARAGRAPH_STYLES },
+        sections: [{ properties: { page: PAGE_PROPERTIES }, children }]
+    });
+    return Packer.toBuffer(doc);
+}
+
+// The whole book as one manuscript:
+//   book: { title, subtitle, author, description, keywords, sceneBreakMarker,
+//           dialogueFormat, titlePage, frontMatter, backMatter,
+//           chapters: [{ number, title, subtitle, pages: [text] }] }
+// The title page, front matter and a table of contents come first, then the
+// chapters run continuously, each starting on a new page under a Heading 1,
+// followed by the back matter. The TOC is a field that Word and LibreOffice
+// fill in when the file is opened. Resolves with the .docx as a Buffer.
+export async function buildManuscript(book) {
+    const title = book.title || 'Untitled';
+    const chapters = [...(book.chapters || [])].sort((a, b) => a.number - b.number);
+    const format = {
+        sceneBreakMarker: book.sceneBreakMarker || undefined,
+        dialogueFormat: book.dialogueFormat || undefined
+    };
+
+    const frontMatter = book.titlePage === false ? [] : [
+        new Paragraph({ text: title, style: 'bookTitle' }),
+        book.subtitle ? new Paragraph({ text: book.subtitle, style: 'bookSubtitle' }) : null,
+        book.author ? new Paragraph({ text: book.author, style: 'bookAuthor' }) : null
+    ].filter(Boolean);
+    for (const section of book.frontMatter || []) {
+        frontMatter.push(...matterParagraphs(section, { ...format, pageBreakBefore: frontMatter.length > 0 }));
+    }
+    frontMatter.push(
+        new Paragraph({ text: 'Contents', style: 'tocHeading', pageBreakBefore: frontMatter.length > 0 }),
+        new TableOfContents('Contents', { hyperlink: true, headingStyleRange: '1-1' })
+    );
+
+    const body = chapters.flatMap((chapter, index) => [
+        // The chapters section already starts on a new page
+        new Paragraph({ text: chapterHeading(chapter), heading: HeadingLevel.HEADING_1, pageBreakBefore: index > 0 }),
+        chapter.subtitle ? new Paragraph({ text: chapter.subtitle, style: 'chapterSubtitle' }) : null,
+        ...chapter.pages.flatMap(page => styledParagraphs(page, format))
+    ].filter(Boolean));
+    for (const section of book.backMatter || []) {
+        body.push(...matterParagraphs(section, { ...format, back: true, pageBreakBefore: body.length > 0 }));
+    }
+
+    const doc = new Document({
+        title,
+        creator: book.author || '',
+        description: book.description || '',
+        keywords: (book.keywords || []).join(', '),
+        features: { updateFields: true },
+        // Author on the left-hand pages, title on the right-hand pages
+        evenAndOddHeaderAndFooters: true,
+        styles: { paragraphStyles: PARAGRAPH_STYLES },
+        sections: [
+            {
+                properties: { page: PAGE_PROPERTIES },
+                children: frontMatter
+            },
+            {
+                properties: { page: { ...PAGE_PROPERTIES, pageNumbers: { start: 1 } } },
+                headers: {
+                    default: runningHeader(title),
+                    even: runningHeader(book.author || title)
+                },
+                footers: {
+                    default: pageNumberFooter(),
+                    even: pageNumberFooter()
+                },
+                children: body
+            }
+        ]
+    });
+    return Packer.toBuffer(doc);
+}
@@ -0,0 +1,246 @@
+import crypto from 'crypto';
+import JSZip from 'jszip';
+
+export const EPUB_MIME_TYPE = 'application/epub+zip';
+
+// The package stylesheet; scene breaks show the book's own marker
+function stylesheet(sceneBreakMarker) {
+    return `body { margin: 0 5%; font-family: Georgia, serif; line-height: 1.5; }
+h1 { margin: 3em 0 0.5em; text-align: center; font-size: 1.6em; page-break-before: always; }
+h1 .chapter-number { display: block; font-size: 0.7em; font-weight: normal; letter-spacing: 0.1em; text-transform: uppercase; }
+p { margin: 0; text-indent: 1.5em; text-align: justify; }
+h1 + p, p.chapter-subtitle + p, hr.scene-break + p { text-indent: 0; }
+p.chapter-subtitle { margin: 0 0 2em; text-align: center; text-indent: 0; font-style: italic; }
+hr.scene-break { margin: 1.5em auto; width: 100%; border: 0; text-align: center; }
+hr.scene-break::after { content: ${cssString(sceneBreakMarker)}; }
+.title-page { margin-top: 30%; text-align: center; }
+.title-page h1 { margin: 0 0 0.5em; page-break-before: auto; }
+.title-page p { text-align: center; text-indent: 0; }
+.matter { margin-top: 20%; }
+.matter h1 { margin-top: 0; }
+.matter-centered p, .matter-epigraph p { text-align: center; text-indent: 0; margin: 0.5em 0; }
+.matter-epigraph p { font-style: italic; }
+.matter-copyright p { text-indent: 0; margin: 0.5em 0; font-size: 0.8em; text-align: left; }
+.cover { margin: 0; padding: 0; text-align: center; }
+.cover img { max-width: 100%; max-height: 100%; }
+`;
+}
+
+// A quoted CSS string, e.g. for a content property
+export function cssString(text) {
+    return `"${String(text ?? '').replace(/["\\]/g, '\\$&').replace(/\n/g, '\\a ')}"`;
+}
+
+export function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Stable urn:uuid for a book, so every export of it has the same identifier
+export function bookIdentifier(seed) {
+    const hex = crypto.createHash('sha1').update(String(seed)).digest('hex');
+    const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+// Paragraphs of prose as XHTML; paragraphs made only of the scene break
+// marker become scene breaks
+export function proseToXhtml(text, sceneBreakMarker = '* * *') {
+    return String(text || '')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean)
+        .map(paragraph => paragraph === sceneBreakMarker
+            ? '<hr class="scene-break" />'
+            : `<p>${escapeXml(paragraph).replace(/\s*\n\s*/g, '<br />')}</p>`)
+        .join('\n');
+}
+
+// A complete XHTML content document using the package's stylesheet
+export function xhtmlDocument(title, body, language, { bodyClass = '' } = {}) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="styles.css" />
+</head>
+<body${bodyClass ? ` class="${bodyClass}"` : ''}>
+${body}
+</body>
+</html>
+`;
+}
+
+// One chapter's pages as an XHTML document
+export function chapterXhtml({ number, title, subtitle }, pages, { language = 'en', sceneBreakMarker = '* * *' } = {}) {
+    const heading = title
+        ? `<h1><span class="chapter-number">Chapter ${number}</span> ${escapeXml(title)}</h1>`
+        : `<h1>Chapter ${number}</h1>`;
+    const body = [
+        `<section epub:type="chapter" id="chapter-${number}">`,
+        heading,
+        subtitle ? `<p class="chapter-subtitle">${escapeXml(subtitle)}</p>` : '',
+        pages.map(page => proseToXhtml(page, sceneBreakMarker)).join('\n'),
+        '</section>'
+    ].filter(Boolean).join('\n');
+    return xhtmlDocument(title ? `Chapter ${number}: ${title}` : `Chapter ${number}`, body, language);
+}
+
+// epub:type of each section of front and back matter (see book_matter.mjs)
+const MATTER_TYPES = {
+    copyright: 'copyright-page',
+    dedication: 'dedication',
+    epigraph: 'epigraph',
+    acknowledgements: 'acknowledgments'
+};
+
+// One section of front or back matter as an XHTML document
+export function matterXhtml(section, { language = 'en', sceneBreakMarker = '* * *', back = false, title = '' } = {}) {
+    const type = MATTER_TYPES[section.id] || (back ? 'backmatter' : 'frontmatter');
+    const content = section.layout === 'prose'
+        ? proseToXhtml(section.paragraphs.join('\n\n'), sceneBreakMarker)
+        : section.paragraphs.map(text => `<p>${escapeXml(text)}</p>`).join('\n');
+    const body = [
+        `<section epub:type="${type}" id="${section.id}" class="matter matter-${section.layout}">`,
+        section.heading ? `<h1>${escapeXml(section.heading)}</h1>` : '',
+        content,
+        '</section>'
+    ].filter(Boolean).join('\n');
+    return xhtmlDocument(section.heading || title, body, language);
+}
+
+// Builds an EPUB 3 package:
+//   book: {
+//     identifier, title, subtitle, author, language, description, keywords,
+//     publisher, modified (Date), sceneBreakMarker,
+//     cover: PNG or JPEG Buffer, or null,
+//     titlePage, frontMatter, backMatter,
+//     chapters: [{ number, title, subtitle, pages: [text] }]
+//   }
+// Resolves with the .epub file as a Buffer.
+export async function buildEpub(book) {
+    const language = book.language || 'en';
+    const title = book.title || 'Untitled';
+    const identifier = book.identifier || bookIdentifier(title);
+    const modified = (book.modified || new Date()).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const options = { language, sceneBreakMarker: book.sceneBreakMarker || '* * *' };
+    const coverType = book.cover && book.cover[0] === 0xFF ? 'jpeg' : 'png';
+    const coverFile = `images/cover.${coverType === 'jpeg' ? 'jpg' : 'png'}`;
+
+    const zip = new JSZip();
+    // The mimetype must come first and stay uncompressed
+    zip.file('mimetype', EPUB_MIME_TYPE, { compression: 'STORE' });
+    zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+</rootfiles>
+</container>
+`);
+    zip.file('OEBPS/styles.css', stylesheet(options.sceneBreakMarker));
+
+    // Every file but the mimetype, container and package document; the spine
+    // lists the ids of the readable ones in reading order
+    const manifest = [
+        { id: 'nav', href: 'nav.xhtml', type: 'application/xhtml+xml', properties: 'nav' },
+        { id: 'css', href: 'styles.css', type: 'text/css' }
+    ];
+    const spine = [];
+
+    if (book.cover) {
+        zip.file(`OEBPS/${coverFile}`, book.cover);
+        manifest.push({ id: 'cover-image', href: coverFile, type: `image/${coverType}`, properties: 'cover-image' });
+        zip.file('OEBPS/cover.xhtml', xhtmlDocument(title, `<section epub:type="cover" class="cover">
+<img src="${coverFile}" alt="${escapeXml(title)}" />
+</section>`, language, { bodyClass: 'cover' }));
+        manifest.push({ id: 'cover', href: 'cover.xhtml', type: 'application/xhtml+xml' });
+        spine.push('cover');
+    }
+
+    if (book.titlePage !== false) {
+        zip.file('OEBPS/title.xhtml', xhtmlDocument(title, `<section epub:type="titlepage" class="title-page">
+<h1>${escapeXml(title)}</h1>
+${book.subtitle ? `<p class="subtitle">${escapeXml(book.subtitle)}</p>\n` : ''}${book.author ? `<p class="author">${escapeXml(book.author)}</p>` : ''}
+</section>`, language));
+        manifest.push({ id: 'title-page', href: 'title.xhtml', type: 'application/xhtml+xml' });
+        spine.push('title-page');
+    }
+
+    const addMatter = (section, back) => {
+        const href = `${section.id}.xhtml`;
+        zip.file(`OEBPS/${href}`, matterXhtml(section, { ...options, back, title }));
+        manifest.push({ id: section.id, href, type: 'application/xhtml+xml' });
+        spine.push(section.id);
+    };
+    for (const section of book.frontMatter || []) {
+        addMatter(section, false);
+    }
+
+    const chapters = [...(book.chapters || [])].sort((a, b) => a.number - b.number);
+    for (const chapter of chapters) {
+        const href = `chapter-${chapter.number}.xhtml`;
+        zip.file(`OEBPS/${href}`, chapterXhtml(chapter, chapter.pages, options));
+        manifest.push({ id: `chapter-${chapter.number}`, href, type: 'application/xhtml+xml' });
+        spine.push(`chapter-${chapter.number}`);
+    }
+    const backMatter = book.backMatter || [];
+    for (const section of backMatter) {
+        addMatter(section, true);
+    }
+
+    const tocEntries = [
+        ...chapters.map(chapter =>
+            `<li><a href="chapter-${chapter.number}.xhtml">${escapeXml(chapter.title ? `Chapter ${chapter.number}: ${chapter.title}` : `Chapter ${chapter.number}`)}</a></li>`),
+        ...backMatter.filter(section => section.heading).map(section =>
+            `<li><a href="${section.id}.xhtml">${escapeXml(section.heading)}</a></li>`)
+    ];
+    zip.file('OEBPS/nav.xhtml', xhtmlDocument(title, `<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+<ol>
+${tocEntries.join('\n')}
+</ol>
+</nav>
+<nav epub:type="landmarks" id="landmarks" hidden="hidden">
+<ol>
+${book.cover ? '<li><a epub:type="cover" href="cover.xhtml">Cover</a></li>\n' : ''}${book.titlePage !== false ? '<li><a epub:type="titlepage" href="title.xhtml">Title Page</a></li>\n' : ''}${chapters.length ? `<li><a epub:type="bodymatter" href="chapter-${chapters[0].number}.xhtml">Start of Content</a></li>` : ''}
+</ol>
+</nav>`, language));
+
+    const metadata = [
+        `<dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>`,
+        `<dc:title id="title">${escapeXml(title)}</dc:title>`,
+        book.subtitle ? `<dc:title id="subtitle">${escapeXml(book.subtitle)}</dc:title>\n<meta refines="#subtitle" property="title-type">subtitle</meta>` : '',
+        book.author ? `<dc:creator id="author">${escapeXml(book.author)}</dc:creator>\n<meta refines="#author" property="role" scheme="marc:relators">aut</meta>` : '',
+        `<dc:language>${escapeXml(language)}</dc:language>`,
+        book.description ? `<dc:description>${escapeXml(book.description)}</dc:description>` : '',
+        book.publisher ? `<dc:publisher>${escapeXml(book.publisher)}</dc:publisher>` : '',
+        ...(book.keywords || []).map(keyword => `<dc:subject>${escapeXml(keyword)}</dc:subject>`),
+        `<meta property="dcterms:modified">${modified}</meta>`
+    ].filter(Boolean);
+
+    zip.file('OEBPS/content.opf', `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(language)}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+${metadata.join('\n')}
+</metadata>
+<manifest>
+${manifest.map(item => `<item id="${item.id}" href="${item.href}" media-type="${item.type}"${item.properties ? ` properties="${item.properties}"` : ''} />`).join('\n')}
+</manifest>
+<spine>
+${spine.map(id => `<itemref idref="${id}" />`).join('\n')}
+</spine>
+</package>
+`);
+
+    return zip.generateAsync({
+        type: 'nodebuffer',
+        mimeType: EPUB_MIME_TYPE,
+        compression: 'DEFLATE'
+    });
+}
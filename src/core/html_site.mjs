@@ -0,0 +1,167 @@
+import { cssString, escapeXml, proseToXhtml } from './epub.mjs';
+import { chapterFileName } from './markdown.mjs';
+
+// The reader's stylesheet; scene breaks show the book's own marker
+function stylesheet(sceneBreakMarker) {
+    return `:root {
+  --text: #222;
+  --muted: #666;
+  --background: #fdfcf8;
+  --accent: #8b3a1a;
+  color-scheme: light dark;
+}
+@media (prefers-color-scheme: dark) {
+  :root { --text: #e6e1d6; --muted: #9a958b; --background: #1b1a18; --accent: #e59a6f; }
+}
+html { font-size: clamp(1rem, 0.9rem + 0.5vw, 1.25rem); }
+body { margin: 0; background: var(--background); color: var(--text); font-family: Georgia, "Iowan Old Style", "Palatino Linotype", serif; line-height: 1.6; }
+main, nav.book-nav { box-sizing: border-box; max-width: 38rem; margin: 0 auto; padding: 0 1.25rem; }
+nav.book-nav { display: flex; justify-content: space-between; gap: 1rem; padding-top: 1rem; padding-bottom: 1rem; font-size: 0.85rem; }
+nav.book-nav a { color: var(--accent); text-decoration: none; }
+nav.book-nav a:hover, nav.book-nav a:focus { text-decoration: underline; }
+h1 { margin: 2.5rem 0 0.5rem; font-size: clamp(1.6rem, 1.2rem + 2vw, 2.4rem); line-height: 1.2; text-align: center; }
+h1 .chapter-number { display: block; color: var(--muted); font-size: 0.5em; font-weight: normal; letter-spacing: 0.1em; text-transform: uppercase; }
+.subtitle { margin: 0 0 2rem; color: var(--muted); font-style: italic; text-align: center; }
+article p { margin: 0; text-indent: 1.5em; hyphens: auto; }
+article h1 + p, article .subtitle + p, article hr.scene-break + p { text-indent: 0; }
+hr.scene-break { margin: 1.5rem 0; border: 0; text-align: center; }
+hr.scene-break::after { content: ${cssString(sceneBreakMarker)}; color: var(--muted); }
+.cover { display: block; max-width: min(100%, 22rem); height: auto; margin: 2rem auto; box-shadow: 0 0.5rem 1.5rem rgba(0, 0, 0, 0.25); }
+.author { text-align: center; font-size: 1.1rem; }
+.description { margin: 2rem 0; }
+.contents ol { padding-left: 1.5rem; }
+.contents li { margin: 0.4rem 0; }
+.matter { margin: 2.5rem 0; }
+.matter h2 { text-align: center; }
+.matter-centered p, .matter-epigraph p { margin: 0.5rem 0; text-align: center; text-indent: 0; }
+.matter-epigraph p { font-style: italic; }
+.matter-copyright p { margin: 0.5rem 0; color: var(--muted); font-size: 0.8rem; text-indent: 0; }
+.start { display: block; margin: 2rem 0 3rem; text-align: center; }
+.start a { display: inline-block; padding: 0.6rem 1.4rem; border: 1px solid var(--accent); border-radius: 0.3rem; color: var(--accent); text-decoration: none; }
+`;
+}
+
+function chapterHeading(chapter) {
+    return chapter.title ? `Chapter ${chapter.number}: ${chapter.title}` : `Chapter ${chapter.number}`;
+}
+
+function htmlPage({ title, language, head = '', body }) {
+    return `<!DOCTYPE html>
+<html lang="${escapeXml(language)}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" href="styles.css" />
+${head}</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// Links to the contents and the pages before and after; pages are
+// { href, label } for each chapter and section of back matter
+function pageNav(previous, next, label) {
+    const link = (page, rel, text) => page ? `<a rel="${rel}" href="${page.href}">${text}</a>` : '<span></span>';
+    return `<nav class="book-nav" aria-label="${label}">
+${link(previous, 'prev', previous ? `&larr; ${escapeXml(previous.label)}` : '')}
+<a href="index.html">Contents</a>
+${link(next, 'next', next ? `${escapeXml(next.label)} &rarr;` : '')}
+</nav>`;
+}
+
+// A section of front or back matter (see book_matter.mjs)
+function matterHtml(section, { sceneBreakMarker, element = 'section', heading = 'h2' }) {
+    const content = section.layout === 'prose'
+        ? proseToXhtml(section.paragraphs.join('\n\n'), sceneBreakMarker)
+        : section.paragraphs.map(text => `<p>${escapeXml(text)}</p>`).join('\n');
+    return [
+        `<${element} class="matter matter-${section.layout}" id="${section.id}">`,
+        section.heading ? `<${heading}>${escapeXml(section.heading)}</${heading}>` : '',
+        content,
+        `</${element}>`
+    ].filter(Boolean).join('\n');
+}
+
+// A multi-page static reader: index.html with the cover, description and
+// chapter index and the front matter, one page per chapter and per section
+// of back matter with previous/next navigation, and a shared responsive
+// stylesheet.
+//   book: { title, subtitle, author, language, description, keywords,
+//           sceneBreakMarker, cover: PNG Buffer or null, frontMatter, backMatter,
+//           chapters: [{ number, title, subtitle, pages: [text] }] }
+// Returns [{ path, content }] with paths relative to the site directory.
+export function buildHtmlSite(book) {
+    const language = book.language || 'en';
+    const title = book.title || 'Untitled';
+    const chapters = [...(book.chapters || [])].sort((a, b) => a.number - b.number);
+    const backMatter = book.backMatter || [];
+    const sceneBreakMarker = book.sceneBreakMarker || '* * *';
+    const files = [{ path: 'styles.css', content: stylesheet(sceneBreakMarker) }];
+    // Reading order of the pages after the index
+    const pages = [
+        ...chapters.map(chapter => ({ href: chapterFileName(chapter.number, 'html'), label: chapterHeading(chapter), chapter })),
+        ...backMatter.map(section => ({ href: `${section.id}.html`, label: section.heading || section.id, section }))
+    ];
+    const meta = [
+        book.author ? `<meta name="author" content="${escapeXml(book.author)}" />` : '',
+        book.description ? `<meta name="description" content="${escapeXml(book.description)}" />` : '',
+        book.keywords?.length ? `<meta name="keywords" content="${escapeXml(book.keywords.join(', '))}" />` : ''
+    ].filter(Boolean).map(line => `${line}\n`).join('');
+
+    if (book.cover) {
+        files.push({ path: 'cover.png', content: book.cover });
+    }
+    const index = [
+        '<main>',
+        book.cover ? `<img class="cover" src="cover.png" alt="Cover of ${escapeXml(title)}" />` : '',
+        `<h1>${escapeXml(title)}</h1>`,
+        book.subtitle ? `<p class="subtitle">${escapeXml(book.subtitle)}</p>` : '',
+        book.author ? `<p class="author">${escapeXml(book.author)}</p>` : '',
+        book.description ? `<p class="description">${escapeXml(book.description)}</p>` : '',
+        ...(book.frontMatter || []).map(section => matterHtml(section, { sceneBreakMarker })),
+        chapters.length ? `<p class="start"><a href="${chapterFileName(chapters[0].number, 'html')}">Start reading</a></p>` : '',
+        '<nav class="contents" aria-label="Contents">',
+        '<h2>Contents</h2>',
+        '<ol>',
+        ...chapters.map(chapter => `<li value="${chapter.number}"><a href="${chapterFileName(chapter.number, 'html')}">${escapeXml(chapterHeading(chapter))}</a></li>`),
+        '</ol>',
+        backMatter.length ? `<ul>\n${backMatter.map(section => `<li><a href="${section.id}.html">${escapeXml(section.heading || section.id)}</a></li>`).join('\n')}\n</ul>` : '',
+        '</nav>',
+        '</main>'
+    ].filter(Boolean).join('\n');
+    files.push({ path: 'index.html', content: htmlPage({ title, language, head: meta, body: index }) });
+
+    pages.forEach((page, position) => {
+        const previous = pages[position - 1];
+        const next = pages[position + 1];
+        const { chapter, section } = page;
+        const head = [
+            previous ? `<link rel="prev" href="${previous.href}" />\n` : '',
+            next ? `<link rel="next" href="${next.href}" />\n` : ''
+        ].join('');
+        const content = chapter ? [
+            '<article>',
+            chapter.title
+                ? `<h1><span class="chapter-number">Chapter ${chapter.number}</span> ${escapeXml(chapter.title)}</h1>`
+                : `<h1>Chapter ${chapter.number}</h1>`,
+            chapter.subtitle ? `<p class="subtitle">${escapeXml(chapter.subtitle)}</p>` : '',
+            chapter.pages.map(text => proseToXhtml(text, sceneBreakMarker)).join('\n'),
+            '</article>'
+        ] : [matterHtml(section, { sceneBreakMarker, element: 'article', heading: 'h1' })];
+        const body = [
+            pageNav(previous, next, 'Page navigation'),
+            '<main>',
+            ...content,
+            '</main>',
+            pageNav(previous, next, 'Page navigation, end of page')
+        ].filter(Boolean).join('\n');
+        files.push({
+            path: page.href,
+            content: htmlPage({ title: `${page.label} - ${title}`, language, head, body })
+        });
+    });
+    return files;
+}
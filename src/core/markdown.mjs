@@ -0,0 +1,100 @@
+// Characters Markdown would read as formatting or HTML; dialogue marked
+// with <> must not become tags
+const MARKDOWN_SPECIAL = /[\\`*_<>[\]]/g;
+
+export function escapeMarkdown(text) {
+    return String(text ?? '')
+        .replace(MARKDOWN_SPECIAL, '\\$&')
+        // Lines that would open a heading or a list
+        .replace(/^(\s*)(#|[-+](?=\s))/gm, '$1\\$2')
+        .replace(/^(\s*\d+)\.(?=\s)/gm, '$1\\.');
+}
+
+// YAML front matter; strings are written as JSON, which YAML reads as
+// double-quoted scalars
+export function frontMatter(fields) {
+    const lines = ['---'];
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)) {
+            continue;
+        }
+        if (Array.isArray(value)) {
+            lines.push(`${key}:`, ...value.map(item => `  - ${JSON.stringify(String(item))}`));
+        } else {
+            lines.push(`${key}: ${typeof value === 'number' ? value : JSON.stringify(String(value))}`);
+        }
+    }
+    lines.push('---', '');
+    return lines.join('\n');
+}
+
+export function chapterFileName(number, extension) {
+    return `chapter-${number}.${extension}`;
+}
+
+// Paragraphs of prose as Markdown; the scene break marker becomes a
+// thematic break
+export function proseToMarkdown(text, sceneBreakMarker = '* * *') {
+    return String(text || '')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean)
+        .map(paragraph => paragraph === sceneBreakMarker ? '* * *' : escapeMarkdown(paragraph).replace(/\s*\n\s*/g, '  \n'))
+        .join('\n\n');
+}
+
+// One Markdown file per chapter and an index.md with the book's front
+// matter, cover and contents:
+//   book: { title, subtitle, author, language, description, keywords,
+//           sceneBreakMarker, cover: PNG Buffer or null,
+//           chapters: [{ number, title, subtitle, pages: [text] }] }
+// Returns [{ path, content }] with paths relative to the export directory.
+export function buildMarkdownFiles(book) {
+    const chapters = [...(book.chapters || [])].sort((a, b) => a.number - b.number);
+    const files = [];
+    const heading = chapter => chapter.title ? `Chapter ${chapter.number}: ${chapter.title}` : `Chapter ${chapter.number}`;
+
+    const index = [
+        frontMatter({
+            title: book.title,
+            subtitle: book.subtitle,
+            author: book.author,
+            lang: book.language || 'en',
+            description: book.description,
+            keywords: book.keywords
+        }),
+        `# ${escapeMarkdown(book.title)}`,
+        ''
+    ];
+    if (book.subtitle) index.push(`*${escapeMarkdown(book.subtitle)}*`, '');
+    if (book.author) index.push(`by ${escapeMarkdown(book.author)}`, '');
+    if (book.cover) {
+        index.push(`![Cover of ${escapeMarkdown(book.title)}](cover.png)`, '');
+        files.push({ path: 'cover.png', content: book.cover });
+    }
+    if (book.description) index.push(escapeMarkdown(book.description), '');
+    index.push('## Contents', '', ...chapters.map(chapter =>
+        `${chapter.number}. [${escapeMarkdown(heading(chapter))}](${chapterFileName(chapter.number, 'md')})`), '');
+    files.push({ path: 'index.md', content: index.join('\n') });
+
+    chapters.forEach((chapter, position) => {
+        const content = [
+            frontMatter({
+                title: heading(chapter),
+                subtitle: chapter.subtitle,
+                chapter: chapter.number,
+                book: book.title,
+                author: book.author,
+                previous: position > 0 ? chapterFileName(chapters[position - 1].number, 'md') : null,
+                next: position < chapters.length - 1 ? chapterFileName(chapters[position + 1].number, 'md') : null
+            }),
+            `# ${escapeMarkdown(heading(chapter))}`,
+            '',
+            chapter.subtitle ? `*${escapeMarkdown(chapter.subtitle)}*\n` : null,
+            chapter.pages.map(page => proseToMarkdown(page, book.sceneBreakMarker)).join('\n\n'),
+            ''
+        ].filter(part => part !== null).join('\n');
+        files.push({ path: chapterFileName(chapter.number, 'md'), content });
+    });
+    return files;
+}
@@ -0,0 +1,211 @@
+import { escapeXml } from './epub.mjs';
+import { VoiceProfiles, DEFAULT_DIALOGUE_FORMAT, dialogueMarks, attributeLines, escapeRegExp } from './dialogue.mjs';
+
+// How signed dialogue is read aloud:
+//   character: in the signer's voice, like spoken dialogue
+//   narrator:  by the narrator, slightly slower, so the listener hears the
+//              signer's words rather than a voice
+//   announced: in the signer's voice, with the narrator first saying who
+//              signs unless the narration around the line already does
+export const SIGNED_DIALOGUE_CONVENTIONS = ['character', 'narrator', 'announced'];
+
+// voices: { narrator: 'voice', 'Character Name': 'voice' } maps speakers to
+// the TTS voices of the production; speakers without one keep their name.
+// lexicon: { "Lili'Van": 'LIL-ee vahn' } read as an alias, or
+// { "Lili'Van": { ipa: 'ˈlɪli vɑn' } } read from the IPA.
+export const DEFAULT_NARRATION_OPTIONS = {
+    signedDialogue: 'announced',
+    voices: {},
+    lexicon: {},
+    chapterPause: '1500ms',
+    sceneBreakPause: '2s',
+    sceneBreakMarker: '* * *'
+};
+
+const NARRATOR = 'narrator';
+
+function lexiconEntries(lexicon = {}) {
+    return Object.entries(lexicon || {})
+        .map(([grapheme, entry]) => typeof entry === 'string' ? { grapheme, alias: entry } : { grapheme, ...entry })
+        .filter(entry => entry.alias || entry.ipa)
+        // Longer names first so "Seelee Van" is matched before "Van"
+        .sort((a, b) => b.grapheme.length - a.grapheme.length || a.grapheme.localeCompare(b.grapheme));
+}
+
+// The cast for attributing dialogue: the voice profiles first, then the
+// story bible's characters that have none
+function castOf(voices, characters) {
+    const profiles = new VoiceProfiles(voices);
+    const others = (characters || []).filter(character => character?.name && !profiles.find(character.name)
+        && !(character.aliases || []).some(alias => profiles.find(alias)));
+    return new VoiceProfiles([
+        ...profiles.profiles,
+        ...others.map(({ name, aliases }) => ({ name, aliases }))
+    ]);
+}
+
+// The chapter as a script of blocks in reading order:
+//   { type: 'heading', text }
+//   { type: 'paragraph', segments: [{ speaker, voice, mode, text }] }
+//   { type: 'pause', time, reason }
+// Narration has the speaker 'narrator' and mode 'narration', dialogue the
+// name of its speaker (null when unknown) and mode 'signed' or 'spoken';
+// voice is whose voice reads the segment. With the convention 'announced' a
+// signed line is preceded by a narration segment with the cue.
+export function chapterScript(chapter, { cast, marks, options }) {
+    const heading = chapter.title ? `Chapter ${chapter.number}: ${chapter.title}` : `Chapter ${chapter.number}`;
+    const blocks = [{ type: 'heading', text: heading }];
+    if (chapter.subtitle) {
+        blocks.push({ type: 'heading', text: chapter.subtitle });
+    }
+    blocks.push({ type: 'pause', time: options.chapterPause, reason: 'chapter' });
+
+    const paragraphs = chapter.pages.join('\n\n').split(/\n\s*\n/).map(text => text.trim()).filter(Boolean);
+    for (const paragraph of paragraphs) {
+        if (paragraph === options.sceneBreakMarker) {
+            blocks.push({ type: 'pause', time: options.sceneBreakPause, reason: 'scene-break' });
+            continue;
+        }
+        const segments = [];
+        const narrate = text => {
+            const trimmed = text.replace(/\s+/g, ' ').trim();
+            if (trimmed) {
+                segments.push({ speaker: NARRATOR, voice: NARRATOR, mode: 'narration', text: trimmed });
+            }
+        };
+        let position = 0;
+        for (const line of attributeLines(paragraph, cast, marks)) {
+            narrate(paragraph.slice(position, line.start));
+            position = line.end;
+            const speaker = line.speaker?.name || null;
+            const signed = line.mode === 'signed';
+            if (signed && options.signedDialogue === 'announced' && line.delivery !== 'signed') {
+                narrate(speaker ? `${speaker} signs:` : 'Signed:');
+            }
+            segments.push({
+                speaker,
+                voice: !speaker || (signed && options.signedDialogue === 'narrator') ? NARRATOR : speaker,
+                mode: line.mode,
+                text: line.line.slice(1, -1).trim()
+            });
+        }
+        narrate(paragraph.slice(position));
+        blocks.push({ type: 'paragraph', segments });
+    }
+    return { number: chapter.number, title: chapter.title || null, blocks };
+}
+
+// Escapes text and marks the lexicon's names inline, for engines that do not
+// load the lexicon file
+function ssmlText(text, entries) {
+    const escaped = escapeXml(text);
+    if (!entries.length) {
+        return escaped;
+    }
+    // Names with an apostrophe also match the typographic one
+    const byName = new Map(entries.flatMap(entry => [entry.grapheme, entry.grapheme.replace(/'/g, '’')]
+        .map(grapheme => [escapeXml(grapheme), entry])));
+    const pattern = new RegExp(`(?<!\\p{L})(${[...byName.keys()].map(escapeRegExp).join('|')})(?!\\p{L})`, 'gu');
+    return escaped.replace(pattern, name => {
+        const entry = byName.get(name);
+        return entry.ipa
+            ? `<phoneme alphabet="ipa" ph="${escapeXml(entry.ipa)}">${name}</phoneme>`
+            : `<sub alias="${escapeXml(entry.alias)}">${name}</sub>`;
+    });
+}
+
+// One chapter script as an SSML 1.1 document; every segment is wrapped in
+// the voice that reads it, from the voices map when it has one
+export function scriptToSsml(script, { language = 'en', voices = {}, lexicon = {}, lexiconUri = null } = {}) {
+    const entries = lexiconEntries(lexicon);
+    const voice = (name, content) => `<voice name="${escapeXml(voices[name] || name)}">${content}</voice>`;
+    const body = script.blocks.map(block => {
+        if (block.type === 'pause') {
+            return `<break time="${escapeXml(block.time)}"/>`;
+        }
+        if (block.type === 'heading') {
+            return `<p>${voice(NARRATOR, `<s>${ssmlText(block.text, entries)}</s>`)}</p>`;
+        }
+        const segments = block.segments.map(segment => {
+            const text = ssmlText(segment.text, entries);
+            // Signed lines read by the narrator are set apart by pace
+            return voice(segment.voice, segment.mode === 'signed' && segment.voice === NARRATOR
+                ? `<prosody rate="90%">${text}</prosody>`
+                : text);
+        });
+        return `<p>${segments.join(' ')}</p>`;
+    });
+    const content = lexiconUri && entries.length
+        ? [`<lexicon uri="${escapeXml(lexiconUri)}" xml:id="names"/>`, '<lookup ref="names">', ...body, '</lookup>']
+        : body;
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<speak version="1.1" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${escapeXml(language)}">
+${content.join('\n')}
+</speak>
+`;
+}
+
+// W3C Pronunciation Lexicon (PLS 1.0) for the lexicon's names
+export function pronunciationLexicon(lexicon = {}, language = 'en') {
+    const entries = lexiconEntries(lexicon).sort((a, b) => a.grapheme.localeCompare(b.grapheme));
+    const lexemes = entries.map(entry => `<lexeme>
+<grapheme>${escapeXml(entry.grapheme)}</grapheme>
+${entry.ipa ? `<phoneme>${escapeXml(entry.ipa)}</phoneme>` : `<alias>${escapeXml(entry.alias)}</alias>`}
+</lexeme>`);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<lexicon version="1.0" xmlns="http://www.w3.org/2005/01/pronunciation-lexicon" alphabet="ipa" xml:lang="${escapeXml(language)}">
+${lexemes.join('\n')}
+</lexicon>
+`;
+}
+
+// Narration script of the book:
+//   book: { title, author, language, dialogueFormat, voices (voice profiles),
+//           characters (story bible entries), chapters: [{ number, title, subtitle, pages: [text] }] }
+// with the options of DEFAULT_NARRATION_OPTIONS. Returns [{ path, content }]:
+// script.json with every chapter's script, one chapter-N.ssml per chapter
+// and lexicon.pls when the lexicon has entries.
+export function buildNarration(book, options = {}) {
+    const settings = { ...DEFAULT_NARRATION_OPTIONS, ...options };
+    if (!SIGNED_DIALOGUE_CONVENTIONS.includes(settings.signedDialogue)) {
+        throw new Error(`Unknown signed dialogue convention ${settings.signedDialogue}, expected one of ${SIGNED_DIALOGUE_CONVENTIONS.join(', ')}`);
+    }
+    const language = book.language || 'en';
+    const cast = castOf(book.voices, book.characters);
+    const marks = dialogueMarks(book.dialogueFormat || DEFAULT_DIALOGUE_FORMAT);
+    const chapters = [...(book.chapters || [])].sort((a, b) => a.number - b.number);
+    const scripts = chapters.map(chapter => chapterScript(chapter, { cast, marks, options: settings }));
+    const pronunciations = lexiconEntries(settings.lexicon);
+    const hasLexicon = pronunciations.length > 0;
+
+    const files = [{
+        path: 'script.json',
+        content: {
+            title: book.title || 'Untitled',
+            author: book.author || null,
+            language,
+            signedDialogue: settings.signedDialogue,
+            speakers: [NARRATOR, ...cast.profiles.map(profile => profile.name)].map(speaker => ({
+                speaker,
+                voice: settings.voices[speaker] || speaker
+            })),
+            pronunciations,
+            chapters: scripts
+        }
+    }];
+    for (const script of scripts) {
+        files.push({
+            path: `chapter-${script.number}.ssml`,
+            content: scriptToSsml(script, {
+                language,
+                voices: settings.voices,
+                lexicon: settings.lexicon,
+                lexiconUri: hasLexicon ? 'lexicon.pls' : null
+            })
+        });
+    }
+    if (hasLexicon) {
+        files.push({ path: 'lexicon.pls', content: pronunciationLexicon(settings.lexicon, language) });
+    }
+    return files;
+}
@@ -0,0 +1,168 @@
+// Structured book outline. The model answers with JSON in OUTLINE_FORMAT;
+// it is validated and stored keyed by chapter number:
+//   { 1: { number, title, subtitle, summary, povCharacter, pages: [{ page, beat }] }, ... }
+
+export const OUTLINE_FORMAT = `Respond with valid JSON only, using this structure:
+{
+    "chapters": [
+        {
+            "number": 1,
+            "title": "chapter title",
+            "subtitle": "short chapter subtitle or epigraph",
+            "summary": "what happens in the chapter",
+            "povCharacter": "name of the point-of-view character",
+            "pages": [
+                { "page": 1, "beat": "what happens on this page" }
+            ]
+        }
+    ]
+}`;
+
+function isText(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+// Returns a list of problems; an empty list means the outline is usable
+export function validateOutline(parsed, chapters, pagesPerChapter) {
+    const errors = [];
+    if (!parsed || !Array.isArray(parsed.chapters)) {
+        return ['"chapters" must be an array'];
+    }
+    if (parsed.chapters.length !== chapters) {
+        errors.push(`expected ${chapters} chapters, got ${parsed.chapters.length}`);
+    }
+
+    parsed.chapters.forEach((chapter, index) => {
+        const label = `chapter ${index + 1}`;
+        if (!chapter || typeof chapter !== 'object' || Array.isArray(chapter)) {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        if (chapter.number !== index + 1) {
+            errors.push(`${label} must have "number": ${index + 1}`);
+        }
+        for (const field of ['title', 'summary', 'povCharacter']) {
+            if (!isText(chapter[field])) {
+                errors.push(`${label} is missing "${field}"`);
+            }
+        }
+        if (typeof chapter.subtitle !== 'string') {
+            errors.push(`${label} "subtitle" must be a string`);
+        }
+        if (!Array.isArray(chapter.pages) || chapter.pages.length !== pagesPerChapter) {
+            errors.push(`${label} must have ${pagesPerChapter} pages`);
+        } else {
+            chapter.pages.forEach((page, pageIndex) => {
+                if (!isText(page?.beat)) {
+                    errors.push(`${label} page ${pageIndex + 1} is missing "beat"`);
+                }
+            });
+        }
+    });
+
+    return errors;
+}
+
+// Parses and validates the model's answer: { outline } when it is usable,
+// otherwise { errors }, telling invalid JSON apart from schema problems
+export function parseOutlineResponse(content, chapters, pagesPerChapter) {
+    let parsed;
+    try {
+        parsed = JSON.parse(content);
+    } catch (error) {
+        return { errors: [`response is not valid JSON: ${error.message}`] };
+    }
+    const errors = validateOutline(parsed, chapters, pagesPerChapter);
+    return errors.length ? { errors } : { outline: normalizeOutline(parsed) };
+}
+
+export function normalizeOutline(parsed) {
+    const outline = {};
+    for (const chapter of parsed.chapters) {
+        outline[chapter.number] = {
+            number: chapter.number,
+            title: chapter.title.trim(),
+            subtitle: chapter.subtitle.trim(),
+            summary: chapter.summary.trim(),
+            povCharacter: chapter.povCharacter.trim(),
+            pages: chapter.pages.map((page, index) => ({ page: index + 1, beat: page.beat.trim() }))
+        };
+    }
+    return outline;
+}
+
+// Asks for the outline as JSON and re-requests with the validation errors
+// until it fits the schema or maxAttempts is reached.
+export async function requestOutline(provider, messages, { chapters, pagesPerChapter, model = 'gpt-4-turbo', maxAttempts = 3 }) {
+    const conversation = [...messages];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const completion = await provider.createChatCompletion({
+            model,
+            messages: conversation,
+            response_format: { type: 'json_object' }
+        }, { task: 'outline', attempt });
+
+        const content = completion.choices[0].message.content;
+        const { outline, errors } = parseOutlineResponse(content, chapters, pagesPerChapter);
+        if (outline) {
+            return outline;
+        }
+
+        console.warn(`Outline attempt ${attempt} rejected: ${errors.join('; ')}`);
+        conversation.push(
+            { role: 'assistant', content },
+            { role: 'user', content: `The outline is invalid: ${errors.join('; ')}. Return the complete corrected outline.\n\n${OUTLINE_FORMAT}` }
+        );
+    }
+
+    throw new Error(`Could not get a valid outline after ${maxAttempts} attempts`);
+}
+
+// Outline text for a page prompt. Older books stored the outline as free text.
+export function describeChapterOutline(outline, chapter, page = null) {
+    if (typeof outline === 'string') {
+        return outline;
+    }
+    const chapterOutline = outline?.[chapter];
+    if (!chapterOutline) {
+        return 'No outline available';
+    }
+
+    const lines = [
+        `Chapter ${chapter}: ${chapterOutline.title}`,
+        chapterOutline.subtitle ? `Subtitle: ${chapterOutline.subtitle}` : null,
+        `Summary: ${chapterOutline.summary}`,
+        `Point-of-view character: ${chapterOutline.povCharacter}`
+    ];
+    const beat = page !== null && chapterOutline.pages[page - 1]?.beat;
+    if (beat) {
+        lines.push(`This page: ${beat}`);
+    }
+    const nextBeat = page !== null && chapterOutline.pages[page]?.beat;
+    if (nextBeat) {
+        lines.push(`Next page (do not write it yet): ${nextBeat}`);
+    }
+    return lines.filter(Boolean).join('\n');
+}
+
+// Every page beat of a chapter, for prompts that write the chapter at once
+export function describeChapterBeats(outline, chapter) {
+    const pages = typeof outline === 'object' ? outline?.[chapter]?.pages : null;
+    if (!pages?.length) {
+        return '';
+    }
+    return `Page beats:\n${pages.map(({ page, beat }) => `${page}. ${beat}`).join('\n')}`;
+}
+
+export function chapterTitle(outline, chapter) {
+    return typeof outline === 'object' ? outline?.[chapter]?.title || '' : '';
+}
+
+export function chapterSubtitle(outline, chapter) {
+    return typeof outline === 'object' ? outline?.[chapter]?.subtitle || '' : '';
+}
+
+export function chapterSummary(outline, chapter) {
+    return typeof outline === 'object' ? outline?.[chapter]?.summary || '' : '';
+}
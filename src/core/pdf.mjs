@@ -0,0 +1,310 @@
+import fs from 'fs';
+import { createRequire } from 'module';
+import PDFDocument from 'pdfkit';
+
+const require = createRequire(import.meta.url);
+
+const POINTS_PER_INCH = 72;
+
+// Trim sizes in inches
+export const TRIM_SIZES = {
+    '6x9': { width: 6, height: 9 },
+    '5.5x8.5': { width: 5.5, height: 8.5 }
+};
+
+// Margins are in inches; inside is the margin at the binding, on the left of
+// odd (recto) pages and the right of even (verso) pages.
+// fonts: { regular, bold, italic } paths to TrueType fonts to embed; when
+// unset the BUNDLED_FONTS are.
+export const DEFAULT_PDF_OPTIONS = {
+    trimSize: '6x9',
+    margins: { top: 0.75, bottom: 0.75, inside: 0.875, outside: 0.625 },
+    fontSize: 11,
+    lineHeight: 1.45,
+    sceneBreakMarker: '* * *',
+    fonts: null
+};
+
+function bundledFont(file) {
+    try {
+        return require.resolve(`dejavu-fonts-ttf/ttf/${file}`);
+    } catch {
+        return null;
+    }
+}
+
+// DejaVu Serif, installed with the package so every PDF can embed its fonts
+export const BUNDLED_FONTS = {
+    regular: bundledFont('DejaVuSerif.ttf'),
+    bold: bundledFont('DejaVuSerif-Bold.ttf'),
+    italic: bundledFont('DejaVuSerif-Italic.ttf')
+};
+
+// Font files to embed for each style; styles without a file use the regular
+// one. Print services reject PDFs with fonts that are not embedded, so there
+// is no fallback to the standard PDF fonts.
+export function resolveFonts(fonts = null) {
+    const found = fonts || BUNDLED_FONTS;
+    if (!found.regular || !fs.existsSync(found.regular)) {
+        throw new Error(`No TrueType font to embed in the PDF: ${found.regular || 'the dejavu-fonts-ttf package is not installed'}`
+            + ' (set pdf.fonts in the template to { regular, bold, italic } .ttf paths)');
+    }
+    return Object.fromEntries(['regular', 'bold', 'italic'].map(style => [
+        style,
+        found[style] && fs.existsSync(found[style]) ? found[style] : found.regular
+    ]));
+}
+
+// Lays out a book on mirrored pages, one line at a time, so every page gets
+// the margins of its side of the spread
+class PdfTypesetter {
+    constructor(doc, book, options) {
+        this.doc = doc;
+        this.book = book;
+        this.options = options;
+        const trim = TRIM_SIZES[options.trimSize];
+        this.width = trim.width * POINTS_PER_INCH;
+        this.height = trim.height * POINTS_PER_INCH;
+        this.margins = Object.fromEntries(Object.entries(options.margins).map(([side, inches]) => [side, inches * POINTS_PER_INCH]));
+        this.leading = options.fontSize * options.lineHeight;
+        this.pageNumber = 0;
+        this.y = 0;
+    }
+
+    get left() {
+        return this.pageNumber % 2 === 1 ? this.margins.inside : this.margins.outside;
+    }
+
+    get textWidth() {
+        return this.width - this.margins.inside - this.margins.outside;
+    }
+
+    get bottom() {
+        return this.height - this.margins.bottom;
+    }
+
+    // header: false on title pages and chapter openings; numbered: false on
+    // pages without a folio
+    addPage({ header = true, numbered = true } = {}) {
+        this.doc.addPage({ size: [this.width, this.height], margin: 0 });
+        this.pageNumber++;
+        this.y = this.margins.top;
+        const size = this.options.fontSize * 0.8;
+
+        if (header) {
+            // Author on the left-hand page, title on the right-hand page
+            const text = this.pageNumber % 2 === 0 ? this.book.author || this.book.title : this.book.title;
+            this.doc.font('italic').fontSize(size);
+            this.centerLine(String(text || '').toUpperCase(), this.margins.top / 2, { characterSpacing: 0.5 });
+        }
+        if (numbered) {
+            this.doc.font('regular').fontSize(size);
+            this.centerLine(String(this.pageNumber), this.bottom + this.margins.bottom / 3);
+        }
+        this.doc.font('regular').fontSize(this.options.fontSize);
+    }
+
+    // Chapters open on right-hand (odd) pages
+    addOddPage(options) {
+        if (this.pageNumber % 2 === 1) {
+            this.addPage({ header: false, numbered: false });
+        }
+        this.addPage(options);
+    }
+
+    ensureSpace(height) {
+        if (this.y + height > this.bottom) {
+            this.addPage();
+        }
+    }
+
+    writeTitlePage() {
+        const { title, subtitle, author } = this.book;
+        this.addPage({ header: false, numbered: false });
+        this.y = this.height / 3;
+        this.textBlock(title || 'Untitled', 'bold', this.options.fontSize * 2.2);
+        if (subtitle) {
+            this.y += this.leading / 2;
+            this.textBlock(subtitle, 'italic', this.options.fontSize * 1.3);
+        }
+        if (author) {
+            this.y += this.leading * 3;
+            this.textBlock(author, 'regular', this.options.fontSize * 1.3);
+        }
+    }
+
+    // One line centred in the text block, in the current font
+    centerLine(text, y, options = {}) {
+        const x = this.left + (this.textWidth - this.doc.widthOfString(text, options)) / 2;
+        this.doc.text(text, x, y, { ...options, lineBreak: false });
+    }
+
+    // Text wrapped to the text block, centred unless align says otherwise
+    textBlock(text, font, size, align = 'center') {
+        this.doc.font(font).fontSize(size);
+        const height = this.doc.heightOfString(text, { width: this.textWidth, align });
+        this.ensureSpace(height);
+        this.doc.text(text, this.left, this.y, { width: this.textWidth, align });
+        this.y += height;
+        this.doc.font('regular').fontSize(this.options.fontSize);
+    }
+
+    // Greedy line breaking; words wider than the line are left to overflow
+    breakLines(text, firstIndent) {
+        const words = text.split(/\s+/).filter(Boolean);
+        const lines = [];
+        let current = [];
+        for (const word of words) {
+            const indent = lines.length === 0 ? firstIndent : 0;
+            const candidate = [...current, word].join(' ');
+            if (current.length && this.doc.widthOfString(candidate) > this.textWidth - indent) {
+                lines.push(current);
+                current = [word];
+            } else {
+                current.push(word);
+            }
+        }
+        if (current.length) {
+            lines.push(current);
+        }
+        return lines;
+    }
+
+    // Justified paragraph; the first line is indented unless it opens a
+    // chapter or follows a scene break
+    writeParagraph(text, { indent = true } = {}) {
+        const firstIndent = indent ? this.options.fontSize * 1.5 : 0;
+        const lines = this.breakLines(text, firstIndent);
+        lines.forEach((words, index) => {
+            this.ensureSpace(this.leading);
+            const offset = index === 0 ? firstIndent : 0;
+            const line = words.join(' ');
+            const last = index === lines.length - 1;
+            const wordSpacing = last || words.length < 2
+                ? 0
+                : (this.textWidth - offset - this.doc.widthOfString(line)) / (words.length - 1);
+            this.doc.text(line, this.left + offset, this.y, { lineBreak: false, wordSpacing });
+            this.y += this.leading;
+        });
+    }
+
+    writeSceneBreak() {
+        this.ensureSpace(this.leading * 3);
+        this.y += this.leading;
+        this.centerLine(this.options.sceneBreakMarker, this.y);
+        this.y += this.leading * 2;
+    }
+
+    writeChapter({ number, title, subtitle, pages }) {
+        this.addOddPage({ header: false });
+        this.y = this.margins.top + this.height / 6;
+        this.textBlock(`Chapter ${number}`.toUpperCase(), 'regular', this.options.fontSize * 0.9);
+        if (title) {
+            this.y += this.leading / 2;
+            this.textBlock(title, 'bold', this.options.fontSize * 1.6);
+        }
+        if (subtitle) {
+            this.y += this.leading / 3;
+            this.textBlock(subtitle, 'italic', this.options.fontSize);
+        }
+        this.y += this.leading * 2;
+        this.writeProse(pages.join('\n\n'));
+    }
+
+    writeProse(text) {
+        let indent = false;
+        for (const paragraph of text.split(/\n\s*\n/).map(part => part.trim()).filter(Boolean)) {
+            if (paragraph === this.options.sceneBreakMarker) {
+                this.writeSceneBreak();
+                indent = false;
+                continue;
+            }
+            this.writeParagraph(paragraph, { indent });
+            indent = true;
+        }
+    }
+
+    // Front matter gets a page of its own without header or folio; back
+    // matter opens on an odd page like a chapter
+    writeMatter({ heading, layout, paragraphs }, { back = false } = {}) {
+        if (back) {
+            this.addOddPage({ header: false });
+        } else {
+            this.addPage({ header: false, numbered: false });
+        }
+        this.y = this.margins.top + (heading || layout === 'prose' ? this.height / 6 : this.height / 4);
+        if (heading) {
+            this.textBlock(heading, 'bold', this.options.fontSize * 1.4);
+            this.y += this.leading * 2;
+        }
+        if (layout === 'prose') {
+            this.writeProse(paragraphs.join('\n\n'));
+            return;
+        }
+        for (const text of paragraphs) {
+            if (layout === 'copyright') {
+                this.textBlock(text, 'regular', this.options.fontSize * 0.8, 'left');
+            } else {
+                this.textBlock(text, layout === 'epigraph' ? 'italic' : 'regular', this.options.fontSize);
+            }
+            this.y += this.leading / 2;
+        }
+    }
+}
+
+// Builds a print-ready PDF of the book:
+//   book: { title, subtitle, author, language, description, keywords,
+//           titlePage, frontMatter, backMatter,
+//           chapters: [{ number, title, subtitle, pages: [text] }] }
+// with the options of DEFAULT_PDF_OPTIONS. The title page is page 1, each
+// section of front matter follows on a page of its own and every chapter and
+// section of back matter opens on an odd page. Resolves with the PDF as a Buffer.
+export function buildPdf(book, options = {}) {
+    const settings = {
+        ...DEFAULT_PDF_OPTIONS,
+        ...options,
+        margins: { ...DEFAULT_PDF_OPTIONS.margins, ...options.margins }
+    };
+    if (!TRIM_SIZES[settings.trimSize]) {
+        throw new Error(`Unknown trim size ${settings.trimSize}, expected one of ${Object.keys(TRIM_SIZES).join(', ')}`);
+    }
+
+    const doc = new PDFDocument({
+        autoFirstPage: false,
+        lang: book.language || 'en',
+        displayTitle: true,
+        info: {
+            Title: book.title || 'Untitled',
+            Author: book.author || '',
+            Subject: book.description || '',
+            Keywords: (book.keywords || []).join(', ')
+        }
+    });
+
+    for (const [style, font] of Object.entries(resolveFonts(settings.fonts))) {
+        doc.registerFont(style, font);
+    }
+
+    const chunks = [];
+    const done = new Promise((resolve, reject) => {
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const typesetter = new PdfTypesetter(doc, book, settings);
+    if (book.titlePage !== false) {
+        typesetter.writeTitlePage();
+    }
+    for (const section of book.frontMatter || []) {
+        typesetter.writeMatter(section);
+    }
+    for (const chapter of [...(book.chapters || [])].sort((a, b) => a.number - b.number)) {
+        typesetter.writeChapter(chapter);
+    }
+    for (const section of book.backMatter || []) {
+        typesetter.writeMatter(section, { back: true });
+    }
+    doc.end();
+    return done;
+}
@@ -0,0 +1,232 @@
+import { baseBookConfig } from '../templates/book_config.js';
+import { OUTLINE_FORMAT, describeChapterOutline, describeChapterBeats } from './outline.mjs';
+import { describeIssues } from './continuity.mjs';
+import { describeFindings } from './repetition.mjs';
+import { VoiceProfiles, describeDialogueFindings } from './dialogue.mjs';
+
+const DEFAULT_SYSTEM_PROMPT = 'You are a professional book writer.';
+
+const DIALOGUE_LABELS = {
+    signed: 'signed dialogue',
+    spoken: 'spoken dialogue',
+    standard: 'dialogue',
+    thought: 'thoughts'
+};
+
+// Builds the outline and page prompts from a book template so the template's
+// systemPrompt, styleGuide and chapterStructure.format reach the model.
+export class PromptBuilder {
+    constructor(bookConfig = {}) {
+        this.config = {
+            ...baseBookConfig,
+            ...bookConfig,
+            metadata: { ...bookConfig.metadata },
+            chapterStructure: {
+                ...baseBookConfig.chapterStructure,
+                ...bookConfig.chapterStructure,
+                format: {
+                    ...baseBookConfig.chapterStructure.format,
+                    ...bookConfig.chapterStructure?.format
+                }
+            },
+            styleGuide: {
+                ...baseBookConfig.styleGuide,
+                ...bookConfig.styleGuide
+            }
+        };
+        this.voices = new VoiceProfiles(this.config.voices);
+    }
+
+    get format() {
+        return this.config.chapterStructure.format;
+    }
+
+    get styleGuide() {
+        return this.config.styleGuide;
+    }
+
+    get pageLength() {
+        return this.format.pageLength;
+    }
+
+    get sceneBreakMarker() {
+        return this.format.sceneBreakMarker;
+    }
+
+    // Roughly 1.5 tokens per word, with headroom so pages are not cut off
+    get pageMaxTokens() {
+        return Math.ceil(this.pageLength * 2.5);
+    }
+
+    describeDialogueFormat() {
+        return Object.entries(this.styleGuide.dialogueFormat || {})
+            .map(([kind, marks]) => {
+                const [open, close = open] = [...marks];
+                return `${DIALOGUE_LABELS[kind] || kind} wrapped in ${open} and ${close}`;
+            })
+            .join('; ');
+    }
+
+    styleInstructions() {
+        const lines = [
+            `- Tone: ${this.styleGuide.tone}`,
+            `- Pacing: ${this.styleGuide.pacing}`,
+            `- Point of view: ${this.styleGuide.pointOfView}`
+        ];
+        const dialogue = this.describeDialogueFormat();
+        if (dialogue) {
+            lines.push(`- Dialogue format: ${dialogue}`);
+        }
+        lines.push(`- Scene breaks: a line containing only ${this.sceneBreakMarker}`);
+        lines.push(`- Page length: approximately ${this.pageLength} words`);
+        return lines.join('\n');
+    }
+
+    bookContext() {
+        const { title, genre, targetAudience, mainCharacter, setting } = this.config.metadata;
+        const lines = [];
+        if (title) lines.push(`Title: ${title}`);
+        if (genre) lines.push(`Genre: ${genre}`);
+        if (targetAudience) lines.push(`Target audience: ${targetAudience}`);
+        if (mainCharacter) lines.push(`Main character: ${mainCharacter.name} - ${mainCharacter.description}`);
+        if (setting) lines.push(`Setting: ${Object.values(setting).join('; ')}`);
+        return lines.join('\n');
+    }
+
+    systemMessage(role = this.config.systemPrompt || DEFAULT_SYSTEM_PROMPT) {
+        const voices = this.voices.describe();
+        return `${role}\n\nStyle guide:\n${this.styleInstructions()}${voices ? `\n\nCharacter voices:\n${voices}` : ''}`;
+    }
+
+    outlineMessages(theme, chapters, pagesPerChapter) {
+        return [
+            {
+                role: 'system',
+                content: this.systemMessage(`${this.config.systemPrompt || DEFAULT_SYSTEM_PROMPT}\nYou are outlining the book before it is written.`)
+            },
+            {
+                role: 'user',
+                content: `Create a detailed outline for a ${chapters}-chapter book with the following theme: ${theme}
+${this.bookContext()}
+
+Each chapter has ${pagesPerChapter} pages of about ${this.pageLength} words. Give every chapter a title, a subtitle, a summary, its point-of-view character and one beat for each of its ${pagesPerChapter} pages. The outline must fit the tone, pacing and point of view of the style guide.
+
+${OUTLINE_FORMAT}`
+            }
+        ];
+    }
+
+    revisionNotes(issues) {
+        return issues?.length
+            ? `\nAn earlier draft had these continuity problems; do not repeat them:\n${describeIssues(issues)}\n`
+            : '';
+    }
+
+    repetitionNotes(findings) {
+        return findings?.length
+            ? `\nAn earlier draft was rejected because it repeated earlier pages. It:\n${describeFindings(findings)}\nOpen differently, use fresh description and do not re-narrate what earlier pages told.\n`
+            : '';
+    }
+
+    worldNotes(world) {
+        return world ? `\nThe world of the book (keep places, groups, rules of magic and artifacts consistent with it):\n${world}\n` : '';
+    }
+
+    timelineNotes(timeline) {
+        return timeline ? `\nTimeline so far (keep ages, travel times and the order of events consistent with it):\n${timeline}\n` : '';
+    }
+
+    pageMessages({ chapter, page, pagesPerChapter, outline, storyContext = null, timeline = null, world = null, issues = null, repetition = null }) {
+        return [
+            { role: 'system', content: this.systemMessage() },
+            {
+                role: 'user',
+                content: `Write page ${page} of ${pagesPerChapter} of chapter ${chapter}.
+Use the following outline as context:
+${describeChapterOutline(outline, chapter, page)}
+${storyContext ? `\nWhat has happened so far:\n${storyContext}\n` : ''}${this.worldNotes(world)}${this.timelineNotes(timeline)}${this.revisionNotes(issues)}${this.repetitionNotes(repetition)}
+Write approximately ${this.pageLength} words of prose in ${this.styleGuide.pointOfView.toLowerCase()}, with a ${this.styleGuide.tone.toLowerCase()} tone and ${this.styleGuide.pacing.toLowerCase()} pacing.
+Use only the scene break marker ${this.sceneBreakMarker} on its own line for scene changes.`
+            }
+        ];
+    }
+
+    // A whole chapter in one request, used by batch generation
+    chapterMessages({ chapter, pagesPerChapter, outline, storyContext = null, timeline = null, world = null, issues = null, repetition = null }) {
+        return [
+            { role: 'system', content: this.systemMessage() },
+            {
+                role: 'user',
+                content: `Write chapter ${chapter} in full, covering each of its ${pagesPerChapter} page beats in order.
+Use the following outline as context:
+${describeChapterOutline(outline, chapter)}
+${describeChapterBeats(outline, chapter)}
+${storyContext ? `\nWhat has happened so far:\n${storyContext}\n` : ''}${this.worldNotes(world)}${this.timelineNotes(timeline)}${this.revisionNotes(issues)}${this.repetitionNotes(repetition)}
+Write approximately ${this.pageLength * pagesPerChapter} words of prose in ${this.styleGuide.pointOfView.toLowerCase()}, with a ${this.styleGuide.tone.toLowerCase()} tone and ${this.styleGuide.pacing.toLowerCase()} pacing.
+Use only the scene break marker ${this.sceneBreakMarker} on its own line for scene changes.`
+            }
+        ];
+    }
+
+    // Revises a chapter's first page, drafted in parallel before the previous
+    // chapter existed. The page to revise comes last, after one instruction line.
+    bridgeMessages({ chapter, outline, previousText, pageText }) {
+        return [
+            { role: 'system', content: this.systemMessage() },
+            {
+                role: 'user',
+                content: `Outline of chapter ${chapter}:
+${describeChapterOutline(outline, chapter, 1)}
+
+The end of chapter ${chapter - 1}:
+${previousText}`
+            },
+            {
+                role: 'user',
+                content: `Chapter ${chapter} was drafted before chapter ${chapter - 1} was written. Revise its first page below so it follows on naturally from the end of chapter ${chapter - 1}: smooth the transition and fix contradictions in time, place and what the characters know, but keep the events of the page and about ${this.pageLength} words. Return only the revised page.
+
+${pageText}`
+            }
+        ];
+    }
+
+    // Fixes continuity issues with the smallest possible change. Like
+    // bridgeMessages, the text to fix comes last, after one instruction line.
+    patchMessages({ chapter, page = null, content, issues }) {
+        const where = page ? `page ${page} of chapter ${chapter}` : `chapter ${chapter}`;
+        return [
+            { role: 'system', content: this.systemMessage() },
+            {
+                role: 'user',
+                content: `A continuity check of ${where} found these problems:
+${describeIssues(issues)}`
+            },
+            {
+                role: 'user',
+                content: `Revise the text below to resolve every problem listed, changing as little as possible and keeping its events, voice and length. Return only the revised text.
+
+${content}`
+            }
+        ];
+    }
+
+    // Fixes dialogue in the wrong format. Like patchMessages, the text to fix
+    // comes last, after one instruction line.
+    dialogueMessages({ chapter, page = null, content, findings }) {
+        const where = page ? `page ${page} of chapter ${chapter}` : `chapter ${chapter}`;
+        return [
+            { role: 'system', content: this.systemMessage() },
+            {
+                role: 'user',
+                content: `A dialogue check of ${where} found these lines in the wrong format (${this.describeDialogueFormat()}):
+${describeDialogueFindings(findings)}`
+            },
+            {
+                role: 'user',
+                content: `Revise the text below so every line of dialogue uses the format of the character delivering it and the narration around it agrees, changing nothing else. Return only the revised text.
+
+${content}`
+            }
+        ];
+    }
+}
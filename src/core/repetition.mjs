@@ -0,0 +1,217 @@
+// A page is rejected when any check crosses its threshold:
+//   maxNgramOverlap        share of the page's word n-grams (ngramSize words)
+//                          already used by one earlier page
+//   openingWords           a page opening with the same words as an earlier one
+//   maxParagraphSimilarity similarity of a paragraph to an earlier paragraph
+//                          (paragraphs shorter than minParagraphWords are skipped)
+// Pages are compared with the comparePages pages told before them, and
+// regenerated at most maxRegenerations times.
+export const DEFAULT_REPETITION_OPTIONS = {
+    ngramSize: 5,
+    maxNgramOverlap: 0.25,
+    openingWords: 8,
+    maxParagraphSimilarity: 0.7,
+    minParagraphWords: 12,
+    comparePages: 10,
+    maxRegenerations: 2
+};
+
+function words(text) {
+    return String(text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+function ngrams(tokens, size) {
+    const result = new Set();
+    for (let index = 0; index + size <= tokens.length; index++) {
+        result.add(tokens.slice(index, index + size).join(' '));
+    }
+    return result;
+}
+
+function paragraphs(text) {
+    return String(text || '').split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+function excerpt(text, length = 80) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    return flat.length > length ? `${flat.slice(0, length)}...` : flat;
+}
+
+// Share of a's n-grams that also occur in b
+export function ngramOverlap(a, b, size = DEFAULT_REPETITION_OPTIONS.ngramSize) {
+    const ours = ngrams(words(a), size);
+    if (!ours.size) {
+        return 0;
+    }
+    const theirs = ngrams(words(b), size);
+    let shared = 0;
+    for (const gram of ours) {
+        if (theirs.has(gram)) shared++;
+    }
+    return shared / ours.size;
+}
+
+// Jaccard similarity of the word trigrams of two paragraphs
+export function paragraphSimilarity(a, b) {
+    const ours = ngrams(words(a), 3);
+    const theirs = ngrams(words(b), 3);
+    if (!ours.size || !theirs.size) {
+        return 0;
+    }
+    let shared = 0;
+    for (const gram of ours) {
+        if (theirs.has(gram)) shared++;
+    }
+    return shared / (ours.size + theirs.size - shared);
+}
+
+// The pages told before the given one, most recent last
+export function earlierPages(bookContent, chapter, page, count) {
+    const pages = [];
+    for (const [chapterKey, chapterPages] of Object.entries(bookContent)) {
+        for (const [pageKey, content] of Object.entries(chapterPages)) {
+            const c = Number(chapterKey);
+            const p = Number(pageKey);
+            if (c < chapter || (c === chapter && page !== null && p < page)) {
+                pages.push({ chapter: c, page: p, content });
+            }
+        }
+    }
+    pages.sort((a, b) => a.chapter - b.chapter || a.page - b.page);
+    return pages.slice(-count);
+}
+
+// Compares new pages with the pages before them, without calling a model
+export class RepetitionDetector {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_REPETITION_OPTIONS, ...options };
+    }
+
+    // Findings { type, against: { chapter, page }, score, excerpt } for every
+    // check the text fails against the earlier pages
+    findRepetition(content, earlier) {
+        const { ngramSize, maxNgramOverlap, openingWords, maxParagraphSimilarity, minParagraphWords } = this.options;
+        const findings = [];
+        const opening = words(content).slice(0, openingWords).join(' ');
+        const ownParagraphs = paragraphs(content).filter(paragraph => words(paragraph).length >= minParagraphWords);
+
+        for (const previous of earlier) {
+            const against = { chapter: previous.chapter, page: previous.page };
+
+            const overlap = ngramOverlap(content, previous.content, ngramSize);
+            if (overlap > maxNgramOverlap) {
+                findings.push({ type: 'ngram-overlap', against, score: Number(overlap.toFixed(3)), excerpt: '' });
+            }
+
+            const previousOpening = words(previous.content).slice(0, openingWords).join(' ');
+            if (opening && words(opening).length === openingWords && opening === previousOpening) {
+                findings.push({ type: 'repeated-opening', against, score: 1, excerpt: excerpt(content) });
+            }
+
+            const previousParagraphs = paragraphs(previous.content).filter(paragraph => words(paragraph).length >= minParagraphWords);
+            for (const paragraph of ownParagraphs) {
+                const best = Math.max(0, ...previousParagraphs.map(other => paragraphSimilarity(paragraph, other)));
+                if (best > maxParagraphSimilarity) {
+                    findings.push({ type: 'near-duplicate-paragraph', against, score: Number(best.toFixed(3)), excerpt: excerpt(paragraph) });
+                }
+            }
+        }
+        return findings;
+    }
+
+    // text: { chapter, page, content }, page null for a whole chapter.
+    // While the text repeats earlier pages it is regenerated with
+    // `regenerate(findings)`, at most maxRegenerations times; the last draft
+    // is kept either way. Resolves with the content, the findings left and
+    // the findings of each rejected draft.
+    async enforce(bookContent, text, regenerate) {
+        const earlier = earlierPages(bookContent, text.chapter, text.page, this.options.comparePages);
+        let content = text.content;
+        let findings = this.findRepetition(content, earlier);
+        const rejected = [];
+
+        while (findings.length && rejected.length < this.options.maxRegenerations) {
+            console.log(`Repetition: regenerating Chapter ${text.chapter}${text.page ? `, Page ${text.page}` : ''} (${findings.map(finding => finding.type).join(', ')})`);
+            rejected.push({ findings });
+            content = await regenerate(findings);
+            findings = this.findRepetition(content, earlier);
+        }
+
+        return { content, findings, rejected };
+    }
+}
+
+export function describeFindings(findings) {
+    const labels = {
+        'ngram-overlap': 'reused much of the wording of',
+        'repeated-opening': 'opened with the same words as',
+        'near-duplicate-paragraph': 'nearly repeated a paragraph of'
+    };
+    return findings
+        .map(finding => `- ${labels[finding.type]} chapter ${finding.against.chapter}, page ${finding.against.page}${finding.excerpt ? `: "${finding.excerpt}"` : ''}`)
+        .join('\n');
+}
+
+// Writes the text again with the findings as notes. request holds the
+// pageMessages (or chapterMessages) arguments; without a page the text is a
+// whole chapter.
+export async function regenerateForRepetition(provider, prompts, request, findings) {
+    const chapterOnly = request.page === undefined || request.page === null;
+    const messages = chapterOnly
+        ? prompts.chapterMessages({ ...request, repetition: findings })
+        : prompts.pageMessages({ ...request, repetition: findings });
+    const completion = await provider.createChatCompletion({
+        model: request.model || 'gpt-4-turbo',
+        messages,
+        max_tokens: chapterOnly ? 4000 : prompts.pageMaxTokens
+    }, { task: chapterOnly ? 'chapter' : 'page', chapter: request.chapter, page: request.page ?? undefined });
+    return completion.choices[0].message.content;
+}
+
+// Per-book record of rejected drafts, kept in metadata/repetition_report.json
+export class RepetitionReport {
+    constructor() {
+        this.entries = {};
+    }
+
+    // Only pages with a rejected draft or findings left are recorded
+    record(chapter, page, { findings, rejected }) {
+        const key = page ? `${chapter}:${page}` : `${chapter}`;
+        if (!findings.length && !rejected.length) {
+            delete this.entries[key];
+            return;
+        }
+        this.entries[key] = {
+            chapter: Number(chapter),
+            page: page === null || page === undefined ? null : Number(page),
+            checkedAt: new Date().toISOString(),
+            regenerations: rejected.length,
+            rejected,
+            findings
+        };
+    }
+
+    get isEmpty() {
+        return Object.keys(this.entries).length === 0;
+    }
+
+    toJSON() {
+        const entries = Object.values(this.entries)
+            .sort((a, b) => a.chapter - b.chapter || (a.page || 0) - (b.page || 0));
+        return {
+            summary: {
+                pages: entries.length,
+                regenerations: entries.reduce((total, entry) => total + entry.regenerations, 0),
+                unresolved: entries.filter(entry => entry.findings.length).length
+            },
+            entries
+        };
+    }
+
+    load(report) {
+        this.entries = {};
+        for (const entry of report?.entries || []) {
+            this.entries[entry.page ? `${entry.chapter}:${entry.page}` : `${entry.chapter}`] = entry;
+        }
+    }
+}
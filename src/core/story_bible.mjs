@@ -0,0 +1,239 @@
+import { findNamed, mergeNamed, mergeUnique, normalizeName, toList } from '../utils/names.mjs';
+
+const EXTRACTION_FORMAT = `Respond with JSON in this format:
+{
+  "characters": [
+    {
+      "name": "the name the character is best known by",
+      "aliases": ["other names, titles or nicknames used in the text"],
+      "description": "one sentence on who the character is",
+      "physicalTraits": ["trait"],
+      "personalityTraits": ["trait"],
+      "relationships": [{ "name": "other character", "relationship": "how they relate" }]
+    }
+  ],
+  "plotPoints": ["plot point"],
+  "storyDevelopments": [
+    {
+      "event": "what happens, in one sentence",
+      "when": "when it happens in the story world, absolute (\"Day 3, dusk\") or relative to the previous event (\"two hours later\")",
+      "characters": ["characters involved"],
+      "flashback": false
+    }
+  ],
+  "world": {
+    "locations": [{ "name": "place", "aliases": [], "description": "what it is", "facts": ["fact the page establishes"] }],
+    "organizations": [{ "name": "group or society", "aliases": [], "description": "what it is", "facts": [] }],
+    "rules": [{ "name": "short name", "description": "how a magic or ability works, its limits and costs", "facts": [] }],
+    "artifacts": [{ "name": "object", "aliases": [], "description": "what it is and does", "facts": [] }]
+  }
+}`;
+
+const EMPTY_EXTRACTION = { characters: [], plotPoints: [], storyDevelopments: [], world: {} };
+
+function isEarlier(a, b) {
+    return !b || a.chapter < b.chapter || (a.chapter === b.chapter && a.page < b.page);
+}
+
+function describeLocation({ chapter, page }) {
+    return page ? `Chapter ${chapter}, page ${page}` : `Chapter ${chapter}`;
+}
+
+// Registry of the book's characters, kept across pages and runs: one entry
+// per character under its canonical name, with aliases, traits, where it
+// appears and how it relates to the others. Extractions from new pages are
+// merged into the existing entries instead of replacing them.
+export class StoryBible {
+    constructor(options = {}) {
+        this.model = options.model || 'gpt-4o-mini';
+        this.characters = {};
+    }
+
+    // Canonical entry for a name or any of its aliases
+    findCharacter(name) {
+        return findNamed(this.characters, name);
+    }
+
+    // Adds a character or merges the details into the existing entry.
+    // The first description wins; aliases and traits accumulate, and a
+    // relationship is updated to its latest description.
+    //   details: { aliases, description, physicalTraits, personalityTraits, relationships }
+    //   location: { chapter, page } where the character was seen
+    addCharacter(name, details = {}, location = null) {
+        const character = mergeNamed(this.characters, name, details, () => ({
+            physicalTraits: [],
+            personalityTraits: [],
+            firstAppearance: null,
+            appearances: {},
+            relationships: {}
+        }));
+        mergeUnique(character.physicalTraits, details.physicalTraits);
+        mergeUnique(character.personalityTraits, details.personalityTraits);
+
+        for (const relation of toList(details.relationships)) {
+            if (!relation?.name || !relation.relationship) {
+                continue;
+            }
+            const other = this.findCharacter(relation.name)?.name || String(relation.name).trim();
+            if (normalizeName(other) === normalizeName(character.name)) {
+                continue;
+            }
+            character.relationships[other] = {
+                description: String(relation.relationship).trim(),
+                since: character.relationships[other]?.since || location
+            };
+        }
+
+        if (location) {
+            this.recordAppearance(character.name, location);
+        }
+        return character;
+    }
+
+    recordAppearance(name, { chapter, page = null }) {
+        const character = this.findCharacter(name);
+        if (!character) {
+            return null;
+        }
+        const location = { chapter: Number(chapter), page: page === null ? null : Number(page) };
+        const pages = character.appearances[location.chapter] = character.appearances[location.chapter] || [];
+        if (location.page !== null && !pages.includes(location.page)) {
+            pages.push(location.page);
+            pages.sort((a, b) => a - b);
+        }
+        if (isEarlier(location, character.firstAppearance)) {
+            character.firstAppearance = location;
+        }
+        return character;
+    }
+
+    // Merges one page's extraction. Legacy extractions gave a character's
+    // description as `details`.
+    mergeExtraction(extraction, location) {
+        const merged = [];
+        for (const entry of toList(extraction?.characters)) {
+            if (!entry?.name) {
+                continue;
+            }
+            const { details, ...rest } = entry;
+            merged.push(this.addCharacter(entry.name, { description: details, ...rest }, location));
+        }
+        return merged;
+    }
+
+    // Asks the model which characters, plot points, developments and world
+    // details the page has, telling it the names already known (knownWorld
+    // for the world registry) so it reuses them. A response that is not valid
+    // JSON is logged and treated as an empty extraction.
+    async extract(provider, chapter, page, content, { knownWorld = '' } = {}) {
+        const known = this.describeNames();
+        const completion = await provider.createChatCompletion({
+            model: this.model,
+            messages: [
+                { role: 'system', content: 'You are a metadata extractor for fiction. Always respond with valid JSON.' },
+                {
+                    role: 'user',
+                    content: `Extract every character who appears or is mentioned on page ${page} of chapter ${chapter}, with what the page reveals about them, the page's important plot points, the events it tells, in order, with when they happen, and the places, organizations, rules of magic or abilities and artifacts it names or establishes.
+${known ? `\nKnown characters (use these canonical names; list new names for them as aliases):\n${known}\n` : ''}${knownWorld ? `\nKnown world (reuse these names):\n${knownWorld}\n` : ''}
+${EXTRACTION_FORMAT}
+
+Text to analyze:
+${content}`
+                }
+            ],
+            response_format: { type: 'json_object' },
+            temperature: 0.2
+        }, { task: 'metadata', chapter, page });
+
+        let extraction;
+        try {
+            extraction = { ...EMPTY_EXTRACTION, ...JSON.parse(completion.choices[0].message.content) };
+        } catch (error) {
+            console.warn(`Could not parse the metadata of Chapter ${chapter}, Page ${page}: ${error.message}`);
+            return { ...EMPTY_EXTRACTION };
+        }
+        this.mergeExtraction(extraction, { chapter, page });
+        return extraction;
+    }
+
+    describeNames() {
+        return Object.values(this.characters)
+            .map(character => character.aliases.length ? `${character.name} (also ${character.aliases.join(', ')})` : character.name)
+            .join('\n');
+    }
+
+    // Compact roster for prompts
+    describe() {
+        return Object.values(this.characters).map(character => {
+            const parts = [character.aliases.length ? `${character.name} (also ${character.aliases.join(', ')})` : character.name];
+            if (character.description) parts.push(character.description);
+            const traits = [...character.physicalTraits, ...character.personalityTraits];
+            if (traits.length) parts.push(`Traits: ${traits.join(', ')}`);
+            const relationships = Object.entries(character.relationships).map(([other, { description }]) => `${other}: ${description}`);
+            if (relationships.length) parts.push(`Relationships: ${relationships.join('; ')}`);
+            return `- ${parts.join('. ')}`;
+        }).join('\n');
+    }
+
+    // Readable story-bible document, characters in order of appearance
+    toMarkdown({ title = '', plotPoints = [] } = {}) {
+        const characters = Object.values(this.characters).sort((a, b) => {
+            if (!a.firstAppearance || !b.firstAppearance) {
+                return a.firstAppearance ? -1 : b.firstAppearance ? 1 : 0;
+            }
+            return isEarlier(a.firstAppearance, b.firstAppearance) ? -1 : isEarlier(b.firstAppearance, a.firstAppearance) ? 1 : 0;
+        });
+
+        const lines = [`# Story Bible${title ? `: ${title}` : ''}`, '', '## Characters', ''];
+        if (!characters.length) {
+            lines.push('No characters recorded yet.', '');
+        }
+        for (const character of characters) {
+            lines.push(`### ${character.name}`, '');
+            if (character.aliases.length) lines.push(`*Also known as: ${character.aliases.join(', ')}*`, '');
+            if (character.description) lines.push(character.description, '');
+            if (character.physicalTraits.length) lines.push(`- **Physical:** ${character.physicalTraits.join(', ')}`);
+            if (character.personalityTraits.length) lines.push(`- **Personality:** ${character.personalityTraits.join(', ')}`);
+            if (character.firstAppearance) lines.push(`- **First appearance:** ${describeLocation(character.firstAppearance)}`);
+
+            const appearances = Object.entries(character.appearances)
+                .sort(([a], [b]) => Number(a) - Number(b))
+                .map(([chapter, pages]) => pages.length
+                    ? `Chapter ${chapter} (${pages.length === 1 ? 'page' : 'pages'} ${pages.join(', ')})`
+                    : `Chapter ${chapter}`);
+            if (appearances.length) lines.push(`- **Appears in:** ${appearances.join('; ')}`);
+
+            const relationships = Object.entries(character.relationships);
+            if (relationships.length) {
+                lines.push('- **Relationships:**');
+                for (const [other, { description, since }] of relationships) {
+                    lines.push(`  - ${other}: ${description}${since ? ` (since ${describeLocation(since)})` : ''}`);
+                }
+            }
+            lines.push('');
+        }
+
+        if (plotPoints.length) {
+            lines.push('## Plot Points', '', ...plotPoints.map(point => `- ${point}`), '');
+        }
+        return lines.join('\n');
+    }
+
+    toJSON() {
+        return { characters: this.characters };
+    }
+
+    // Also accepts the [name, details] entries books saved before the
+    // registry existed, whose appearances were lost as {}
+    load(state = {}) {
+        this.characters = {};
+        if (Array.isArray(state)) {
+            for (const [name, details] of state) {
+                const chapter = Number(details?.firstAppearance);
+                this.addCharacter(name, { description: details?.details ?? details?.description }, chapter ? { chapter, page: null } : null);
+            }
+            return;
+        }
+        this.characters = state?.characters || {};
+    }
+}
@@ -0,0 +1,180 @@
+import { estimateTokens, truncateToTokens } from '../utils/tokens.mjs';
+import { chapterSummary } from './outline.mjs';
+
+function pageKey(chapter, page) {
+    return `${chapter}:${page}`;
+}
+
+// Hierarchical memory of what has been written: a summary per page, a summary
+// per chapter and a rolling "story so far" digest. Page prompts are built from
+// these within a token budget instead of from the raw text of the book.
+export class StoryMemory {
+    constructor(options = {}) {
+        this.tokenBudget = options.tokenBudget ?? 3000;
+        this.previousPageTokens = options.previousPageTokens ?? 800;
+        this.digestWords = options.digestWords ?? 300;
+        this.model = options.model || 'gpt-4o-mini';
+
+        this.pageSummaries = {};
+        this.chapterSummaries = {};
+        this.storySoFar = '';
+        this.digestedThrough = 0;
+    }
+
+    async summarize(provider, task, instruction, text, context = {}) {
+        const completion = await provider.createChatCompletion({
+            model: this.model,
+            messages: [
+                { role: 'system', content: 'You summarize fiction for a writer who needs to keep the story consistent. Keep names, places, decisions and unresolved threads.' },
+                { role: 'user', content: `${instruction}\n\n${text}` }
+            ],
+            temperature: 0.2
+        }, { task, ...context });
+        return completion.choices[0].message.content.trim();
+    }
+
+    async summarizePage(provider, chapter, page, content) {
+        this.pageSummaries[pageKey(chapter, page)] = await this.summarize(
+            provider,
+            'summary',
+            `Summarize page ${page} of chapter ${chapter} in two or three sentences.`,
+            content,
+            { chapter, page }
+        );
+        return this.pageSummaries[pageKey(chapter, page)];
+    }
+
+    // Summarizes the chapter from its page summaries and folds it into the
+    // digest. Chapters drafted in parallel pass updateDigest: false and are
+    // folded in order later by catchUpDigest.
+    async summarizeChapter(provider, chapter, pagesPerChapter, { updateDigest = true } = {}) {
+        const pageSummaries = [];
+        for (let page = 1; page <= pagesPerChapter; page++) {
+            const summary = this.pageSummaries[pageKey(chapter, page)];
+            if (summary) {
+                pageSummaries.push(`Page ${page}: ${summary}`);
+            }
+        }
+
+        this.chapterSummaries[chapter] = await this.summarize(
+            provider,
+            'summary',
+            `Summarize chapter ${chapter} in one paragraph from these page summaries.`,
+            pageSummaries.join('\n'),
+            { chapter }
+        );
+
+        if (updateDigest) {
+            await this.catchUpDigest(provider);
+        }
+        return this.chapterSummaries[chapter];
+    }
+
+    async updateDigest(provider, chapter) {
+        this.storySoFar = await this.summarize(
+            provider,
+            'digest',
+            `Rewrite the story-so-far digest in at most ${this.digestWords} words so it also covers chapter ${chapter}.`,
+            `Story so far:\n${this.storySoFar || '(nothing yet)'}\n\nChapter ${chapter}:\n${this.chapterSummaries[chapter]}`,
+            { chapter }
+        );
+        this.digestedThrough = chapter;
+    }
+
+    // Folds summarized chapters into the digest in story order, stopping at
+    // the first chapter that has no summary yet
+    async catchUpDigest(provider) {
+        while (this.chapterSummaries[this.digestedThrough + 1]) {
+            await this.updateDigest(provider, this.digestedThrough + 1);
+        }
+    }
+
+    // Fills in summaries missing for pages/chapters written before (chapter, page),
+    // e.g. for books started before memory existed. Saved summaries are reused.
+    async ensureSummaries(provider, bookContent, chapter, page, pagesPerChapter) {
+        for (let c = 1; c <= chapter; c++) {
+            const lastPage = c < chapter ? pagesPerChapter : page - 1;
+            for (let p = 1; p <= lastPage; p++) {
+                const content = bookContent[c]?.[p];
+                if (content !== undefined && !this.pageSummaries[pageKey(c, p)]) {
+                    await this.summarizePage(provider, c, p, content);
+                }
+            }
+            if (c < chapter && !this.chapterSummaries[c] && bookContent[c]) {
+                await this.summarizeChapter(provider, c, pagesPerChapter);
+            }
+        }
+    }
+
+    previousPageText(bookContent, chapter, page) {
+        if (page > 1) {
+            return bookContent[chapter]?.[page - 1] || '';
+        }
+        const previousChapter = bookContent[chapter - 1] || {};
+        const pages = Object.keys(previousChapter).map(Number).sort((a, b) => a - b);
+        return pages.length ? previousChapter[pages[pages.length - 1]] : '';
+    }
+
+    // Context for writing (chapter, page). Sections are admitted in priority
+    // order (previous page, this chapter, digest, earlier chapters) until the
+    // token budget is spent, then printed in story order. Earlier chapters not
+    // written yet (parallel drafting) are described from the outline.
+    buildContext(bookContent, chapter, page, outline = null) {
+        const sections = {};
+        let remaining = this.tokenBudget;
+        const admit = (name, title, text, { keepEnd = false } = {}) => {
+            if (!text || remaining <= 0) return;
+            const fitted = truncateToTokens(text, remaining, { keepEnd });
+            sections[name] = `${title}:\n${fitted}`;
+            remaining -= estimateTokens(sections[name]);
+        };
+
+        const previousPage = this.previousPageText(bookContent, chapter, page);
+        admit('previousPage', 'End of the previous page',
+            truncateToTokens(previousPage, this.previousPageTokens, { keepEnd: true }), { keepEnd: true });
+
+        const earlierPages = [];
+        for (let p = 1; p < page - 1; p++) {
+            const summary = this.pageSummaries[pageKey(chapter, p)];
+            if (summary) earlierPages.push(`Page ${p}: ${summary}`);
+        }
+        admit('thisChapter', 'Earlier in this chapter', earlierPages.join('\n'), { keepEnd: true });
+
+        admit('storySoFar', 'Story so far', this.storySoFar);
+
+        // Whole chapter summaries only, most recent first
+        const recentChapters = [];
+        let used = estimateTokens('Recent chapters:\n');
+        for (let c = chapter - 1; c >= 1; c--) {
+            const summary = this.chapterSummaries[c];
+            const planned = !summary && c > this.digestedThrough && chapterSummary(outline, c);
+            if (!summary && !planned) continue;
+            const entry = summary ? `Chapter ${c}: ${summary}` : `Chapter ${c} (planned): ${planned}`;
+            if (used + estimateTokens(entry) > remaining) break;
+            recentChapters.unshift(entry);
+            used += estimateTokens(entry) + 1;
+        }
+        admit('recentChapters', 'Recent chapters', recentChapters.join('\n'));
+
+        return ['storySoFar', 'recentChapters', 'thisChapter', 'previousPage']
+            .filter(name => sections[name])
+            .map(name => sections[name])
+            .join('\n\n') || 'This is the beginning of the book.';
+    }
+
+    toJSON() {
+        return {
+            pageSummaries: this.pageSummaries,
+            chapterSummaries: this.chapterSummaries,
+            storySoFar: this.storySoFar,
+            digestedThrough: this.digestedThrough
+        };
+    }
+
+    load(state = {}) {
+        this.pageSummaries = state.pageSummaries || {};
+        this.chapterSummaries = state.chapterSummaries || {};
+        this.storySoFar = state.storySoFar || '';
+        this.digestedThrough = state.digestedThrough ?? Object.keys(this.chapterSummaries).length;
+    }
+}
@@ -0,0 +1,94 @@
+import { toList } from '../utils/names.mjs';
+
+// Without a page, before the chapter starts
+function isBefore(event, chapter, page) {
+    return event.chapter < chapter || (event.chapter === chapter && page !== null && event.page < page);
+}
+
+function describeEvent(event) {
+    const when = event.when ? `[${event.when}${event.flashback ? ', flashback' : ''}] ` : event.flashback ? '[flashback] ' : '';
+    const who = event.characters.length ? ` (${event.characters.join(', ')})` : '';
+    return `${when}${event.event}${who}`;
+}
+
+// Events of the story in the order they are told, each with the page it is
+// told on, when it happens in the world (absolute, like "Day 3, dusk", or
+// relative, like "two hours later") and the characters involved. Fed into the
+// prompts so flashbacks, ages and travel times stay coherent.
+export class StoryTimeline {
+    constructor(options = {}) {
+        this.promptEvents = options.promptEvents ?? 15;
+        this.events = [];
+    }
+
+    // Replaces the events recorded for the page, so a page extracted again
+    // (after a revision or a rerun) is not counted twice. Developments are
+    // { event, when, characters, flashback } or plain strings; character
+    // names are resolved to canonical ones through the story bible.
+    addDevelopments(developments, { chapter, page = null }, storyBible = null) {
+        chapter = Number(chapter);
+        page = page === null ? null : Number(page);
+        this.events = this.events.filter(event => event.chapter !== chapter || event.page !== page);
+
+        for (const development of toList(developments)) {
+            const entry = typeof development === 'string' ? { event: development } : development;
+            const text = String(entry?.event || entry?.description || '').trim();
+            if (!text) {
+                continue;
+            }
+            const characters = [...new Set(toList(entry.characters)
+                .map(name => storyBible?.findCharacter(name)?.name || String(name).trim())
+                .filter(Boolean))];
+            this.events.push({
+                chapter,
+                page,
+                event: text,
+                when: String(entry.when || '').trim(),
+                characters,
+                flashback: Boolean(entry.flashback)
+            });
+        }
+
+        this.events.sort((a, b) => a.chapter - b.chapter || (a.page || 0) - (b.page || 0));
+        return this.eventsAt(chapter, page);
+    }
+
+    eventsAt(chapter, page = null) {
+        return this.events.filter(event => event.chapter === chapter && (page === null || event.page === page));
+    }
+
+    // The latest events told before the given page, for prompts
+    describe(chapter, page = null) {
+        const earlier = this.events.filter(event => isBefore(event, chapter, page));
+        return earlier.slice(-this.promptEvents)
+            .map(event => `- Chapter ${event.chapter}${event.page ? `, page ${event.page}` : ''}: ${describeEvent(event)}`)
+            .join('\n');
+    }
+
+    toMarkdown({ title = '' } = {}) {
+        const lines = [`# Timeline${title ? `: ${title}` : ''}`, ''];
+        if (!this.events.length) {
+            lines.push('No events recorded yet.', '');
+        }
+        const chapters = [...new Set(this.events.map(event => event.chapter))];
+        for (const chapter of chapters) {
+            lines.push(`## Chapter ${chapter}`, '');
+            for (const event of this.eventsAt(chapter)) {
+                const when = event.when ? ` *${event.when}*` : '';
+                const flashback = event.flashback ? ' (flashback)' : '';
+                const who = event.characters.length ? ` (${event.characters.join(', ')})` : '';
+                lines.push(`- **${event.page ? `Page ${event.page}` : 'Chapter'}**${when}${flashback}: ${event.event}${who}`);
+            }
+            lines.push('');
+        }
+        return lines.join('\n');
+    }
+
+    toJSON() {
+        return { events: this.events };
+    }
+
+    load(state = {}) {
+        this.events = state?.events || [];
+    }
+}
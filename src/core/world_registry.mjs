@@ -0,0 +1,157 @@
+import { findNamed, mergeNamed, mergeUnique, toList } from '../utils/names.mjs';
+
+export const WORLD_CATEGORIES = {
+    locations: 'Locations',
+    organizations: 'Organizations',
+    rules: 'Magic and ability rules',
+    artifacts: 'Artifacts'
+};
+
+// metadata.setting keys that are not places
+const NON_LOCATION_SETTING_KEYS = ['time', 'era', 'period'];
+
+// "Lili'Van (pocket dimension)" names Lili'Van and describes it
+function parseSettingValue(value) {
+    const match = /^(.+?)\s*\((.+)\)\s*$/.exec(String(value).trim());
+    return match ? { name: match[1], description: match[2] } : { name: String(value).trim() };
+}
+
+// Places, organizations, rules of magic or abilities and artifacts of the
+// book's world. Seeded from the template (its `world` section and
+// metadata.setting) and grown from the page extractions; entries merge by
+// name or alias like the characters of the story bible.
+export class WorldRegistry {
+    constructor(options = {}) {
+        this.promptEntries = options.promptEntries ?? 10;
+        this.entries = Object.fromEntries(Object.keys(WORLD_CATEGORIES).map(category => [category, {}]));
+    }
+
+    find(category, name) {
+        return this.entries[category] ? findNamed(this.entries[category], name) : null;
+    }
+
+    // Adds an entry or merges into the existing one: the first description
+    // wins, aliases and facts accumulate.
+    //   details: { aliases, description, facts }
+    //   location: { chapter, page } where it was mentioned, null for the template
+    add(category, name, details = {}, location = null) {
+        if (!this.entries[category] || !String(name || '').trim()) {
+            return null;
+        }
+        const entry = mergeNamed(this.entries[category], name, details, () => ({
+            facts: [],
+            source: location ? 'extracted' : 'template',
+            firstMention: null,
+            mentions: {}
+        }));
+        mergeUnique(entry.facts, details.facts);
+
+        if (location) {
+            const chapter = Number(location.chapter);
+            const page = Number(location.page);
+            const pages = entry.mentions[chapter] = entry.mentions[chapter] || [];
+            if (page && !pages.includes(page)) {
+                pages.push(page);
+                pages.sort((a, b) => a - b);
+            }
+            const first = entry.firstMention;
+            if (!first || chapter < first.chapter || (chapter === first.chapter && page < first.page)) {
+                entry.firstMention = { chapter, page };
+            }
+        }
+        return entry;
+    }
+
+    // Seeds the registry from a book template, its world section first so its
+    // descriptions win over metadata.setting. Safe to repeat: entries merge.
+    seed(bookConfig = {}) {
+        this.mergeExtraction(bookConfig.world);
+        const setting = bookConfig.metadata?.setting || {};
+        for (const [key, value] of Object.entries(setting)) {
+            if (!NON_LOCATION_SETTING_KEYS.includes(key) && typeof value === 'string' && value.trim()) {
+                const { name, description } = parseSettingValue(value);
+                this.add('locations', name, { description });
+            }
+        }
+    }
+
+    // world: { locations: [{ name, aliases, description, facts }], organizations, rules, artifacts }
+    mergeExtraction(world, location = null) {
+        for (const category of Object.keys(WORLD_CATEGORIES)) {
+            for (const item of toList(world?.[category])) {
+                const entry = typeof item === 'string' ? { name: item } : item;
+                if (entry?.name) {
+                    this.add(category, entry.name, entry, location);
+                }
+            }
+        }
+    }
+
+    mentionCount(entry) {
+        return Object.values(entry.mentions).reduce((total, pages) => total + pages.length, 0);
+    }
+
+    describeEntry(entry) {
+        const name = entry.aliases.length ? `${entry.name} (also ${entry.aliases.join(', ')})` : entry.name;
+        const details = [entry.description, ...entry.facts].filter(Boolean);
+        return `- ${name}${details.length ? `: ${details.join('; ')}` : ''}`;
+    }
+
+    // Template entries and the most mentioned ones of each category, for prompts
+    describe() {
+        const sections = [];
+        for (const [category, label] of Object.entries(WORLD_CATEGORIES)) {
+            const entries = Object.values(this.entries[category])
+                .sort((a, b) => (a.source === 'template' ? 0 : 1) - (b.source === 'template' ? 0 : 1)
+                    || this.mentionCount(b) - this.mentionCount(a))
+                .slice(0, this.promptEntries);
+            if (entries.length) {
+                sections.push(`${label}:\n${entries.map(entry => this.describeEntry(entry)).join('\n')}`);
+            }
+        }
+        return sections.join('\n');
+    }
+
+    describeNames() {
+        return Object.entries(WORLD_CATEGORIES)
+            .map(([category, label]) => [label, Object.values(this.entries[category]).map(entry => entry.name)])
+            .filter(([, names]) => names.length)
+            .map(([label, names]) => `${label}: ${names.join(', ')}`)
+            .join('\n');
+    }
+
+    toMarkdown() {
+        const lines = ['## World', ''];
+        for (const [category, label] of Object.entries(WORLD_CATEGORIES)) {
+            const entries = Object.values(this.entries[category]);
+            if (!entries.length) {
+                continue;
+            }
+            lines.push(`### ${label}`, '');
+            for (const entry of entries) {
+                lines.push(`- **${entry.name}**${entry.aliases.length ? ` (also ${entry.aliases.join(', ')})` : ''}${entry.description ? `: ${entry.description}` : ''}`);
+                for (const fact of entry.facts) {
+                    lines.push(`  - ${fact}`);
+                }
+                if (entry.firstMention) {
+                    lines.push(`  - First mentioned: Chapter ${entry.firstMention.chapter}, page ${entry.firstMention.page}`);
+                }
+            }
+            lines.push('');
+        }
+        if (lines.length === 2) {
+            lines.push('Nothing recorded yet.', '');
+        }
+        return lines.join('\n');
+    }
+
+    toJSON() {
+        return { entries: this.entries };
+    }
+
+    load(state = {}) {
+        for (const category of Object.keys(WORLD_CATEGORIES)) {
+            this.entries[category] = state?.entries?.[category] || {};
+        }
+    }
+}
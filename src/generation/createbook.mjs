@@ -1,17 +1,29 @@
 import dotenv from 'dotenv';
-import OpenAI from "openai";
 import fs from 'fs/promises';
-import { marked } from 'marked';
-import { translate } from '@vitalets/google-translate-api';
-import { Document, Paragraph, TextRun, Packer, AlignmentType, Header, Footer, TabStopType, TabStopPosition, LeaderType } from 'docx';
+import { Document, Paragraph, TextRun, Packer, AlignmentType, Header, Footer } from 'docx';
+import { createProvider } from '../providers/provider_factory.mjs';
+import { UsageTrackingProvider } from '../providers/usage_tracking_provider.mjs';
+import { UsageLedger } from '../utils/usage_ledger.mjs';
+import { RequestFailedError, ERROR_CATEGORIES } from '../providers/retrying_provider.mjs';
+import { OUTLINE_FORMAT, requestOutline, describeChapterOutline, chapterTitle, chapterSubtitle } from '../core/outline.mjs';
+import { StoryMemory } from '../core/story_memory.mjs';
+import { StoryBible } from '../core/story_bible.mjs';
+import { StoryTimeline } from '../core/timeline.mjs';
+import { WorldRegistry } from '../core/world_registry.mjs';
+import { RepetitionDetector, RepetitionReport, describeFindings } from '../core/repetition.mjs';
+import { ContinuityChecker } from '../core/continuity.mjs';
+import { DialogueValidator, DialogueReport, describeDialogueFindings } from '../core/dialogue.mjs';
+import { createDrakeConfig } from '../templates/drake_legacy.js';
+import { buildEpub, bookIdentifier, escapeXml, proseToXhtml, xhtmlDocument } from '../core/epub.mjs';
+import { buildPdf } from '../core/pdf.mjs';
+import { buildMarkdownFiles } from '../core/markdown.mjs';
+import { buildHtmlSite } from '../core/html_site.mjs';
+import { buildBookMatter } from '../core/book_matter.mjs';
+import { buildManuscript, styledParagraphs, PARAGRAPH_STYLES, PAGE_PROPERTIES } from '../core/docx.mjs';
 
 // Load environment variables from .env file
 dotenv.config();
 
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
-
 const systemPrompt = `You are an advanced AI book writer assistant specialized in creating long-form chapter books.
 Your capabilities include:
 - Creating detailed book outlines
@@ -25,7 +37,27 @@ Please analyze any provided manuscript deeply before continuing the story.
 When GPT-4 limits are reached, save progress and use prompt #2 (LET'S FINISH MY BOOK⭐) to continue later.`;
 
 class BookManager {
-    constructor() {
+    constructor(provider = createProvider(), options = {}) {
+        this.usageLedger = new UsageLedger('default', {
+            ledgerPath: 'usage_ledger.json',
+            budget: options.budget,
+            pricing: options.pricing
+        });
+        this.provider = new UsageTrackingProvider(provider, this.usageLedger);
+        this.storyMemory = new StoryMemory(options.memory);
+        this.storyBible = new StoryBible();
+        this.timeline = new StoryTimeline();
+        this.world = new WorldRegistry();
+        this.repetition = new RepetitionDetector(options.repetition);
+        this.repetitionReport = new RepetitionReport();
+        this.continuity = new ContinuityChecker();
+        this.bookConfig = createDrakeConfig();
+        this.dialogue = new DialogueValidator({
+            voices: this.bookConfig.voices,
+            dialogueFormat: this.bookConfig.styleGuide.dialogueFormat,
+            ...options.dialogue
+        });
+        this.dialogueReport = new DialogueReport();
         this.currentChapter = 1;
         this.currentPage = 1;
         this.bookContent = {};
@@ -38,7 +70,6 @@ class BookManager {
             createdDate: new Date().toISOString()
         };
         this.conversationHistory = [];
-        this.characters = new Map();
         this.plotPoints = new Set();
         this.progressState = {
             lastCompletedChapter: 0,
@@ -57,6 +88,7 @@ class BookManager {
             // If no metadata exists, create new
             this.metadata = await this.initializeBookMetadata();
         }
+        this.world.seed({ metadata: this.metadata });
     }
 
     async saveProgress(content, chapter, page) {
@@ -71,144 +103,36 @@ class BookManager {
 
         // Also save as DOCX for reading
         await this.saveAsDocx(content, chapter, page);
+
+        // Keep book content and progress in step with the page files
+        if (!this.bookContent[chapter]) {
+            this.bookContent[chapter] = {};
+        }
+        this.bookContent[chapter][page] = content;
+        this.progressState.lastCompletedChapter = chapter;
+        this.progressState.lastCompletedPage = page;
+        this.progressState.status = 'in_progress';
+        await this.saveState();
         
         console.log(`Progress saved to ${jsonFileName} and DOCX`);
     }
 
     async saveAsDocx(content, chapter, page) {
         const doc = new Document({
-            styles: {
-                paragraphStyles: [
-                    {
-                        id: 'chapterHeading',
-                        name: 'Chapter Heading',
-                        run: {
-                            size: 32,
-                            bold: true,
-                            font: 'Garamond',
-                            color: '000000'
-                        },
-                        paragraph: {
-                            spacing: {
-                                before: 240,
-                                after: 120
-                            },
-                            alignment: AlignmentType.CENTER
-                        }
-                    },
-                    {
-                        id: 'pageHeading',
-                        name: 'Page Heading',
-                        run: {
-                            size: 24,
-                            bold: true,
-                            font: 'Garamond',
-                            color: '444444'
-                        },
-                        paragraph: {
-                            spacing: {
-                                before: 180,
-                                after: 120
-                            }
-                        }
-                    },
-                    {
-                        id: 'bodyText',
-                        name: 'Body Text',
-                        run: {
-                            size: 24,
-                            font: 'Georgia',
-                            color: '000000'
-                        },
-                        paragraph: {
-                            spacing: {
-                                line: 360, // 1.5 line spacing
-                                before: 120,
-                                after: 120
-                            },
-                            indent: {
-                                firstLine: 720 // First line indent
-                            }
-                        }
-                    },
-                    {
-                        id: 'dialogue',
-                        name: 'Dialogue',
-                        run: {
-                            size: 24,
-                            font: 'Georgia',
-                            color: '000000',
-                            italics: true
-                        },
-                        paragraph: {
-                            spacing: {
-                                line: 360,
-                                before: 120,
-                                after: 120
-                            },
-                            indent: {
-                                left: 720, // Indent dialogue
-                                right: 720
-                            }
-                        }
-                    },
-                    {
-                        id: 'sceneBreak',
-                        name: 'Scene Break',
-                        run: {
-                            size: 24,
-                            font: 'Georgia',
-                            color: '000000'
-                        },
-                        paragraph: {
-                            spacing: {
-                                before: 480,
-                                after: 480
-                            },
-                            alignment: AlignmentType.CENTER
-                        }
-                    },
-                    {
-                        id: 'chapterTitle',
-                        name: 'Chapter Title',
-                        run: {
-                            size: 36,
-                            bold: true,
-                            font: 'Garamond',
-                            color: '000000'
-                        },
-                        paragraph: {
-                            spacing: {
-                                before: 1440,
-                                after: 720
-                            },
-                            alignment: AlignmentType.CENTER
-                        }
-                    }
-                ]
-            },
+            styles: { paragraphStyles: PARAGRAPH_STYLES },
             sections: [
                 // Chapter Title Page
                 {
-                    properties: {
-                        page: {
-                            margin: {
-                                top: 1440,
-                                right: 1440,
-                                bottom: 1440,
-                                left: 1440
-                            },
-                            size: {
-                                width: 12240,
-                                height: 15840
-                            }
-                        }
-                    },
+                    properties: { page: PAGE_PROPERTIES },
                     children: [
                         new Paragraph({
                             text: `Chapter ${chapter}`,
                             style: 'chapterTitle'
                         }),
+                        new Paragraph({
+                            text: this.getChapterTitle(chapter),
+                            style: 'chapterHeading'
+                        }),
                         // Optional chapter subtitle or quote
                         new Paragraph({
                             text: this.getChapterSubtitle(chapter),
@@ -218,20 +142,7 @@ class BookManager {
                 },
                 // Content Section
                 {
-                    properties: {
-                        page: {
-                            margin: {
-                                top: 1440, // 1 inch
-                                right: 1440,
-                                bottom: 1440,
-                                left: 1440
-                            },
-                            size: {
-                                width: 12240, // 8.5 inches
-                                height: 15840 // 11 inches
-                            }
-                        }
-                    },
+                    properties: { page: PAGE_PROPERTIES },
                     headers: {
                         default: new Header({
                             children: [
@@ -264,7 +175,7 @@ class BookManager {
                             ]
                         })
                     },
-                    children: this.formatContentWithStyles(content, chapter, page)
+                    children: this.formatContentWithStyles(content)
                 }
             ]
         });
@@ -273,54 +184,21 @@ class BookManager {
         await fs.writeFile(`chapter${chapter}_page${page}.docx`, buffer);
     }
 
-    formatContentWithStyles(content, chapter, page) {
-        const paragraphs = [];
-        const lines = content.split('\n\n');
-
-        for (const line of lines) {
-            if (this.isDialogue(line)) {
-                // Format dialogue
-                paragraphs.push(
-                    new Paragraph({
-                        text: line,
-                        style: 'dialogue'
-                    })
-                );
-            } else if (this.isSceneBreak(line)) {
-                // Add scene break marker
-                paragraphs.push(
-                    new Paragraph({
-                        text: '* * *',
-                        style: 'sceneBreak'
-                    })
-                );
-            } else {
-                // Regular paragraph
-                paragraphs.push(
-                    new Paragraph({
-                        text: line,
-                        style: 'bodyText'
-                    })
-                );
-            }
-        }
-
-        return paragraphs;
-    }
-
-    isDialogue(text) {
-        // Detect dialogue by looking for quotes
-        return text.trim().startsWith('"') || text.trim().startsWith('"<');
+    // Dialogue, scene breaks and body text in their paragraph styles
+    formatContentWithStyles(content) {
+        return styledParagraphs(content, {
+            sceneBreakMarker: this.bookConfig.chapterStructure.format.sceneBreakMarker,
+            dialogueFormat: this.bookConfig.styleGuide.dialogueFormat
+        });
     }
 
-    isSceneBreak(text) {
-        // Detect scene breaks (customize based on your needs)
-        return text.trim() === '***' || text.trim() === '---';
+    getChapterTitle(chapter) {
+        return chapterTitle(this.outline, chapter);
     }
 
     getChapterSubtitle(chapter) {
         // Get chapter subtitle from outline or metadata
-        return this.outline[chapter]?.subtitle || '';
+        return chapterSubtitle(this.outline, chapter);
     }
 
     async loadProgress(chapter, page) {
@@ -329,44 +207,26 @@ class BookManager {
             const data = await fs.readFile(fileName, 'utf8');
             return JSON.parse(data);
         } catch (error) {
-            console.error("Error loading progress:", error);
+            if (error.code !== 'ENOENT') {
+                console.error("Error loading progress:", error);
+            }
             return null;
         }
     }
 
     async compileBook() {
-        // Generate table of contents first
-        await this.generateTableOfContents();
-
         // Create JSON compilation
         const jsonContent = JSON.stringify(this.bookContent, null, 2);
         await fs.writeFile('complete_book.json', jsonContent);
 
-        // Create DOCX compilation
-        const doc = new Document();
-        for (let chapter in this.bookContent) {
-            for (let page in this.bookContent[chapter]) {
-                doc.addSection({
-                    children: [
-                        new Paragraph({
-                            children: [
-                                new TextRun({
-                                    text: `Chapter ${chapter}, Page ${page}`,
-                                    bold: true,
-                                    size: 24
-                                }),
-                                new TextRun({
-                                    text: '\n\n' + this.bookContent[chapter][page],
-                                    size: 12
-                                })
-                            ]
-                        })
-                    ]
-                });
-            }
-        }
-
-        const buffer = await Packer.toBuffer(doc);
+        // One DOCX manuscript with its own table of contents
+        const buffer = await buildManuscript({
+            ...this.publicationDetails(),
+            ...this.bookMatter(),
+            sceneBreakMarker: this.bookConfig.chapterStructure.format.sceneBreakMarker,
+            dialogueFormat: this.bookConfig.styleGuide.dialogueFormat,
+            chapters: this.compiledChapters()
+        });
         await fs.writeFile('complete_book.docx', buffer);
 
         return {
@@ -375,20 +235,17 @@ class BookManager {
         };
     }
 
-    async createOutline(theme, length) {
+    async createOutline(theme, length, pagesPerChapter = 5) {
         const outlinePrompt = `Create a detailed book outline for a ${length}-chapter book about ${theme}. 
-                             Include chapter summaries and key plot points.`;
-        
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4-turbo",
-            messages: [
-                { role: "system", content: systemPrompt },
-                { role: "user", content: outlinePrompt }
-            ],
-            temperature: 0.7
-        });
+                             Each chapter has ${pagesPerChapter} pages. Include a title, subtitle, summary,
+                             point-of-view character and one beat per page for every chapter.
 
-        this.outline = completion.choices[0].message.content;
+${OUTLINE_FORMAT}`;
+        
+        this.outline = await requestOutline(this.provider, [
+            { role: "system", content: systemPrompt },
+            { role: "user", content: outlinePrompt }
+        ], { chapters: length, pagesPerChapter });
         await this.saveOutline();
         return this.outline;
     }
@@ -418,6 +275,8 @@ class BookManager {
                 return this.exportToMarkdown(content);
             case 'epub':
                 return this.exportToEPUB(content);
+            case 'pdf':
+                return this.exportToPDF(content);
             default:
                 return content;
         }
@@ -440,27 +299,54 @@ class BookManager {
     async saveState() {
         const state = {
             progress: this.progressState,
-            characters: Array.from(this.characters.entries()),
+            storyBible: this.storyBible.toJSON(),
+            timeline: this.timeline.toJSON(),
+            world: this.world.toJSON(),
+            repetition: this.repetitionReport.toJSON(),
+            dialogue: this.dialogueReport.toJSON(),
             plotPoints: Array.from(this.plotPoints),
             bookContent: this.bookContent,
             outline: this.outline,
-            metadata: this.metadata
+            metadata: this.metadata,
+            memory: this.storyMemory.toJSON()
         };
         
         await fs.writeFile('book_state.json', JSON.stringify(state, null, 2));
+        await this.usageLedger.save();
+    }
+
+    async pause(reason, error = null) {
+        this.progressState.status = 'paused';
+        this.progressState.pauseReason = reason;
+        this.progressState.pausedAt = new Date().toISOString();
+        if (error) {
+            this.progressState.lastError = {
+                category: error.category,
+                attempts: error.attempts,
+                message: error.message
+            };
+        }
+        console.log(`Generation paused: ${reason}`);
+        await this.saveState();
     }
 
     async loadState() {
+        await this.usageLedger.load();
         try {
             const data = await fs.readFile('book_state.json', 'utf8');
             const state = JSON.parse(data);
             
             this.progressState = state.progress;
-            this.characters = new Map(state.characters);
+            this.storyBible.load(state.storyBible || state.characters);
+            this.timeline.load(state.timeline);
+            this.world.load(state.world);
+            this.repetitionReport.load(state.repetition);
+            this.dialogueReport.load(state.dialogue);
             this.plotPoints = new Set(state.plotPoints);
             this.bookContent = state.bookContent;
             this.outline = state.outline;
             this.metadata = state.metadata;
+            this.storyMemory.load(state.memory);
             
             return true;
         } catch (error) {
@@ -469,37 +355,26 @@ class BookManager {
         }
     }
 
-    async addCharacter(name, details) {
-        this.characters.set(name, {
-            ...details,
-            firstAppearance: this.currentChapter,
-            appearances: new Set([this.currentChapter])
+    async addCharacter(name, details, page = null) {
+        return this.storyBible.addCharacter(name, typeof details === 'string' ? { description: details } : details, {
+            chapter: this.currentChapter,
+            page
         });
     }
 
-    async checkConsistency(content) {
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4-turbo",
-            messages: [
-                {
-                    role: "system",
-                    content: "Analyze the text for character and plot consistency."
-                },
-                {
-                    role: "user",
-                    content: `Check this content against known characters and plot points:
-                             Characters: ${JSON.stringify(Array.from(this.characters.entries()))}
-                             Plot Points: ${JSON.stringify(Array.from(this.plotPoints))}
-                             Content: ${content}`
-                }
-            ]
+    async checkConsistency(content, page = null) {
+        return this.continuity.check(this.provider, {
+            chapter: this.currentChapter,
+            page,
+            content,
+            outline: this.outline,
+            storyBible: this.storyBible,
+            plotPoints: Array.from(this.plotPoints)
         });
-
-        return completion.choices[0].message.content;
     }
 
     async editAndProofread(content) {
-        const completion = await openai.chat.completions.create({
+        const completion = await this.provider.createChatCompletion({
             model: "gpt-4-turbo",
             messages: [
                 {
@@ -511,7 +386,7 @@ class BookManager {
                     content: content
                 }
             ]
-        });
+        }, { task: 'edit' });
 
         return completion.choices[0].message.content;
     }
@@ -521,7 +396,7 @@ class BookManager {
             throw new Error(`Language ${targetLanguage} not supported`);
         }
 
-        const completion = await openai.chat.completions.create({
+        const completion = await this.provider.createChatCompletion({
             model: "gpt-4-turbo",
             messages: [
                 {
@@ -533,11 +408,74 @@ class BookManager {
                     content: content
                 }
             ]
-        });
+        }, { task: 'translate' });
 
         return completion.choices[0].message.content;
     }
 
+    compiledChapters() {
+        return Object.keys(this.bookContent).map(Number).sort((a, b) => a - b).map(chapter => ({
+            number: chapter,
+            title: this.getChapterTitle(chapter),
+            subtitle: this.getChapterSubtitle(chapter),
+            pages: Object.keys(this.bookContent[chapter]).map(Number).sort((a, b) => a - b)
+                .map(page => this.bookContent[chapter][page])
+        }));
+    }
+
+    // Front and back matter from the template's `bookMatter` section
+    bookMatter() {
+        return buildBookMatter(this.metadata, this.bookConfig.bookMatter);
+    }
+
+    publicationDetails() {
+        return {
+            title: this.metadata.title,
+            author: this.metadata.author,
+            language: this.currentLanguage,
+            description: this.metadata.synopsis,
+            keywords: this.metadata.keywords || [this.metadata.genre].filter(Boolean)
+        };
+    }
+
+    // Writes complete_book.epub next to the other compiled files
+    async exportToEPUB() {
+        const buffer = await buildEpub({
+            ...this.publicationDetails(),
+            ...this.bookMatter(),
+            identifier: bookIdentifier(this.metadata.title),
+            chapters: this.compiledChapters()
+        });
+        await fs.writeFile('complete_book.epub', buffer);
+        return 'complete_book.epub';
+    }
+
+    async writeFiles(directory, files) {
+        await fs.mkdir(directory, { recursive: true });
+        for (const file of files) {
+            await fs.writeFile(`${directory}/${file.path}`, file.content);
+        }
+    }
+
+    // Writes complete_book_markdown/ with index.md and a file per chapter
+    async exportToMarkdown() {
+        await this.writeFiles('complete_book_markdown', buildMarkdownFiles({ ...this.publicationDetails(), chapters: this.compiledChapters() }));
+        return 'complete_book_markdown/index.md';
+    }
+
+    // Writes the static reader into complete_book_html/
+    async exportToHTML() {
+        await this.writeFiles('complete_book_html', buildHtmlSite({ ...this.publicationDetails(), ...this.bookMatter(), chapters: this.compiledChapters() }));
+        return 'complete_book_html/index.html';
+    }
+
+    // Writes complete_book.pdf, laid out for print (see DEFAULT_PDF_OPTIONS)
+    async exportToPDF() {
+        const buffer = await buildPdf({ ...this.publicationDetails(), ...this.bookMatter(), chapters: this.compiledChapters() });
+        await fs.writeFile('complete_book.pdf', buffer);
+        return 'complete_book.pdf';
+    }
+
     async formatContent(content, format) {
         switch (format) {
             case 'html':
@@ -551,42 +489,59 @@ class BookManager {
         }
     }
 
+    // The text as an EPUB content document
+    async formatEPUB(content) {
+        return xhtmlDocument(this.metadata.title, proseToXhtml(content), this.currentLanguage);
+    }
+
+    // The text as a PDF of the current chapter
+    async formatPDF(content) {
+        return buildPdf({
+            ...this.publicationDetails(),
+            chapters: [{ number: this.currentChapter, title: this.getChapterTitle(this.currentChapter), pages: [content] }]
+        });
+    }
+
+    // The text as a plain HTML page
     async formatHTML(content) {
-        const html = marked(content);
-        return `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <meta charset="UTF-8">
-                <style>
-                    body { max-width: 800px; margin: 0 auto; padding: 20px; }
-                    h1 { color: #2c3e50; }
-                    p { line-height: 1.6; }
-                </style>
-            </head>
-            <body>
-                ${html}
-            </body>
-            </html>
-        `;
+        return `<!DOCTYPE html>
+<html lang="${escapeXml(this.currentLanguage)}">
+<head>
+<meta charset="utf-8" />
+<title>${escapeXml(this.metadata.title)}</title>
+</head>
+<body>
+${proseToXhtml(content, this.bookConfig.chapterStructure.format.sceneBreakMarker)}
+</body>
+</html>
+`;
     }
 
     async generatePage(chapterNum, pageNum, previousPages) {
         const pagePrompt = `
             You are writing page ${pageNum} of chapter ${chapterNum}.
             
-            Context from previous pages:
+            Story context (summaries and the end of the previous page):
             ${previousPages}
             
             Current outline for this chapter:
-            ${this.outline[chapterNum] || 'No outline available'}
+            ${describeChapterOutline(this.outline, chapterNum, pageNum)}
             
             Known characters:
-            ${JSON.stringify(Array.from(this.characters.entries()))}
+            ${this.storyBible.describe()}
             
             Important plot points:
             ${JSON.stringify(Array.from(this.plotPoints))}
             
+            Timeline so far:
+            ${this.timeline.describe(chapterNum, pageNum)}
+            
+            The world of the book:
+            ${this.world.describe()}
+            
+            Character voices (mark signed dialogue with <> and spoken dialogue with ""):
+            ${this.dialogue.voices.describe()}
+            
             Write the next page maintaining consistency with the story. 
             Each page should be approximately 500 words.
             End the page at a natural break point.
@@ -594,7 +549,7 @@ class BookManager {
             Format the response as a single page of prose.
         `;
 
-        const completion = await openai.chat.completions.create({
+        const completion = await this.provider.createChatCompletion({
             model: "gpt-4-turbo",
             messages: [
                 { role: "system", content: systemPrompt },
@@ -602,73 +557,21 @@ class BookManager {
             ],
             temperature: 0.7,
             max_tokens: 2000,
-        });
+        }, { task: 'page', chapter: chapterNum, page: pageNum });
 
         return completion.choices[0].message.content;
     }
 
-    async extractMetadata(content) {
+    async extractMetadata(content, chapter = this.currentChapter, page = null) {
         try {
-            const metadataPrompt = `
-                Analyze this text and extract:
-                1. Any new characters introduced
-                2. Important plot points
-                3. Key story developments
-                
-                Format the response as valid JSON with this structure:
-                {
-                    "characters": [
-                        {"name": "character name", "details": "character description"}
-                    ],
-                    "plotPoints": ["plot point 1", "plot point 2"],
-                    "storyDevelopments": ["development 1", "development 2"]
-                }
-                
-                Text to analyze: ${content}
-            `;
-
-            const completion = await openai.chat.completions.create({
-                model: "gpt-4-turbo",
-                messages: [
-                    { 
-                        role: "system", 
-                        content: "You are a metadata extractor. Always respond with valid JSON." 
-                    },
-                    { 
-                        role: "user", 
-                        content: metadataPrompt 
-                    }
-                ],
-                response_format: { type: "json_object" } // Ensure JSON response
+            const metadata = await this.storyBible.extract(this.provider, chapter, page, content, {
+                knownWorld: this.world.describeNames()
             });
-
-            let metadata;
-            try {
-                metadata = JSON.parse(completion.choices[0].message.content);
-            } catch (error) {
-                console.error("Failed to parse metadata response:", error);
-                // Provide default metadata if parsing fails
-                metadata = {
-                    characters: [],
-                    plotPoints: [],
-                    storyDevelopments: []
-                };
+            this.timeline.addDevelopments(metadata.storyDevelopments, { chapter, page }, this.storyBible);
+            this.world.mergeExtraction(metadata.world, { chapter, page });
+            for (const point of metadata.plotPoints || []) {
+                this.plotPoints.add(point);
             }
-
-            // Add new characters
-            if (metadata.characters) {
-                for (const char of metadata.characters) {
-                    await this.addCharacter(char.name, char.details);
-                }
-            }
-
-            // Add plot points
-            if (metadata.plotPoints) {
-                for (const point of metadata.plotPoints) {
-                    this.plotPoints.add(point);
-                }
-            }
-
             return metadata;
         } catch (error) {
             console.error("Error in metadata extraction:", error);
@@ -685,31 +588,48 @@ class BookManager {
             console.log(`Generating Chapter ${chapter}...`);
             
             for (let page = 1; page <= pagesPerChapter; page++) {
+                if (this.bookContent[chapter]?.[page] !== undefined) {
+                    continue; // Written in an earlier run
+                }
+                const savedPage = await this.loadProgress(chapter, page);
+                if (savedPage) {
+                    // Page file exists but the state was not saved after it
+                    this.bookContent[chapter] = this.bookContent[chapter] || {};
+                    this.bookContent[chapter][page] = savedPage.content;
+                    continue;
+                }
+
                 console.log(`Generating page ${page} of chapter ${chapter}...`);
                 
-                // Get previous content for context
-                const previousPages = [];
-                for (let p = 1; p < page; p++) {
-                    const prevPage = await this.loadProgress(chapter, p);
-                    if (prevPage) {
-                        previousPages.push(prevPage.content);
-                    }
-                }
+                // Build context from the story memory within its token budget
+                await this.storyMemory.ensureSummaries(this.provider, this.bookContent, chapter, page, pagesPerChapter);
+                const storyContext = this.storyMemory.buildContext(this.bookContent, chapter, page);
+
+                // Pages repeating earlier ones are written again with what they repeated
+                const { content: draft, ...repetition } = await this.repetition.enforce(
+                    this.bookContent,
+                    { chapter, page, content: await this.generatePage(chapter, page, storyContext) },
+                    findings => this.generatePage(chapter, page, `${storyContext}\n\nAn earlier draft of this page was rejected because it:\n${describeFindings(findings)}`)
+                );
+                this.repetitionReport.record(chapter, page, repetition);
 
-                const pageContent = await this.generatePage(chapter, page, previousPages.join('\n'));
+                // With options.dialogue.rewrite, pages with dialogue in the wrong format are written again
+                const { content: pageContent, ...dialogue } = await this.dialogue.enforce(
+                    { chapter, page, content: draft },
+                    (content, findings) => this.generatePage(chapter, page, `${storyContext}\n\nAn earlier draft of this page had dialogue in the wrong format:\n${describeDialogueFindings(findings)}`)
+                );
+                this.dialogueReport.record(chapter, page, dialogue);
+                await this.storyMemory.summarizePage(this.provider, chapter, page, pageContent);
                 
-                // Save the page
+                // Save the page (also updates book content)
                 await this.saveProgress(pageContent, chapter, page);
-                
-                // Update book content
-                if (!this.bookContent[chapter]) {
-                    this.bookContent[chapter] = {};
-                }
-                this.bookContent[chapter][page] = pageContent;
 
                 // Extract and track metadata
-                await this.extractMetadata(pageContent);
+                await this.extractMetadata(pageContent, chapter, page);
             }
+
+            await this.storyMemory.summarizeChapter(this.provider, chapter, pagesPerChapter);
+            await this.saveState();
         } catch (error) {
             console.error(`Error generating chapter ${chapter}:`, error);
             throw error;
@@ -725,94 +645,6 @@ class BookManager {
         }
     }
 
-    async generateTableOfContents() {
-        const toc = new Document({
-            styles: {
-                paragraphStyles: [
-                    {
-                        id: 'tocHeading',
-                        name: 'TOC Heading',
-                        run: {
-                            size: 32,
-                            bold: true,
-                            font: 'Garamond'
-                        },
-                        paragraph: {
-                            spacing: {
-                                before: 240,
-                                after: 120
-                            },
-                            alignment: AlignmentType.CENTER
-                        }
-                    },
-                    {
-                        id: 'tocEntry',
-                        name: 'TOC Entry',
-                        run: {
-                            size: 24,
-                            font: 'Garamond'
-                        },
-                        paragraph: {
-                            spacing: {
-                                before: 60,
-                                after: 60
-                            },
-                            indent: {
-                                left: 360
-                            }
-                        }
-                    }
-                ]
-            },
-            sections: [{
-                properties: {
-                    page: {
-                        margin: {
-                            top: 1440,
-                            right: 1440,
-                            bottom: 1440,
-                            left: 1440
-                        }
-                    }
-                },
-                children: [
-                    new Paragraph({
-                        text: 'Table of Contents',
-                        style: 'tocHeading'
-                    }),
-                    ...this.generateTocEntries()
-                ]
-            }]
-        });
-
-        const buffer = await Packer.toBuffer(toc);
-        await fs.writeFile('table_of_contents.docx', buffer);
-    }
-
-    generateTocEntries() {
-        const entries = [];
-        for (let chapter in this.bookContent) {
-            entries.push(
-                new Paragraph({
-                    text: `Chapter ${chapter}: ${this.getChapterSubtitle(chapter)}`,
-                    style: 'tocEntry',
-                    tabStops: [{
-                        type: TabStopType.RIGHT,
-                        position: TabStopPosition.MAX,
-                        leader: LeaderType.DOT
-                    }],
-                    children: [
-                        new TextRun({
-                            text: `${chapter}`,
-                            font: 'Garamond'
-                        })
-                    ]
-                })
-            );
-        }
-        return entries;
-    }
-
     async initializeBookMetadata() {
         const metadata = {
             title: "Drake Legacy",
@@ -858,7 +690,7 @@ class BookManager {
 }
 
 async function generateBookContent(userPrompt, bookManager) {
-    const completion = await openai.chat.completions.create({
+    const completion = await bookManager.provider.createChatCompletion({
         model: "gpt-4-turbo",
         messages: [
             { role: "system", content: systemPrompt },
@@ -866,7 +698,7 @@ async function generateBookContent(userPrompt, bookManager) {
         ],
         temperature: 0.7,
         max_tokens: 4000,
-    });
+    }, { task: 'page', chapter: bookManager.currentChapter, page: bookManager.currentPage });
 
     const content = completion.choices[0].message.content;
     await bookManager.saveProgress(
@@ -877,179 +709,22 @@ async function generateBookContent(userPrompt, bookManager) {
     return content;
 }
 
-async function generateStoryImage(prompt) {
-    const image = await openai.images.generate({
+async function generateStoryImage(prompt, provider) {
+    const image = await provider.generateImage({
         model: "dall-e-3",
         prompt: prompt,
         n: 1,
         size: "1024x1024",
-    });
+    }, { task: 'cover' });
     
     return image.data[0].url;
 }
 
-class BatchBookManager extends BookManager {
-    constructor() {
-        super();
-        this.batchTasks = [];
-        this.batchResults = [];
-    }
-
-    async createBatchTasks(chapters, theme) {
-        for (let chapter = 1; chapter <= chapters; chapter++) {
-            const task = {
-                "custom_id": `chapter-${chapter}`,
-                "method": "POST",
-                "url": "/v1/chat/completions",
-                "body": {
-                    "model": "gpt-4-turbo",
-                    "temperature": 0.7,
-                    "max_tokens": 4000,
-                    "messages": [
-                        {
-                            "role": "system",
-                            "content": systemPrompt
-                        },
-                        {
-                            "role": "user",
-                            "content": `Write Chapter ${chapter} for a book about ${theme}. 
-                                      Use the following outline: ${this.outline}
-                                      Previous chapters context: ${JSON.stringify(this.bookContent)}`
-                        }
-                    ]
-                }
-            };
-            this.batchTasks.push(task);
-        }
-    }
-
-    async submitBatchJob() {
-        // Create batch file
-        const batchFileName = `batch_tasks_${Date.now()}.jsonl`;
-        await fs.writeFile(batchFileName, 
-            this.batchTasks.map(task => JSON.stringify(task)).join('\n')
-        );
-
-        // Upload file to OpenAI
-        const batchFile = await openai.files.create({
-            file: await fs.readFile(batchFileName),
-            purpose: "batch"
-        });
-
-        // Create batch job
-        const batchJob = await openai.batches.create({
-            input_file_id: batchFile.id,
-            endpoint: "/v1/chat/completions",
-            completion_window: "24h"
-        });
-
-        return batchJob;
-    }
-
-    async processBatchResults(resultFileId) {
-        const results = await super.processBatchResults(resultFileId);
-
-        for (const result of results) {
-            const content = result.response.body.choices[0].message.content;
-            
-            // Check consistency
-            const consistencyCheck = await this.checkConsistency(content);
-            console.log(`Consistency check for chapter ${result.chapterNum}:`, consistencyCheck);
-
-            // Edit and proofread
-            const editedContent = await this.editAndProofread(content);
-
-            // Update progress
-            this.progressState.lastCompletedChapter = Math.max(
-                this.progressState.lastCompletedChapter,
-                result.chapterNum
-            );
-
-            // Save state after each chapter
-            await this.saveState();
-        }
-    }
-}
-
-async function createBookWithBatch(theme, chapters = 12, language = 'en') {
-    const batchManager = new BatchBookManager();
-    
-    // Try to resume from previous state
-    const hasState = await batchManager.loadState();
-    if (hasState) {
-        console.log("Resuming from previous state...");
-    }
+// Batch API generation lives in core: BatchBookManager (core/batch_book_manager.mjs)
+// and createBookWithBatch (core/createbook.mjs)
 
-    try {
-        // Step 1: Create outline
-        console.log("Creating book outline...");
-        const outline = await batchManager.createOutline(theme, chapters);
-        console.log("Outline created:", outline);
-
-        // Step 2: Generate cover image
-        const coverPrompt = `Create a professional book cover for: ${theme}`;
-        const coverImage = await generateStoryImage(coverPrompt);
-        console.log("Cover image generated:", coverImage);
-
-        // Step 3: Create batch tasks for all chapters
-        await batchManager.createBatchTasks(chapters, theme);
-
-        // Step 4: Submit batch job
-        const batchJob = await batchManager.submitBatchJob();
-        console.log("Batch job submitted:", batchJob.id);
-
-        // Step 5: Monitor job status
-        let jobStatus;
-        do {
-            const status = await openai.batches.retrieve(batchJob.id);
-            jobStatus = status.status;
-            console.log("Current status:", jobStatus);
-            if (jobStatus !== 'completed') {
-                await new Promise(resolve => setTimeout(resolve, 60000)); // Wait 1 minute
-            }
-        } while (jobStatus !== 'completed');
-
-        // Step 6: Process results
-        await batchManager.processBatchResults(batchJob.output_file_id);
-
-        // Add translation if needed
-        if (language !== 'en') {
-            console.log(`Translating content to ${language}...`);
-            for (let chapter in batchManager.bookContent) {
-                const translatedContent = await batchManager.translateContent(
-                    batchManager.bookContent[chapter][1],
-                    language
-                );
-                batchManager.bookContent[chapter][1] = translatedContent;
-            }
-        }
-
-        // Format in multiple styles
-        const formattedContent = await Promise.all([
-            batchManager.formatContent(batchManager.compileBook(), 'html'),
-            batchManager.formatContent(batchManager.compileBook(), 'epub'),
-            batchManager.formatContent(batchManager.compileBook(), 'pdf')
-        ]);
-
-        return {
-            outline,
-            coverImage,
-            bookContent: batchManager.bookContent,
-            metadata: batchManager.metadata,
-            formattedContent,
-            progressState: batchManager.progressState,
-            consistencyReport: await batchManager.checkConsistency(JSON.stringify(batchManager.bookContent))
-        };
-
-    } catch (error) {
-        // Save state on error for recovery
-        await batchManager.saveState();
-        throw error;
-    }
-}
-
-async function createBookPageByPage(theme, chapters = 12, pagesPerChapter = 5, progressCallback = null) {
-    const bookManager = new BookManager();
+async function createBookPageByPage(theme, chapters = 12, pagesPerChapter = 5, progressCallback = null, options = {}) {
+    const bookManager = new BookManager(createProvider(options), options);
     
     try {
         // Try to resume from previous state
@@ -1059,19 +734,26 @@ async function createBookPageByPage(theme, chapters = 12, pagesPerChapter = 5, p
         } else {
             // Create new outline
             console.log("Creating book outline...");
-            await bookManager.createOutline(theme, chapters);
+            await bookManager.createOutline(theme, chapters, pagesPerChapter);
         }
 
         // Generate cover
         if (!bookManager.metadata.coverImage) {
             const coverPrompt = `Create a professional book cover for: ${theme}`;
-            bookManager.metadata.coverImage = await generateStoryImage(coverPrompt);
+            bookManager.metadata.coverImage = await generateStoryImage(coverPrompt, bookManager.provider);
             await bookManager.saveMetadata();
         }
 
-        // Generate chapters page by page
-        const startChapter = bookManager.progressState.lastCompletedChapter + 1;
+        // Generate chapters page by page; the last chapter touched may be
+        // partial, generateChapterPages skips the pages it already has
+        const startChapter = Math.max(1, bookManager.progressState.lastCompletedChapter);
         for (let chapter = startChapter; chapter <= chapters; chapter++) {
+            const budgetReason = bookManager.usageLedger.checkBudget(chapter);
+            if (budgetReason) {
+                await bookManager.pause(budgetReason);
+                break;
+            }
+
             // Call generateChapterPages once per chapter
             if (progressCallback) {
                 await progressCallback(chapter, 1); // Notify start of chapter
@@ -1084,8 +766,10 @@ async function createBookPageByPage(theme, chapters = 12, pagesPerChapter = 5, p
             console.log(`Completed Chapter ${chapter}`);
         }
 
-        // Compile final book
-        const compiledBook = await bookManager.compileBook();
+        // Compile final book (skipped while paused)
+        const compiledBook = bookManager.progressState.status === 'paused'
+            ? null
+            : await bookManager.compileBook();
         
         return {
             outline: bookManager.outline,
@@ -1093,20 +777,29 @@ async function createBookPageByPage(theme, chapters = 12, pagesPerChapter = 5, p
             bookContent: bookManager.bookContent,
             metadata: bookManager.metadata,
             progressState: bookManager.progressState,
+            usage: bookManager.usageLedger.summary(),
             compiledBook
         };
 
     } catch (error) {
         console.error("Error in book creation:", error);
+
+        // Exhausted quota or retries: park the book so a later run can resume it
+        if (error instanceof RequestFailedError && error.category !== ERROR_CATEGORIES.FATAL) {
+            await bookManager.pause(error.message, error);
+            return {
+                outline: bookManager.outline,
+                bookContent: bookManager.bookContent,
+                metadata: bookManager.metadata,
+                progressState: bookManager.progressState,
+                usage: bookManager.usageLedger.summary(),
+                compiledBook: null
+            };
+        }
+
         await bookManager.saveState(); // Save state on error
         throw error;
     }
 }
 
-// Example usage
-const theme = "A fighter discovering supernatural abilities while dealing with personal demons";
-createBookPageByPage(theme, 12, 5)
-    .then(result => console.log("Book creation completed:", result))
-    .catch(error => console.error("Book creation failed:", error));
-
-export { createBookPageByPage };
\ No newline at end of file
+export { BookManager, createBookPageByPage };
\ No newline at end of file
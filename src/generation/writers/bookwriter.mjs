@@ -1,7 +1,7 @@
 import dotenv from 'dotenv';
-import OpenAI from "openai";
 import readline from 'readline';
-import { createBookPageByPage } from './createbook.mjs';
+import { startBook } from '../../core/createbook.mjs';
+import { BOOK_EVENTS } from '../../core/book_events.mjs';
 
 dotenv.config();
 
@@ -18,6 +18,44 @@ class BookWriterSession {
         this.isStopped = false;
         this.currentChapter = 1;
         this.currentPage = 1;
+        this.completedPages = 0;
+        this.totalPages = 0;
+        this.cost = 0;
+        this.totalTokens = 0;
+        this.streamTokens = false;
+    }
+
+    // Keeps the status command up to date from the generation events
+    track(events) {
+        events.on(BOOK_EVENTS.PAGE_STARTED, ({ chapter, page }) => {
+            this.currentChapter = chapter;
+            this.currentPage = page;
+        });
+        events.on(BOOK_EVENTS.TOKEN, ({ text }) => {
+            if (this.streamTokens) {
+                process.stdout.write(text);
+            }
+        });
+        events.on(BOOK_EVENTS.PAGE_SAVED, ({ completedPages, totalPages }) => {
+            this.completedPages = completedPages;
+            this.totalPages = totalPages;
+            if (this.streamTokens) {
+                process.stdout.write('\n');
+            }
+        });
+        events.on(BOOK_EVENTS.CHAPTER_COMPLETED, ({ chapter, chapters }) => {
+            console.log(`\nChapter ${chapter} of ${chapters} completed.`);
+        });
+        events.on(BOOK_EVENTS.COST_UPDATED, ({ totals }) => {
+            this.cost = totals.cost;
+            this.totalTokens = totals.totalTokens;
+        });
+        events.on(BOOK_EVENTS.PAUSED, ({ reason }) => {
+            console.log(`\n=== Writing paused: ${reason} ===`);
+        });
+        events.on(BOOK_EVENTS.ERROR, ({ error }) => {
+            console.error(`\nGeneration error: ${error.message}`);
+        });
     }
 
     pause() {
@@ -58,8 +96,15 @@ function setupCommandListener(session) {
                 console.log(`\nCurrent progress:`);
                 console.log(`Chapter: ${session.currentChapter}`);
                 console.log(`Page: ${session.currentPage}`);
+                console.log(`Pages written: ${session.completedPages}${session.totalPages ? ` of ${session.totalPages}` : ''}`);
+                console.log(`Tokens used: ${session.totalTokens}`);
+                console.log(`Estimated cost: $${session.cost.toFixed(4)}`);
                 console.log(`Status: ${session.isPaused ? 'Paused' : 'Running'}`);
                 break;
+            case 'stream':
+                session.streamTokens = !session.streamTokens;
+                console.log(`\nLive text ${session.streamTokens ? 'on' : 'off'}`);
+                break;
         }
     });
 }
@@ -128,7 +173,8 @@ async function startBookCreation() {
     console.log("'pause': Pause writing");
     console.log("'resume': Resume writing");
     console.log("'stop': Stop writing and save");
-    console.log("'status': Check current progress\n");
+    console.log("'status': Check current progress");
+    console.log("'stream': Show or hide the text as it is written\n");
 
     try {
         const bookDetails = await collectBookDetails();
@@ -149,31 +195,34 @@ async function startBookCreation() {
             Target Audience: ${bookDetails.targetAudience}
         `;
 
-        // Modified to handle pausing
-        const result = await createBookPageByPage(
-            themePrompt,
-            bookDetails.chapters,
-            bookDetails.pagesPerChapter,
-            async (chapter, page) => {
-                session.currentChapter = chapter;
-                session.currentPage = page;
-
-                // Check for pause
+        const bookName = bookDetails.title.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_') || 'default';
+        const events = startBook(themePrompt, bookDetails.chapters, bookDetails.pagesPerChapter, bookName, {
+            // Pausing holds the run before the next page starts
+            progressCallback: async () => {
                 while (session.isPaused) {
                     await new Promise(resolve => setTimeout(resolve, 1000));
                 }
-
-                // Check for stop
                 if (session.isStopped) {
                     throw new Error('Writing stopped by user');
                 }
             }
-        );
+        });
+        session.track(events);
+        const result = await events.done;
+
+        if (result.progressState.status === 'paused') {
+            console.log("\nRun the script again to continue where the book left off.");
+            return;
+        }
 
         console.log("\n=== Book Creation Completed ===\n");
-        console.log(`Book saved as: ${result.compiledBook}`);
-        console.log(`Total chapters: ${Object.keys(result.bookContent).length}`);
+        // Every format is compiled; txt has no file of its own and points at the JSON
+        const format = bookDetails.formatPreference.trim().toLowerCase();
+        console.log(`Book saved as: ${result.compiledBook[format] || result.compiledBook.json}`);
+        // The outline of older books is free text, so count the chapters asked for
+        console.log(`Total chapters: ${bookDetails.chapters}`);
         console.log(`Cover image: ${result.coverImage}`);
+        console.log(`Estimated cost: $${result.usage.totals.cost.toFixed(4)}`);
 
     } catch (error) {
         if (error.message === 'Writing stopped by user') {
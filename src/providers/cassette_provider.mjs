@@ -0,0 +1,135 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { FileHandler } from '../utils/file_handler.mjs';
+import { LLMProvider } from './llm_provider.mjs';
+
+export const CASSETTE_MODES = ['record', 'replay', 'auto'];
+
+// JSON.stringify with sorted keys so equal requests always hash the same
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+export function cassetteKey(type, params) {
+    return crypto.createHash('sha256').update(stableStringify({ type, params })).digest('hex');
+}
+
+// Wraps another provider and stores chat/image responses on disk, keyed by a
+// hash of the model, parameters and messages.
+//   record: always call the inner provider and overwrite the cassette
+//   replay: only serve cassettes, fail when one is missing (no network)
+//   auto:   replay when a cassette exists, otherwise record it
+export class CassetteProvider extends LLMProvider {
+    constructor(inner, options = {}) {
+        super('cassette');
+        this.inner = inner;
+        this.mode = options.mode || 'auto';
+        this.directory = options.directory || 'output/cassettes';
+
+        if (!CASSETTE_MODES.includes(this.mode)) {
+            throw new Error(`Unknown cassette mode ${this.mode}`);
+        }
+        if (!inner && this.mode !== 'replay') {
+            throw new Error(`Cassette mode ${this.mode} needs a provider to record from`);
+        }
+    }
+
+    cassettePath(key) {
+        return `${this.directory}/${key}.json`;
+    }
+
+    async createChatCompletion(params, context = {}) {
+        return this.playOrRecord('chat', params, context,
+            () => this.inner.createChatCompletion(params, context));
+    }
+
+    // Streamed and plain chat requests share cassettes; a replayed answer is
+    // delivered as one token.
+    async streamChatCompletion(params, context = {}, onToken = () => {}) {
+        let streamed = false;
+        const response = await this.playOrRecord('chat', params, context, () => {
+            streamed = true;
+            return this.inner.streamChatCompletion(params, context, onToken);
+        });
+        if (!streamed) {
+            onToken(response.choices[0].message.content);
+        }
+        return response;
+    }
+
+    async generateImage(params, context = {}) {
+        return this.playOrRecord('image', params, context,
+            () => this.inner.generateImage(params, context));
+    }
+
+    async playOrRecord(type, params, context, call) {
+        const key = cassetteKey(type, params);
+
+        if (this.mode !== 'record') {
+            const cassette = await this.loadCassette(key);
+            if (cassette) {
+                return cassette.response;
+            }
+            if (this.mode === 'replay') {
+                throw new Error(`No cassette recorded for ${context.task || type} request ${key} in ${this.directory}`);
+            }
+        }
+
+        const response = await call();
+        await FileHandler.writeFile(this.cassettePath(key), {
+            key,
+            type,
+            context,
+            request: params,
+            response,
+            recordedAt: new Date().toISOString()
+        });
+        return response;
+    }
+
+    async loadCassette(key) {
+        try {
+            return JSON.parse(await fs.readFile(this.cassettePath(key), 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Files and batches are not recorded, so they always go to the inner
+    // provider, which replay mode usually runs without
+    batchProvider(call) {
+        if (!this.inner) {
+            throw new Error(`${call} is not supported in cassette replay mode: files and batches are not recorded`);
+        }
+        return this.inner;
+    }
+
+    async uploadFile(params) {
+        return this.batchProvider('uploadFile').uploadFile(params);
+    }
+
+    async getFileContent(fileId) {
+        return this.batchProvider('getFileContent').getFileContent(fileId);
+    }
+
+    async createBatch(params) {
+        return this.batchProvider('createBatch').createBatch(params);
+    }
+
+    async retrieveBatch(batchId) {
+        return this.batchProvider('retrieveBatch').retrieveBatch(batchId);
+    }
+
+    async cancelBatch(batchId) {
+        return this.batchProvider('cancelBatch').cancelBatch(batchId);
+    }
+}
@@ -0,0 +1,47 @@
+// Base interface every model backend implements. Generation code only talks to
+// these methods, so the OpenAI client can be swapped for an offline provider.
+//
+// Every method accepts an optional `context` object ({ task, chapter, page, ... })
+// describing why the call is made. It is never sent to the API.
+export class LLMProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async createChatCompletion(params, context = {}) {
+        throw new Error(`Provider ${this.name} does not support chat completions`);
+    }
+
+    // Like createChatCompletion, but calls onToken(text) as the answer arrives
+    // and resolves with the assembled completion (content and usage). Providers
+    // that cannot stream deliver the whole answer as a single token.
+    async streamChatCompletion(params, context = {}, onToken = () => {}) {
+        const completion = await this.createChatCompletion(params, context);
+        onToken(completion.choices[0].message.content);
+        return completion;
+    }
+
+    async generateImage(params, context = {}) {
+        throw new Error(`Provider ${this.name} does not support image generation`);
+    }
+
+    async uploadFile({ file, purpose, filename }) {
+        throw new Error(`Provider ${this.name} does not support file uploads`);
+    }
+
+    async getFileContent(fileId) {
+        throw new Error(`Provider ${this.name} does not support file downloads`);
+    }
+
+    async createBatch(params) {
+        throw new Error(`Provider ${this.name} does not support batches`);
+    }
+
+    async retrieveBatch(batchId) {
+        throw new Error(`Provider ${this.name} does not support batches`);
+    }
+
+    async cancelBatch(batchId) {
+        throw new Error(`Provider ${this.name} does not support batches`);
+    }
+}
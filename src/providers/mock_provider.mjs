@@ -0,0 +1,258 @@
+import crypto from 'crypto';
+import { LLMProvider } from './llm_provider.mjs';
+import { estimateTokens } from '../utils/tokens.mjs';
+
+// 1x1 PNG returned as the offline cover image (data URLs work with fetch)
+const PLACEHOLDER_IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const WORDS = {
+    subjects: ['The fighter', 'His mentor', 'The old gym', 'A stranger', 'The city', 'Her brother', 'The crowd', 'The night'],
+    verbs: ['watched', 'circled', 'remembered', 'ignored', 'measured', 'welcomed', 'tested', 'followed'],
+    objects: ['the heavy bag', 'every careful step', 'the rising silence', 'an old promise', 'the open door', 'the last light', 'a hidden mark', 'the worn mat'],
+    places: ['near the ring', 'under the flickering lights', 'beyond the alley', 'at the edge of town', 'inside the locker room', 'across the river', 'by the window', 'in the quiet hall'],
+    speakers: ['John', 'Mae', 'Kai', 'Mr. Reynolds'],
+    lines: ['We start again tomorrow', 'You felt that too', 'Nobody leaves until it is done', 'Show me once more', 'It was never about winning', 'Keep your guard up']
+};
+
+// Small seeded PRNG so the same prompt always produces the same text
+function createRandom(seed) {
+    let state = parseInt(seed.slice(0, 8), 16) || 1;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function pick(random, list) {
+    return list[Math.floor(random() * list.length)];
+}
+
+function hashParams(params) {
+    return crypto.createHash('sha256').update(JSON.stringify(params)).digest('hex');
+}
+
+function lastUserMessage(params) {
+    const userMessages = (params.messages || []).filter(message => message.role === 'user');
+    return userMessages.length ? userMessages[userMessages.length - 1].content : '';
+}
+
+// First sentences of the text after the instruction paragraph
+function firstSentences(params, count = 2) {
+    const text = lastUserMessage(params).split('\n\n').slice(1).join(' ');
+    return (text.match(/[^.!?]+[.!?]+/g) || [text]).slice(0, count).join(' ').trim();
+}
+
+function writeProse(random, paragraphs = 4) {
+    const result = [];
+    for (let p = 0; p < paragraphs; p++) {
+        if (p === 2) {
+            result.push(`"${pick(random, WORDS.lines)}," ${pick(random, WORDS.speakers)} said.`);
+            continue;
+        }
+        const sentences = [];
+        const count = 4 + Math.floor(random() * 3);
+        for (let s = 0; s < count; s++) {
+            sentences.push(`${pick(random, WORDS.subjects)} ${pick(random, WORDS.verbs)} ${pick(random, WORDS.objects)} ${pick(random, WORDS.places)}.`);
+        }
+        result.push(sentences.join(' '));
+    }
+    return result.join('\n\n');
+}
+
+// Default offline answers, keyed by the `task` passed in the call context
+export const DEFAULT_RESPONDERS = {
+    outline: (params, random) => {
+        const prompt = lastUserMessage(params);
+        const chapters = parseInt((prompt.match(/(\d+)-chapter/) || [])[1], 10) || 3;
+        const pages = parseInt((prompt.match(/(\d+) pages/) || [])[1], 10) || 5;
+        const outline = { chapters: [] };
+        for (let chapter = 1; chapter <= chapters; chapter++) {
+            outline.chapters.push({
+                number: chapter,
+                title: `${pick(random, WORDS.objects)} ${pick(random, WORDS.places)}`.replace(/^./, c => c.toUpperCase()),
+                subtitle: pick(random, WORDS.lines),
+                summary: `${pick(random, WORDS.subjects)} ${pick(random, WORDS.verbs)} ${pick(random, WORDS.objects)}.`,
+                povCharacter: pick(random, WORDS.speakers),
+                pages: Array.from({ length: pages }, (_, index) => ({
+                    page: index + 1,
+                    beat: `${pick(random, WORDS.subjects)} ${pick(random, WORDS.verbs)} ${pick(random, WORDS.objects)}.`
+                }))
+            });
+        }
+        return JSON.stringify(outline);
+    },
+    page: (params, random) => writeProse(random),
+    chapter: (params, random) => writeProse(random, 8),
+    metadata: (params, random) => JSON.stringify({
+        characters: [],
+        plotPoints: [`${pick(random, WORDS.subjects)} ${pick(random, WORDS.verbs)} ${pick(random, WORDS.objects)}`],
+        storyDevelopments: []
+    }),
+    summary: (params) => firstSentences(params),
+    digest: (params) => firstSentences(params, 4),
+    consistency: () => JSON.stringify({ issues: [] }),
+    bridge: (params) => lastUserMessage(params).split('\n\n').slice(1).join('\n\n'),
+    revision: (params) => lastUserMessage(params).split('\n\n').slice(1).join('\n\n'),
+    dialogue: (params) => lastUserMessage(params).split('\n\n').slice(1).join('\n\n'),
+    edit: (params) => lastUserMessage(params),
+    translate: (params) => lastUserMessage(params),
+    default: (params, random) => params.response_format?.type === 'json_object'
+        ? '{}'
+        : writeProse(random, 2)
+};
+
+// Deterministic, network-free provider used for tests and offline runs.
+// Pass `responders` to override the answer for a given task, and `batchPolls`
+// to have batches report in_progress for that many lookups before finishing.
+export class MockProvider extends LLMProvider {
+    constructor(options = {}) {
+        super('mock');
+        this.responders = { ...DEFAULT_RESPONDERS, ...options.responders };
+        this.batchPolls = options.batchPolls || 0;
+        this.calls = [];
+        this.files = new Map();
+        this.batches = new Map();
+        this.pendingPolls = new Map();
+        this.nextId = 1;
+    }
+
+    async createChatCompletion(params, context = {}) {
+        this.calls.push({ type: 'chat', params, context });
+
+        const seed = hashParams(params);
+        const responder = this.responders[context.task] || this.responders.default;
+        const content = responder(params, createRandom(seed), context);
+        const promptTokens = estimateTokens((params.messages || []).map(message => message.content).join('\n'));
+        const completionTokens = estimateTokens(content);
+
+        return {
+            id: `chatcmpl-mock-${seed.slice(0, 12)}`,
+            object: 'chat.completion',
+            model: params.model,
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content },
+                finish_reason: 'stop'
+            }],
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens
+            }
+        };
+    }
+
+    // Streams the same answer createChatCompletion gives, one word at a time
+    async streamChatCompletion(params, context = {}, onToken = () => {}) {
+        const completion = await this.createChatCompletion(params, context);
+        for (const token of completion.choices[0].message.content.match(/\s*\S+/g) || []) {
+            onToken(token);
+        }
+        return completion;
+    }
+
+    async generateImage(params, context = {}) {
+        this.calls.push({ type: 'image', params, context });
+        return {
+            created: 0,
+            data: Array.from({ length: params.n || 1 }, () => ({ url: PLACEHOLDER_IMAGE }))
+        };
+    }
+
+    async uploadFile({ file, purpose, filename = 'upload.jsonl' }) {
+        const id = `file-mock-${this.nextId++}`;
+        const content = Buffer.isBuffer(file) ? file.toString('utf8') : String(file);
+        this.files.set(id, { id, purpose, filename, content });
+        return { id, object: 'file', purpose, filename, bytes: Buffer.byteLength(content) };
+    }
+
+    async getFileContent(fileId) {
+        const file = this.files.get(fileId);
+        if (!file) {
+            throw new Error(`File ${fileId} not found`);
+        }
+        return file.content;
+    }
+
+    // Batches are answered when created: every request line in order.
+    // Requests whose responder throws go to the error file, as with the real API.
+    async createBatch({ input_file_id, endpoint, completion_window }) {
+        const input = await this.getFileContent(input_file_id);
+        const requests = input.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+        const outputLines = [];
+        const errorLines = [];
+        for (const request of requests) {
+            const task = request.custom_id.split('-')[0];
+            try {
+                const body = await this.createChatCompletion(request.body, { task, customId: request.custom_id });
+                outputLines.push(JSON.stringify({
+                    id: `batch-req-mock-${this.nextId++}`,
+                    custom_id: request.custom_id,
+                    response: { status_code: 200, request_id: body.id, body },
+                    error: null
+                }));
+            } catch (error) {
+                errorLines.push(JSON.stringify({
+                    id: `batch-req-mock-${this.nextId++}`,
+                    custom_id: request.custom_id,
+                    response: null,
+                    error: { code: 'mock_error', message: error.message }
+                }));
+            }
+        }
+
+        const outputFile = await this.uploadFile({
+            file: outputLines.join('\n'),
+            purpose: 'batch_output',
+            filename: 'batch_output.jsonl'
+        });
+        const errorFile = errorLines.length ? await this.uploadFile({
+            file: errorLines.join('\n'),
+            purpose: 'batch_output',
+            filename: 'batch_errors.jsonl'
+        }) : null;
+
+        const batch = {
+            id: `batch-mock-${this.nextId++}`,
+            object: 'batch',
+            endpoint,
+            completion_window,
+            input_file_id,
+            output_file_id: outputFile.id,
+            error_file_id: errorFile ? errorFile.id : null,
+            status: 'completed',
+            request_counts: { total: requests.length, completed: outputLines.length, failed: errorLines.length }
+        };
+        this.batches.set(batch.id, batch);
+        this.pendingPolls.set(batch.id, this.batchPolls);
+        return this.batchPolls ? { ...batch, status: 'validating', output_file_id: null, error_file_id: null } : { ...batch };
+    }
+
+    async retrieveBatch(batchId) {
+        const batch = this.batches.get(batchId);
+        if (!batch) {
+            throw new Error(`Batch ${batchId} not found`);
+        }
+        const pending = this.pendingPolls.get(batchId) || 0;
+        if (pending > 0 && batch.status === 'completed') {
+            this.pendingPolls.set(batchId, pending - 1);
+            return { ...batch, status: 'in_progress', output_file_id: null, error_file_id: null };
+        }
+        return { ...batch };
+    }
+
+    async cancelBatch(batchId) {
+        const batch = this.batches.get(batchId);
+        if (!batch) {
+            throw new Error(`Batch ${batchId} not found`);
+        }
+        if (batch.status !== 'completed' || this.pendingPolls.get(batchId) > 0) {
+            batch.status = 'cancelled';
+            this.pendingPolls.set(batchId, 0);
+        }
+        return { ...batch };
+    }
+}
@@ -0,0 +1,84 @@
+import OpenAI, { toFile } from 'openai';
+import dotenv from 'dotenv';
+import { LLMProvider } from './llm_provider.mjs';
+
+dotenv.config();
+
+export class OpenAIProvider extends LLMProvider {
+    constructor(options = {}) {
+        super('openai');
+        this.client = options.client || new OpenAI({
+            apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+            maxRetries: options.maxClientRetries ?? 2
+        });
+    }
+
+    async createChatCompletion(params, context = {}) {
+        return await this.client.chat.completions.create(params);
+    }
+
+    async streamChatCompletion(params, context = {}, onToken = () => {}) {
+        const stream = await this.client.chat.completions.create({
+            ...params,
+            stream: true,
+            stream_options: { include_usage: true }
+        });
+
+        let content = '';
+        let finishReason = null;
+        let usage = null;
+        let id;
+        let model;
+        for await (const chunk of stream) {
+            id = chunk.id;
+            model = chunk.model;
+            if (chunk.usage) {
+                usage = chunk.usage;
+            }
+            const choice = chunk.choices[0];
+            if (choice?.delta?.content) {
+                content += choice.delta.content;
+                onToken(choice.delta.content);
+            }
+            if (choice?.finish_reason) {
+                finishReason = choice.finish_reason;
+            }
+        }
+
+        return {
+            id,
+            object: 'chat.completion',
+            model,
+            choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: finishReason }],
+            usage
+        };
+    }
+
+    async generateImage(params, context = {}) {
+        return await this.client.images.generate(params);
+    }
+
+    async uploadFile({ file, purpose, filename = 'upload.jsonl' }) {
+        return await this.client.files.create({
+            file: await toFile(file, filename),
+            purpose
+        });
+    }
+
+    async getFileContent(fileId) {
+        const response = await this.client.files.content(fileId);
+        return await response.text();
+    }
+
+    async createBatch(params) {
+        return await this.client.batches.create(params);
+    }
+
+    async retrieveBatch(batchId) {
+        return await this.client.batches.retrieve(batchId);
+    }
+
+    async cancelBatch(batchId) {
+        return await this.client.batches.cancel(batchId);
+    }
+}
@@ -0,0 +1,39 @@
+import { OpenAIProvider } from './openai_provider.mjs';
+import { MockProvider } from './mock_provider.mjs';
+import { CassetteProvider } from './cassette_provider.mjs';
+import { RetryingProvider } from './retrying_provider.mjs';
+
+// Picks the provider for a run. An explicit `provider` always wins; otherwise
+// `useMocks` (or USE_MOCK_PROVIDER=true) selects the offline mock.
+// Requests are retried with backoff unless `retry` is false; pass an object
+// ({ maxRetries, baseDelayMs, maxDelayMs }) to tune it.
+// `cassetteMode` (or CASSETTE_MODE) wraps it in record/replay cassettes
+// stored under `cassetteDir` (or CASSETTE_DIR).
+export function createProvider(options = {}) {
+    if (options.provider) {
+        return options.provider;
+    }
+
+    const useMocks = options.useMocks ?? process.env.USE_MOCK_PROVIDER === 'true';
+    const cassetteMode = options.cassetteMode ?? process.env.CASSETTE_MODE;
+
+    // Replaying needs no backend at all, so no API key is required
+    const createInner = () => {
+        if (useMocks) {
+            return new MockProvider(options);
+        }
+        if (options.retry === false) {
+            return new OpenAIProvider(options);
+        }
+        // Our retry layer replaces the client's own retries
+        return new RetryingProvider(new OpenAIProvider({ ...options, maxClientRetries: 0 }), options.retry || {});
+    };
+    if (!cassetteMode) {
+        return createInner();
+    }
+
+    return new CassetteProvider(cassetteMode === 'replay' ? null : createInner(), {
+        mode: cassetteMode,
+        directory: options.cassetteDir ?? process.env.CASSETTE_DIR
+    });
+}
@@ -0,0 +1,146 @@
+import { LLMProvider } from './llm_provider.mjs';
+
+export const ERROR_CATEGORIES = {
+    RETRYABLE: 'retryable',
+    QUOTA_EXHAUSTED: 'quota_exhausted',
+    FATAL: 'fatal'
+};
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+const RETRYABLE_ERROR_NAMES = ['APIConnectionError', 'APIConnectionTimeoutError'];
+
+// Thrown once a request gives up: quota exhausted, a fatal error, or retries used up
+export class RequestFailedError extends Error {
+    constructor(message, { category, attempts, cause }) {
+        super(message);
+        this.name = 'RequestFailedError';
+        this.category = category;
+        this.attempts = attempts;
+        this.cause = cause;
+    }
+}
+
+export function classifyError(error) {
+    const status = error?.status;
+    const code = error?.code || error?.error?.code;
+
+    if (status === 429) {
+        return code === 'insufficient_quota'
+            ? ERROR_CATEGORIES.QUOTA_EXHAUSTED
+            : ERROR_CATEGORIES.RETRYABLE;
+    }
+    if (status === 408 || status === 409 || status >= 500) {
+        return ERROR_CATEGORIES.RETRYABLE;
+    }
+    if (!status && (RETRYABLE_ERROR_NAMES.includes(error?.name) || RETRYABLE_NETWORK_CODES.includes(code))) {
+        return ERROR_CATEGORIES.RETRYABLE;
+    }
+    return ERROR_CATEGORIES.FATAL;
+}
+
+// Reads retry-after-ms / retry-after (seconds or HTTP date) from the error headers
+export function parseRetryAfter(error, now = Date.now()) {
+    const headers = error?.headers || {};
+    const header = (name) => typeof headers.get === 'function' ? headers.get(name) : headers[name];
+
+    const retryAfterMs = parseFloat(header('retry-after-ms'));
+    if (!Number.isNaN(retryAfterMs)) {
+        return retryAfterMs;
+    }
+
+    const retryAfter = header('retry-after');
+    if (retryAfter === undefined || retryAfter === null) {
+        return null;
+    }
+    const seconds = parseFloat(retryAfter);
+    if (!Number.isNaN(seconds)) {
+        return seconds * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Wraps another provider with exponential backoff and jitter. Retry-After
+// from the server always takes precedence over the computed delay.
+export class RetryingProvider extends LLMProvider {
+    constructor(inner, options = {}) {
+        super('retrying');
+        this.inner = inner;
+        this.maxRetries = options.maxRetries ?? 5;
+        this.baseDelayMs = options.baseDelayMs ?? 1000;
+        this.maxDelayMs = options.maxDelayMs ?? 60000;
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.random = options.random || Math.random;
+    }
+
+    backoffDelay(attempt, error) {
+        const retryAfter = parseRetryAfter(error);
+        if (retryAfter !== null) {
+            return retryAfter;
+        }
+        const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+        return Math.round(exponential / 2 + this.random() * exponential / 2);
+    }
+
+    async withRetries(label, operation) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await operation();
+            } catch (error) {
+                const category = classifyError(error);
+
+                if (category !== ERROR_CATEGORIES.RETRYABLE || attempt > this.maxRetries) {
+                    const reason = category === ERROR_CATEGORIES.RETRYABLE
+                        ? `gave up after ${attempt} attempts`
+                        : category.replace('_', ' ');
+                    throw new RequestFailedError(`${label} failed (${reason}): ${error.message}`, {
+                        category,
+                        attempts: attempt,
+                        cause: error
+                    });
+                }
+
+                const delay = this.backoffDelay(attempt, error);
+                console.warn(`${label} failed (${error.status || error.code || error.name}), retrying in ${delay}ms (attempt ${attempt} of ${this.maxRetries})`);
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    async createChatCompletion(params, context = {}) {
+        return this.withRetries(`Chat request (${context.task || 'untagged'})`,
+            () => this.inner.createChatCompletion(params, context));
+    }
+
+    // A failed stream is retried from the start, so tokens of the failed
+    // attempt may already have been delivered; the resolved completion is final.
+    async streamChatCompletion(params, context = {}, onToken = () => {}) {
+        return this.withRetries(`Chat stream (${context.task || 'untagged'})`,
+            () => this.inner.streamChatCompletion(params, context, onToken));
+    }
+
+    async generateImage(params, context = {}) {
+        return this.withRetries(`Image request (${context.task || 'untagged'})`,
+            () => this.inner.generateImage(params, context));
+    }
+
+    async uploadFile(params) {
+        return this.withRetries('File upload', () => this.inner.uploadFile(params));
+    }
+
+    async getFileContent(fileId) {
+        return this.withRetries(`File ${fileId} download`, () => this.inner.getFileContent(fileId));
+    }
+
+    async createBatch(params) {
+        return this.withRetries('Batch creation', () => this.inner.createBatch(params));
+    }
+
+    async retrieveBatch(batchId) {
+        return this.withRetries(`Batch ${batchId} lookup`, () => this.inner.retrieveBatch(batchId));
+    }
+
+    async cancelBatch(batchId) {
+        return this.withRetries(`Batch ${batchId} cancellation`, () => this.inner.cancelBatch(batchId));
+    }
+}
@@ -0,0 +1,59 @@
+import { LLMProvider } from './llm_provider.mjs';
+
+// Wraps another provider and records every chat and image call in a
+// UsageLedger, attributed to the chapter/page in the call context.
+// onRecord(entry, ledger) is called after each recorded call.
+export class UsageTrackingProvider extends LLMProvider {
+    constructor(inner, ledger, onRecord = null) {
+        super('usage-tracking');
+        this.inner = inner;
+        this.ledger = ledger;
+        this.onRecord = onRecord;
+    }
+
+    record(model, usage, context) {
+        const entry = this.ledger.record(model, usage, context);
+        if (this.onRecord) {
+            this.onRecord(entry, this.ledger);
+        }
+        return entry;
+    }
+
+    async createChatCompletion(params, context = {}) {
+        const completion = await this.inner.createChatCompletion(params, context);
+        this.record(params.model || completion.model, completion.usage, context);
+        return completion;
+    }
+
+    async streamChatCompletion(params, context = {}, onToken = () => {}) {
+        const completion = await this.inner.streamChatCompletion(params, context, onToken);
+        this.record(params.model || completion.model, completion.usage, context);
+        return completion;
+    }
+
+    async generateImage(params, context = {}) {
+        const image = await this.inner.generateImage(params, context);
+        this.record(params.model, { images: image.data?.length || params.n || 1 }, context);
+        return image;
+    }
+
+    async uploadFile(params) {
+        return this.inner.uploadFile(params);
+    }
+
+    async getFileContent(fileId) {
+        return this.inner.getFileContent(fileId);
+    }
+
+    async createBatch(params) {
+        return this.inner.createBatch(params);
+    }
+
+    async retrieveBatch(batchId) {
+        return this.inner.retrieveBatch(batchId);
+    }
+
+    async cancelBatch(batchId) {
+        return this.inner.cancelBatch(batchId);
+    }
+}
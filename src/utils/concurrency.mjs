@@ -0,0 +1,23 @@
+// Runs worker(item) for every item with at most `limit` running at once.
+// After a failure no new items are started; the first error is rethrown once
+// the running workers have settled.
+export async function runWithConcurrency(items, limit, worker) {
+    const queue = [...items];
+    let failure = null;
+
+    const runners = Array.from({ length: Math.max(1, Math.min(limit, queue.length)) }, async () => {
+        while (queue.length && !failure) {
+            const item = queue.shift();
+            try {
+                await worker(item);
+            } catch (error) {
+                failure = failure || { error };
+            }
+        }
+    });
+    await Promise.all(runners);
+
+    if (failure) {
+        throw failure.error;
+    }
+}
@@ -16,7 +16,7 @@ export class FileHandler {
             const dir = path.dirname(filePath);
             await this.createDirectory(dir);
             
-            if (typeof content === 'object') {
+            if (typeof content === 'object' && !Buffer.isBuffer(content)) {
                 content = JSON.stringify(content, null, 2);
             }
             
@@ -37,6 +37,15 @@ export class FileHandler {
         }
     }
 
+    static async removeFile(filePath) {
+        try {
+            await fs.rm(filePath, { force: true });
+        } catch (error) {
+            console.error(`Error removing file ${filePath}:`, error);
+            throw error;
+        }
+    }
+
     static async removeDirectory(dirPath) {
         try {
             await fs.rm(dirPath, { recursive: true, force: true });
@@ -0,0 +1,53 @@
+// Name matching and list merging shared by the registries of characters and
+// world details (story bible, world registry), whose entries merge by name or alias.
+export function normalizeName(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Extracted lists sometimes come back as a single string or object;
+// iterating that would add a string letter by letter
+export function toList(values) {
+    return Array.isArray(values) ? values : values ? [values] : [];
+}
+
+// Adds the values not already in the list, ignoring case
+export function mergeUnique(list, values) {
+    const known = new Set(list.map(normalizeName));
+    for (const value of toList(values)) {
+        const text = String(value || '').trim();
+        if (text && !known.has(normalizeName(text))) {
+            list.push(text);
+            known.add(normalizeName(text));
+        }
+    }
+    return list;
+}
+
+// The entry of `entries` (keyed by canonical name) that has the name or
+// alias, or null
+export function findNamed(entries, name) {
+    const key = normalizeName(name);
+    if (!key) {
+        return null;
+    }
+    return Object.values(entries).find(entry =>
+        normalizeName(entry.name) === key || entry.aliases.some(alias => normalizeName(alias) === key)
+    ) || null;
+}
+
+// Finds the entry for the name or any of details.aliases, or adds
+// createEntry(canonical) under its canonical name, then merges in the new
+// aliases and, if it has none yet, the description
+export function mergeNamed(entries, name, details, createEntry) {
+    const names = [name, ...toList(details.aliases)];
+    let entry = names.map(candidate => findNamed(entries, candidate)).find(Boolean);
+    if (!entry) {
+        const canonical = String(name).trim().replace(/\s+/g, ' ');
+        entry = entries[canonical] = { name: canonical, aliases: [], description: '', ...createEntry(canonical) };
+    }
+    mergeUnique(entry.aliases, names.filter(candidate => normalizeName(candidate) !== normalizeName(entry.name)));
+    if (!entry.description && details.description) {
+        entry.description = String(details.description).trim();
+    }
+    return entry;
+}
@@ -0,0 +1,16 @@
+// Rough token arithmetic (about 4 characters per token for English prose).
+// Good enough for budgeting prompts; billing uses the usage the API reports.
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+// Cuts text down to roughly maxTokens, keeping the start or (keepEnd) the end
+export function truncateToTokens(text, maxTokens, { keepEnd = false } = {}) {
+    const maxChars = Math.max(0, maxTokens * 4);
+    if (!text || text.length <= maxChars) {
+        return text || '';
+    }
+    return keepEnd
+        ? `...${text.slice(text.length - maxChars)}`
+        : `${text.slice(0, maxChars)}...`;
+}
@@ -0,0 +1,142 @@
+import fs from 'fs/promises';
+import { FileHandler } from './file_handler.mjs';
+
+// USD per 1M tokens (chat) or per image. Override with the `pricing` option.
+export const DEFAULT_PRICING = {
+    'gpt-4-turbo': { prompt: 10.00, completion: 30.00 },
+    'gpt-4o': { prompt: 2.50, completion: 10.00 },
+    'gpt-4o-mini': { prompt: 0.15, completion: 0.60 },
+    'dall-e-3': { image: 0.04 }
+};
+
+// Share of the live price the Batch API bills
+export const BATCH_PRICE_FACTOR = 0.5;
+
+function emptyTotals() {
+    return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+function addTo(totals, entry) {
+    totals.calls += 1;
+    totals.promptTokens += entry.promptTokens;
+    totals.completionTokens += entry.completionTokens;
+    totals.totalTokens += entry.promptTokens + entry.completionTokens;
+    totals.cost += entry.cost;
+}
+
+// Per-book record of token usage and estimated cost, stored next to
+// metadata/book_state.json. Budget limits are optional:
+//   { maxTokens, maxCost, maxChapterCost }
+export class UsageLedger {
+    constructor(bookName, options = {}) {
+        this.bookName = bookName;
+        this.ledgerPath = options.ledgerPath || `output/books/${bookName}/metadata/usage_ledger.json`;
+        this.pricing = { ...DEFAULT_PRICING, ...options.pricing };
+        this.budget = options.budget || {};
+        this.reset();
+    }
+
+    reset() {
+        this.entries = [];
+        this.totals = emptyTotals();
+        this.chapters = {};
+        this.pages = {};
+    }
+
+    estimateCost(model, usage) {
+        const price = this.pricing[model];
+        if (!price) {
+            return 0;
+        }
+        if (usage.images) {
+            return usage.images * (price.image || 0);
+        }
+        return (usage.prompt_tokens * (price.prompt || 0) + usage.completion_tokens * (price.completion || 0)) / 1000000;
+    }
+
+    // context: { task, chapter, page, batch }; batch usage is priced at
+    // BATCH_PRICE_FACTOR of the live price
+    record(model, usage = {}, context = {}) {
+        const cost = this.estimateCost(model, {
+            prompt_tokens: usage.prompt_tokens || 0,
+            completion_tokens: usage.completion_tokens || 0,
+            images: usage.images
+        });
+        const entry = {
+            timestamp: new Date().toISOString(),
+            model,
+            task: context.task || 'unknown',
+            chapter: context.chapter ?? null,
+            page: context.page ?? null,
+            promptTokens: usage.prompt_tokens || 0,
+            completionTokens: usage.completion_tokens || 0,
+            batch: Boolean(context.batch),
+            cost: context.batch ? cost * BATCH_PRICE_FACTOR : cost
+        };
+
+        this.entries.push(entry);
+        addTo(this.totals, entry);
+        if (entry.chapter !== null) {
+            this.chapters[entry.chapter] = this.chapters[entry.chapter] || emptyTotals();
+            addTo(this.chapters[entry.chapter], entry);
+        }
+        if (entry.chapter !== null && entry.page !== null) {
+            const pageKey = `${entry.chapter}:${entry.page}`;
+            this.pages[pageKey] = this.pages[pageKey] || emptyTotals();
+            addTo(this.pages[pageKey], entry);
+        }
+        return entry;
+    }
+
+    // Returns the reason generation should stop, or null while within budget
+    checkBudget(chapter = null) {
+        const { maxTokens, maxCost, maxChapterCost } = this.budget;
+        if (maxTokens && this.totals.totalTokens >= maxTokens) {
+            return `Token budget exceeded: ${this.totals.totalTokens} of ${maxTokens} tokens used`;
+        }
+        if (maxCost && this.totals.cost >= maxCost) {
+            return `Cost budget exceeded: $${this.totals.cost.toFixed(4)} of $${maxCost} spent`;
+        }
+        const chapterCost = this.chapters[chapter]?.cost || 0;
+        if (maxChapterCost && chapter !== null && chapterCost >= maxChapterCost) {
+            return `Chapter ${chapter} budget exceeded: $${chapterCost.toFixed(4)} of $${maxChapterCost} spent`;
+        }
+        return null;
+    }
+
+    summary() {
+        return {
+            totals: this.totals,
+            chapters: this.chapters,
+            budget: this.budget
+        };
+    }
+
+    async save() {
+        await FileHandler.writeFile(this.ledgerPath, {
+            bookName: this.bookName,
+            updatedAt: new Date().toISOString(),
+            budget: this.budget,
+            totals: this.totals,
+            chapters: this.chapters,
+            pages: this.pages,
+            entries: this.entries
+        });
+    }
+
+    async load() {
+        try {
+            const ledger = JSON.parse(await fs.readFile(this.ledgerPath, 'utf-8'));
+            this.entries = ledger.entries || [];
+            this.totals = ledger.totals || emptyTotals();
+            this.chapters = ledger.chapters || {};
+            this.pages = ledger.pages || {};
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false; // No usage recorded yet
+            }
+            throw error;
+        }
+    }
+}
@@ -23,4 +23,18 @@ export const sampleMetadata = {
     author: "Test Author",
     genre: "Test Genre",
     targetAudience: "Test Audience"
-}; 
\ No newline at end of file
+}; 
+
+// A small book as the exporters take it (see BookManager.compileBook):
+// chapters out of order, dialogue in both formats and a scene break
+export const exportBook = {
+    title: 'Drake Legacy',
+    author: 'Charlie Reeves',
+    language: 'en',
+    description: 'A test book.',
+    keywords: ['martial arts', 'fantasy'],
+    chapters: [
+        { number: 2, title: 'The Gym', pages: ['"Ready?" Mae said.'] },
+        { number: 1, title: 'Awakening', subtitle: 'It begins', pages: ['<Hello,> John signed.\n\n* * *\n\n"Hi," Mae said.', 'Page two.'] }
+    ]
+};
@@ -1,3 +1,5 @@
+import { createProvider } from '../../src/providers/provider_factory.mjs';
+
 export class TestMode {
     constructor() {
         this.isTestMode = true;
@@ -24,6 +26,10 @@ export class TestMode {
         this.useMocks = false;
     }
 
+    getProvider(options = {}) {
+        return createProvider({ ...options, useMocks: this.useMocks });
+    }
+
     getSampleBookConfig() {
         return {
             metadata: {
@@ -1 +1,90 @@
-import { TestMode } from '../config/test_mode.mjs'; 
\ No newline at end of file
+import fs from 'fs/promises';
+import JSZip from 'jszip';
+import { TestMode } from '../config/test_mode.mjs';
+import { createBookPageByPage } from '../../src/core/createbook.mjs';
+import { createDrakeConfig } from '../../src/config/templates/drake_legacy.js';
+import { FileHandler } from '../../src/utils/file_handler.mjs';
+import assert from 'assert';
+
+const testMode = TestMode.getInstance();
+const bookName = 'integration_drake_legacy';
+const outputPath = `output/books/${bookName}`;
+const compiled = `${outputPath}/compiled`;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47]);
+
+// One book written offline and compiled to every format; the unit tests
+// cover what each exporter writes, these check the book reaches them
+describe('Drake Legacy Integration Tests', () => {
+    let result;
+
+    before(async () => {
+        const bookConfig = {
+            ...createDrakeConfig({ totalChapters: 2, pagesPerChapter: 2, bookMatter: { copyright: true, dedication: 'For Mae.' } }),
+            pdf: { trimSize: '5.5x8.5' }
+        };
+        result = await createBookPageByPage(
+            bookConfig.metadata.synopsis,
+            bookConfig.chapterStructure.totalChapters,
+            bookConfig.chapterStructure.pagesPerChapter,
+            null,
+            bookName,
+            { provider: testMode.getProvider(), bookConfig }
+        );
+    });
+
+    after(async () => {
+        await FileHandler.removeDirectory(outputPath);
+    });
+
+    it('should create a full book offline with the mock provider', async () => {
+        assert.strictEqual(result.metadata.title, 'Drake Legacy');
+        const page = await FileHandler.readFile(`${result.outputPath}/chapters/chapter2/page2.json`, true);
+        assert.ok(page.content.length > 0);
+        await Promise.all(Object.values(result.compiledBook).map(path => fs.access(path)));
+    });
+
+    it('should compile the EPUB with the saved cover, metadata and template matter', async () => {
+        assert.strictEqual(result.compiledBook.epub, `${compiled}/complete.epub`);
+        const zip = await JSZip.loadAsync(await fs.readFile(result.compiledBook.epub));
+        assert.ok((await zip.file('OEBPS/images/cover.png').async('nodebuffer')).subarray(0, 4).equals(PNG_SIGNATURE));
+        assert.ok(zip.file('OEBPS/chapter-2.xhtml'));
+        assert.ok(zip.file('OEBPS/dedication.xhtml'));
+        const opf = await zip.file('OEBPS/content.opf').async('string');
+        assert.match(opf, /<dc:creator id="author">Charlie Reeves<\/dc:creator>/);
+        assert.match(opf, /<dc:subject>Deaf protagonist<\/dc:subject>/);
+    });
+
+    it('should compile the DOCX manuscript and a DOCX per page', async () => {
+        assert.strictEqual(result.compiledBook.docx, `${compiled}/complete.docx`);
+        const document = await (await JSZip.loadAsync(await fs.readFile(result.compiledBook.docx))).file('word/document.xml').async('string');
+        assert.match(document, /Chapter 1: /);
+        assert.match(document, /Chapter 2: /);
+        const page = await (await JSZip.loadAsync(await fs.readFile(`${outputPath}/chapters/chapter1/page1.docx`))).file('word/document.xml').async('string');
+        assert.match(page, /<w:pStyle w:val="pageHeading"\/>/);
+    });
+
+    it('should compile the PDF at the template trim size', async () => {
+        assert.strictEqual(result.compiledBook.pdf, `${compiled}/complete.pdf`);
+        assert.match((await fs.readFile(result.compiledBook.pdf)).toString('latin1'), /\/MediaBox \[0 0 396 612\]/);
+    });
+
+    it('should compile Markdown and the HTML reader with the cover', async () => {
+        assert.strictEqual(result.compiledBook.markdown, `${compiled}/markdown/index.md`);
+        assert.strictEqual(result.compiledBook.html, `${compiled}/html/index.html`);
+        assert.deepStrictEqual((await fs.readdir(`${compiled}/markdown`)).sort(), ['chapter-1.md', 'chapter-2.md', 'cover.png', 'index.md']);
+        assert.deepStrictEqual((await fs.readdir(`${compiled}/html`)).sort(), ['chapter-1.html', 'chapter-2.html', 'cover.png', 'index.html', 'styles.css']);
+        const index = await FileHandler.readFile(result.compiledBook.html);
+        assert.match(index, /<img class="cover" src="cover.png" alt="Cover of Drake Legacy" \/>/);
+        assert.match(index, /Copyright © \d{4} Charlie Reeves/);
+    });
+
+    it('should compile the narration with the template lexicon', async () => {
+        const directory = `${compiled}/narration`;
+        assert.strictEqual(result.compiledBook.narration, `${directory}/script.json`);
+        assert.deepStrictEqual((await fs.readdir(directory)).sort(), ['chapter-1.ssml', 'chapter-2.ssml', 'lexicon.pls', 'script.json']);
+        const script = JSON.parse(await fs.readFile(result.compiledBook.narration, 'utf8'));
+        assert.strictEqual(script.signedDialogue, 'announced');
+        assert.ok(script.pronunciations.some(entry => entry.grapheme === "Lili'Van"));
+    });
+});
@@ -0,0 +1,297 @@
+import { createBookWithBatch, createBookWithStagedBatch, cancelBatchBook } from '../../../src/core/createbook.mjs';
+import { BatchBookManager, batchCustomId, parseCustomId, splitIntoPages } from '../../../src/core/batch_book_manager.mjs';
+import { MockProvider } from '../../../src/providers/mock_provider.mjs';
+import { FileHandler } from '../../../src/utils/file_handler.mjs';
+import assert from 'assert';
+
+const bookName = 'batch_test_book';
+
+describe('Batch Book Tests', () => {
+    afterEach(async () => {
+        await FileHandler.removeDirectory(`output/books/${bookName}`);
+    });
+
+    it('should map custom ids back to chapters and pages', () => {
+        assert.deepStrictEqual(parseCustomId('chapter-12'), { kind: 'chapter', chapter: 12, page: null });
+        assert.deepStrictEqual(parseCustomId('page-3-2'), { kind: 'page', chapter: 3, page: 2 });
+        assert.deepStrictEqual(parseCustomId('outline'), { kind: 'outline', chapter: null, page: null });
+        assert.strictEqual(batchCustomId('edit', 4, 1), 'edit-4-1');
+        assert.strictEqual(batchCustomId('consistency', 2), 'consistency-2');
+        assert.strictEqual(parseCustomId('summary-1'), null);
+    });
+
+    it('should split a chapter into pages between paragraphs', () => {
+        const text = ['One two three.', 'Four five six.', 'Seven eight nine.', 'Ten eleven twelve.'].join('\n\n');
+        assert.deepStrictEqual(splitIntoPages(text, 2), [
+            'One two three.\n\nFour five six.',
+            'Seven eight nine.\n\nTen eleven twelve.'
+        ]);
+        assert.strictEqual(splitIntoPages('Only one paragraph. With two sentences.', 2).length, 2);
+    });
+
+    it('should write the whole book through a batch job', async () => {
+        const provider = new MockProvider();
+        const result = await createBookWithBatch('Theme', 2, 3, bookName, { provider });
+
+        assert.strictEqual(result.progressState.status, 'completed');
+        assert.strictEqual(provider.batches.size, 1);
+        const pageCalls = provider.calls.filter(call => call.context.task === 'chapter');
+        assert.deepStrictEqual(pageCalls.map(call => call.context.customId), ['chapter-1', 'chapter-2']);
+
+        for (let page = 1; page <= 3; page++) {
+            const saved = await FileHandler.readFile(`output/books/${bookName}/chapters/chapter2/page${page}.json`, true);
+            assert.ok(saved.content.length > 0);
+        }
+        assert.ok(result.usage.totals.calls > 0);
+    });
+
+    it('should store the edited text and report requests from the error file', async () => {
+        const provider = new MockProvider({
+            responders: {
+                chapter: (params, random, context) => {
+                    if (context.customId === 'chapter-2') throw new Error('Request too large');
+                    return 'First part.\n\nSecond part.';
+                },
+                edit: () => 'Edited first part.\n\nEdited second part.'
+            }
+        });
+        const manager = new BatchBookManager(bookName, { provider });
+        manager.outline = {};
+        manager.createBatchTasks(2, 2);
+        const batch = await manager.submitBatchJob();
+        const { saved, failed } = await manager.processBatchResults(batch, 2);
+
+        assert.deepStrictEqual(saved.map(entry => entry.customId), ['chapter-1']);
+        assert.deepStrictEqual(failed.map(entry => [entry.customId, entry.message]), [['chapter-2', 'Request too large']]);
+        assert.deepStrictEqual(manager.bookContent[1], { 1: 'Edited first part.', 2: 'Edited second part.' });
+        assert.ok(!manager.bookContent[2]);
+    });
+
+    it('should only fill in the pages a chapter is missing from a chapter result', async () => {
+        const provider = new MockProvider({ responders: { chapter: () => 'First part.\n\nSecond part.' } });
+        const manager = new BatchBookManager(bookName, { provider });
+        manager.outline = {};
+        await manager.saveProgress('Written before.', 1, 1);
+        manager.createBatchTasks(1, 2);
+        const batch = await manager.submitBatchJob();
+        await manager.processBatchResults(batch, 2, { review: false });
+
+        assert.deepStrictEqual(manager.bookContent[1], { 1: 'Written before.', 2: 'Second part.' });
+    });
+
+    it('should pause when batch requests fail and only resubmit unwritten chapters', async () => {
+        let failChapterTwo = true;
+        const provider = new MockProvider({
+            responders: {
+                chapter: (params, random, context) => {
+                    if (failChapterTwo && context.customId === 'chapter-2') throw new Error('Server error');
+                    return `Text for ${context.customId}.\n\nMore text.`;
+                }
+            }
+        });
+        const paused = await createBookWithBatch('Theme', 2, 2, bookName, { provider, maxBatchAttempts: 1 });
+        assert.strictEqual(paused.progressState.status, 'paused');
+        assert.match(paused.progressState.pauseReason, /chapter-2/);
+
+        failChapterTwo = false;
+        const result = await createBookWithBatch('Theme', 2, 2, bookName, { provider });
+        assert.strictEqual(result.progressState.status, 'completed');
+        const chapterCalls = provider.calls.filter(call => call.context.task === 'chapter').map(call => call.context.customId);
+        assert.deepStrictEqual(chapterCalls, ['chapter-1', 'chapter-2', 'chapter-2']);
+    });
+
+    it('should resubmit only the failed requests', async () => {
+        let failures = 1;
+        const provider = new MockProvider({
+            responders: {
+                chapter: (params, random, context) => {
+                    if (context.customId === 'chapter-2' && failures-- > 0) throw new Error('Server error');
+                    return `Text for ${context.customId}.\n\nMore text.`;
+                }
+            }
+        });
+        const result = await createBookWithBatch('Theme', 2, 2, bookName, { provider });
+
+        assert.strictEqual(result.progressState.status, 'completed');
+        const history = result.progressState.batchHistory;
+        assert.deepStrictEqual(history.map(job => [job.requestCount, job.attempt, job.failed]), [
+            [2, 1, ['chapter-2']],
+            [1, 2, []]
+        ]);
+    });
+
+    it('should save the job and re-attach to it on the next run', async () => {
+        const provider = new MockProvider({ batchPolls: 2 });
+        const waiting = await createBookWithBatch('Theme', 2, 2, bookName, { provider, wait: false });
+        assert.strictEqual(waiting.progressState.status, 'paused');
+        const job = waiting.progressState.batchJob;
+        assert.match(job.id, /^batch-mock-/);
+        assert.match(job.inputFileId, /^file-mock-/);
+        assert.ok(!Number.isNaN(Date.parse(job.submittedAt)));
+
+        const sleeps = [];
+        const result = await createBookWithBatch('Theme', 2, 2, bookName, { provider, sleep: async ms => sleeps.push(ms) });
+        assert.strictEqual(result.progressState.status, 'completed');
+        assert.strictEqual(provider.batches.size, 1);
+        assert.deepStrictEqual(sleeps, [60000]);
+        assert.strictEqual(result.progressState.batchJob, undefined);
+    });
+
+    it('should keep the results saved before processing failed and not process them again', async () => {
+        let failEdit = true;
+        const provider = new MockProvider({
+            responders: {
+                chapter: (params, random, context) => `Text for ${context.customId}.\n\nMore text.`,
+                edit: (params, random, context) => {
+                    if (failEdit && context.chapter === 2) throw new Error('Connection reset');
+                    return params.messages[1].content;
+                }
+            }
+        });
+        await assert.rejects(createBookWithBatch('Theme', 2, 2, bookName, { provider }), /Connection reset/);
+
+        const state = await FileHandler.readFile(`output/books/${bookName}/metadata/book_state.json`, true);
+        assert.ok(state.progress.batchJob);
+        assert.deepStrictEqual(state.progress.batchStages.chapters.done, ['chapter-1']);
+
+        failEdit = false;
+        const result = await createBookWithBatch('Theme', 2, 2, bookName, { provider });
+        assert.strictEqual(result.progressState.status, 'completed');
+        assert.strictEqual(provider.batches.size, 1);
+        const edits = provider.calls.filter(call => call.context.task === 'edit').map(call => call.context.chapter);
+        assert.deepStrictEqual(edits, [1, 2, 2]);
+        assert.deepStrictEqual(result.progressState.batchStages.chapters.done, ['chapter-1', 'chapter-2']);
+    });
+
+    it('should keep the finished part of an expired job and resubmit the rest', async () => {
+        const provider = new MockProvider({ batchPolls: 1 });
+        const waiting = await createBookWithBatch('Theme', 2, 2, bookName, { provider, wait: false });
+
+        // The job expires after answering only chapter 1
+        const batch = provider.batches.get(waiting.progressState.batchJob.id);
+        const output = provider.files.get(batch.output_file_id);
+        output.content = output.content.split('\n').filter(line => line.includes('"chapter-1"')).join('\n');
+        batch.status = 'expired';
+
+        const result = await createBookWithBatch('Theme', 2, 2, bookName, { provider, sleep: async () => {} });
+        assert.strictEqual(result.progressState.status, 'completed');
+        assert.deepStrictEqual(result.progressState.batchHistory.map(job => [job.status, job.missing]), [
+            ['expired', ['chapter-2']],
+            ['completed', []]
+        ]);
+    });
+
+    it('should cancel the job in flight and pause with its finished results', async () => {
+        const provider = new MockProvider({ batchPolls: 5 });
+        await createBookWithBatch('Theme', 2, 2, bookName, { provider, wait: false });
+
+        const cancelled = await cancelBatchBook(bookName, { provider });
+        assert.strictEqual(cancelled.status, 'cancelled');
+
+        const result = await createBookWithBatch('Theme', 2, 2, bookName, { provider });
+        assert.strictEqual(result.progressState.status, 'paused');
+        assert.match(result.progressState.pauseReason, /was cancelled/);
+        assert.strictEqual(result.progressState.batchJob, undefined);
+    });
+
+    it('should write the book in stages: outline, page waves, then post-processing', async () => {
+        const provider = new MockProvider({
+            responders: {
+                edit: params => `Proofread: ${params.messages[params.messages.length - 1].content}`,
+                translate: () => 'Texto traducido.'
+            }
+        });
+        const result = await createBookWithStagedBatch('Theme', 2, 2, bookName, { provider, language: 'es' });
+
+        assert.strictEqual(result.progressState.status, 'completed');
+        assert.deepStrictEqual(result.progressState.batchHistory.map(job => [job.stage, job.requestCount]), [
+            ['outline', 1],
+            ['pages-1', 2],
+            ['pages-2', 2],
+            ['consistency', 2],
+            ['proofread', 4],
+            ['translate-es', 4]
+        ]);
+        assert.deepStrictEqual(Object.keys(result.outline), ['1', '2']);
+
+        // The second wave sees the summaries of the first
+        const secondWave = provider.calls.find(call => call.context.customId === 'page-2-2');
+        assert.match(secondWave.params.messages[1].content, /What has happened so far/);
+        assert.ok(!provider.calls.some(call => call.context.task === 'consistency' && !call.context.customId), 'no live review');
+
+        const page = await FileHandler.readFile(`output/books/${bookName}/chapters/chapter2/page1.json`, true);
+        assert.match(page.content, /^Proofread: /);
+        const translation = await FileHandler.readFile(`output/books/${bookName}/translations/es/chapter2/page1.json`, true);
+        assert.strictEqual(translation.content, 'Texto traducido.');
+        const report = await FileHandler.readFile(`output/books/${bookName}/metadata/continuity_report.json`, true);
+        assert.deepStrictEqual(report.entries.map(entry => [entry.chapter, entry.page]), [[1, null], [2, null]]);
+    });
+
+    it('should label the pages of a chapter check and only revise pages in the chapter', async () => {
+        const issue = page => ({ type: 'fact', severity: 'high', location: { chapter: 1, page }, conflictingFact: `Wrong on page ${page}` });
+        const provider = new MockProvider({
+            responders: {
+                consistency: () => JSON.stringify({ issues: [issue(2), issue(9)] }),
+                revision: () => 'Mae waited for John.'
+            }
+        });
+        const manager = new BatchBookManager(bookName, { provider, continuity: { action: 'patch' } });
+        await manager.saveProgress('John ran to the gym.', 1, 1);
+        await manager.saveProgress('Mae waited.', 1, 2);
+
+        const stopReason = await manager.runBatchStage('consistency', done => manager.createConsistencyTasks(1, 2, done),
+            batch => manager.processConsistencyResults(batch, 2));
+        assert.strictEqual(stopReason, null);
+
+        const check = provider.calls.find(call => call.context.task === 'consistency');
+        assert.match(check.params.messages[1].content, /Page 1:\nJohn ran to the gym\.\n\nPage 2:\nMae waited\./);
+        assert.deepStrictEqual(provider.calls.filter(call => call.context.task === 'revision').map(call => call.context.page), [2]);
+        assert.strictEqual(manager.bookContent[1][1], 'John ran to the gym.');
+        assert.strictEqual(manager.bookContent[1][2], 'Mae waited for John.');
+        assert.deepStrictEqual(manager.continuityReport.entries[1].issues.map(entry => entry.location.page), [2, null]);
+    });
+
+    it('should summarize and extract facts again for pages proofreading changed', async () => {
+        const provider = new MockProvider({
+            responders: {
+                edit: params => params.messages[1].content.replace('Jon', 'John')
+            }
+        });
+        const manager = new BatchBookManager(bookName, { provider });
+        await manager.saveProgress('Jon ran to the gym.', 1, 1);
+        await manager.saveProgress('Mae waited.', 1, 2);
+
+        const stopReason = await manager.runBatchStage('proofread', done => manager.createProofreadTasks(1, 2, done),
+            batch => manager.processProofreadResults(batch, 2));
+        assert.strictEqual(stopReason, null);
+
+        assert.strictEqual(manager.bookContent[1][1], 'John ran to the gym.');
+        const live = provider.calls.filter(call => !call.context.customId).map(call => [call.context.task, call.context.page ?? null]);
+        assert.deepStrictEqual(live, [['summary', 1], ['metadata', 1], ['summary', null]]);
+        assert.match(manager.storyMemory.pageSummaries['1:1'], /John ran/);
+    });
+
+    it('should resume a staged book at the stage in flight', async () => {
+        const provider = new MockProvider({ batchPolls: 1 });
+        let result = await createBookWithStagedBatch('Theme', 2, 2, bookName, { provider, wait: false });
+        const stages = [];
+        while (result.progressState.status === 'paused') {
+            stages.push(result.progressState.batchJob.stage);
+            result = await createBookWithStagedBatch('Theme', 2, 2, bookName, { provider, wait: false });
+        }
+
+        assert.strictEqual(result.progressState.status, 'completed');
+        assert.deepStrictEqual(stages, ['outline', 'pages-1', 'pages-2', 'consistency', 'proofread']);
+        assert.strictEqual(provider.calls.filter(call => call.context.task === 'outline').length, 1);
+    });
+
+    it('should treat an invalid outline as a failed request', async () => {
+        const provider = new MockProvider({ responders: { outline: () => '{"chapters": []}' } });
+        const result = await createBookWithStagedBatch('Theme', 2, 2, bookName, { provider, maxBatchAttempts: 2 });
+
+        assert.strictEqual(result.progressState.status, 'paused');
+        assert.match(result.progressState.pauseReason, /after 2 attempts: outline/);
+        assert.deepStrictEqual(result.outline, {});
+    });
+});
+
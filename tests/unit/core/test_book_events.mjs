@@ -0,0 +1,88 @@
+import { createBookPageByPage, startBook } from '../../../src/core/createbook.mjs';
+import { BOOK_EVENTS, BookEventEmitter } from '../../../src/core/book_events.mjs';
+import { MockProvider } from '../../../src/providers/mock_provider.mjs';
+import { FileHandler } from '../../../src/utils/file_handler.mjs';
+import assert from 'assert';
+
+const bookName = 'events_test_book';
+
+describe('Book Event Tests', () => {
+    afterEach(async () => {
+        await FileHandler.removeDirectory(`output/books/${bookName}`);
+    });
+
+    it('should emit progress events in order while the book is written', async () => {
+        const events = new BookEventEmitter();
+        const seen = [];
+        const tokens = {};
+        events.on('event', event => {
+            if (event.type !== BOOK_EVENTS.TOKEN && event.type !== BOOK_EVENTS.COST_UPDATED) {
+                seen.push(event.chapter ? `${event.type} ${event.chapter}:${event.page ?? '-'}` : event.type);
+            }
+        });
+        events.on(BOOK_EVENTS.TOKEN, ({ chapter, page, text }) => {
+            tokens[`${chapter}:${page}`] = (tokens[`${chapter}:${page}`] || '') + text;
+        });
+
+        const result = await createBookPageByPage('Theme', 2, 1, null, bookName, { provider: new MockProvider(), events });
+
+        assert.deepStrictEqual(seen, [
+            'outline:ready',
+            'page:started 1:1',
+            'page:saved 1:1',
+            'chapter:completed 1:-',
+            'page:started 2:1',
+            'page:saved 2:1',
+            'chapter:completed 2:-',
+            'completed'
+        ]);
+        const saved = await FileHandler.readFile(`output/books/${bookName}/chapters/chapter2/page1.json`, true);
+        assert.strictEqual(tokens['2:1'], saved.content);
+        assert.ok(result.usage.totals.cost > 0);
+    });
+
+    it('should report cost after every call', async () => {
+        const events = new BookEventEmitter();
+        const costs = [];
+        events.on(BOOK_EVENTS.COST_UPDATED, ({ totals }) => costs.push(totals.cost));
+
+        const result = await createBookPageByPage('Theme', 1, 2, null, bookName, { provider: new MockProvider(), events });
+
+        assert.strictEqual(costs.length, result.usage.totals.calls);
+        assert.strictEqual(costs[costs.length - 1], result.usage.totals.cost);
+    });
+
+    it('should be consumable with for await and end when the book pauses', async () => {
+        const provider = new MockProvider();
+        const events = startBook('Theme', 2, 2, bookName, { provider, budget: { maxTokens: 1 } });
+
+        const types = [];
+        for await (const event of events) {
+            types.push(event.type);
+        }
+        const result = await events.done;
+
+        assert.strictEqual(types[types.length - 1], BOOK_EVENTS.PAUSED);
+        assert.ok(!types.includes(BOOK_EVENTS.PAGE_STARTED));
+        assert.strictEqual(result.progressState.status, 'paused');
+    });
+
+    it('should emit a fatal error event when generation fails', async () => {
+        const provider = new MockProvider({
+            responders: { page: () => { throw new Error('Model exploded'); } }
+        });
+        const events = startBook('Theme', 1, 1, bookName, { provider });
+
+        const types = [];
+        for await (const event of events) {
+            types.push(event.type);
+            if (event.type === BOOK_EVENTS.ERROR) {
+                assert.strictEqual(event.fatal, true);
+                assert.strictEqual(event.error.message, 'Model exploded');
+            }
+        }
+
+        assert.deepStrictEqual(types.slice(-2), [BOOK_EVENTS.PAGE_STARTED, BOOK_EVENTS.ERROR]);
+        await assert.rejects(events.done, /Model exploded/);
+    });
+});
@@ -0,0 +1,81 @@
+import JSZip from 'jszip';
+import { buildBookMatter } from '../../../src/core/book_matter.mjs';
+import { buildEpub } from '../../../src/core/epub.mjs';
+import { buildManuscript } from '../../../src/core/docx.mjs';
+import { buildHtmlSite } from '../../../src/core/html_site.mjs';
+import { createDrakeConfig } from '../../../src/config/templates/drake_legacy.js';
+import { exportBook } from '../../config/test_data.js';
+import assert from 'assert';
+
+const metadata = {
+    title: 'Drake Legacy',
+    author: 'Charlie Reeves',
+    series: { name: 'Drake Legacy', book: 1, subtitle: "The Fighter's Awakening" }
+};
+
+const config = {
+    series: true,
+    copyright: { year: 2024, isbn: '978-0-00-000000-0' },
+    dedication: 'For Mae.',
+    epigraph: { text: 'Be water, my friend.', attribution: 'Bruce Lee' },
+    acknowledgements: 'Thanks to the club.\n\nAnd to my editor.',
+    aboutTheAuthor: 'Charlie Reeves lives in Michigan.',
+    alsoInSeries: ['Book 2: The Hidden Gate'],
+    teaser: { title: 'The Hidden Gate', text: 'The gate opened.\n\n* * *\n\nJohn stepped through.' }
+};
+
+describe('Book Matter Tests', () => {
+    it('should build the configured sections from the metadata', () => {
+        const matter = buildBookMatter(metadata, config);
+
+        assert.strictEqual(matter.titlePage, true);
+        assert.deepStrictEqual(matter.frontMatter.map(section => section.id), ['series', 'copyright', 'dedication', 'epigraph']);
+        assert.deepStrictEqual(matter.backMatter.map(section => section.id), ['acknowledgements', 'about-the-author', 'also-in-series', 'teaser']);
+
+        const [series, copyright, , epigraph] = matter.frontMatter;
+        assert.strictEqual(series.heading, 'The Drake Legacy Series');
+        assert.deepStrictEqual(series.paragraphs, ["Book 1: The Fighter's Awakening"]);
+        assert.deepStrictEqual(copyright.paragraphs.slice(0, 2), ["Drake Legacy: The Fighter's Awakening", 'Copyright © 2024 Charlie Reeves']);
+        assert.ok(copyright.paragraphs.includes('ISBN 978-0-00-000000-0'));
+        assert.deepStrictEqual(epigraph.paragraphs, ['Be water, my friend.', '— Bruce Lee']);
+
+        const [acknowledgements, , alsoInSeries, teaser] = matter.backMatter;
+        assert.deepStrictEqual(acknowledgements.paragraphs, ['Thanks to the club.', 'And to my editor.']);
+        assert.strictEqual(alsoInSeries.heading, 'Also in the Drake Legacy Series');
+        assert.strictEqual(teaser.heading, 'A Preview of The Hidden Gate');
+    });
+
+    it('should leave out sections that are unset or turned off', () => {
+        const matter = buildBookMatter({ title: 'Untitled' }, { titlePage: false, series: true, copyright: false, dedication: '' });
+        assert.deepStrictEqual(matter, { titlePage: false, frontMatter: [], backMatter: [] });
+        assert.deepStrictEqual(buildBookMatter(metadata, undefined), { titlePage: true, frontMatter: [], backMatter: [] });
+        assert.strictEqual(createDrakeConfig().bookMatter, undefined);
+    });
+
+    it('should place the matter around the chapters in the EPUB, DOCX and HTML exports', async () => {
+        const book = { ...exportBook, ...metadata, ...buildBookMatter(metadata, config) };
+
+        const zip = await JSZip.loadAsync(await buildEpub(book));
+        const opf = await zip.file('OEBPS/content.opf').async('string');
+        assert.deepStrictEqual([...opf.matchAll(/<itemref idref="([^"]+)" \/>/g)].map(match => match[1]), [
+            'title-page', 'series', 'copyright', 'dedication', 'epigraph', 'chapter-1', 'chapter-2',
+            'acknowledgements', 'about-the-author', 'also-in-series', 'teaser'
+        ]);
+        assert.match(await zip.file('OEBPS/copyright.xhtml').async('string'), /<section epub:type="copyright-page" id="copyright" class="matter matter-copyright">/);
+        assert.match(await zip.file('OEBPS/teaser.xhtml').async('string'), /<p>The gate opened.<\/p>\n<hr class="scene-break" \/>/);
+        assert.match(await zip.file('OEBPS/nav.xhtml').async('string'), /Chapter 2: The Gym<\/a><\/li>\n<li><a href="acknowledgements.xhtml">Acknowledgements<\/a><\/li>/);
+
+        const document = await (await JSZip.loadAsync(await buildManuscript(book))).file('word/document.xml').async('string');
+        const order = ['Copyright © 2024', 'For Mae.', 'TOC \\h', 'Chapter 1: Awakening', 'Acknowledgements', 'A Preview of The Hidden Gate']
+            .map(text => document.indexOf(text));
+        assert.ok(order.every((position, index) => position > (order[index - 1] ?? -1)), order.join(', '));
+        assert.match(document, /<w:pStyle w:val="Heading1"\/><w:pageBreakBefore\/><\/w:pPr><w:r><w:t xml:space="preserve">About the Author/);
+
+        const files = buildHtmlSite(book);
+        const index = files.find(file => file.path === 'index.html').content;
+        assert.match(index, /<section class="matter matter-epigraph" id="epigraph">\n<p>Be water, my friend.<\/p>/);
+        assert.match(index, /<li><a href="teaser.html">A Preview of The Hidden Gate<\/a><\/li>/);
+        assert.match(files.find(file => file.path === 'chapter-2.html').content, /<a rel="next" href="acknowledgements.html">/);
+        assert.ok(files.some(file => file.path === 'about-the-author.html'));
+    });
+});
@@ -1,5 +1,6 @@
 import { TestMode } from '../../config/test_mode.mjs';
 import { BookManager } from '../../../src/core/book_manager.mjs';
+import { FileHandler } from '../../../src/utils/file_handler.mjs';
 import assert from 'assert';
 
 const testMode = TestMode.getInstance();
@@ -0,0 +1,103 @@
+import { normalizeIssues, ContinuityChecker } from '../../../src/core/continuity.mjs';
+import { createBookPageByPage, createBookWithStagedBatch } from '../../../src/core/createbook.mjs';
+import { MockProvider } from '../../../src/providers/mock_provider.mjs';
+import { FileHandler } from '../../../src/utils/file_handler.mjs';
+import assert from 'assert';
+
+const bookName = 'continuity_test_book';
+
+const eyeColour = {
+    type: 'character',
+    severity: 'high',
+    location: { chapter: 1, page: 2 },
+    conflictingFact: 'Kai has green eyes here but brown eyes in chapter 1.',
+    suggestedFix: 'Make his eyes brown.'
+};
+
+// Reports the eye colour issue on page 1:2 until the text has been revised
+function checkingProvider(revisedText) {
+    return new MockProvider({
+        responders: {
+            consistency: (params, random, context) => {
+                const text = params.messages[1].content.split('Text to check:\n')[1];
+                const flagged = context.page === 2 || context.customId === 'consistency-1';
+                return JSON.stringify({ issues: flagged && !text.includes(revisedText) ? [eyeColour] : [] });
+            },
+            revision: () => revisedText
+        }
+    });
+}
+
+describe('Continuity Tests', () => {
+    afterEach(async () => {
+        await FileHandler.removeDirectory(`output/books/${bookName}`);
+    });
+
+    it('should normalize the issues reported by the model', () => {
+        const issues = normalizeIssues({
+            issues: [
+                { type: 'magic', severity: 'critical', description: 'The ward breaks twice.' },
+                { severity: 'low' },
+                eyeColour
+            ]
+        }, { chapter: 3, page: 1 });
+
+        assert.deepStrictEqual(issues[0], {
+            type: 'other',
+            severity: 'medium',
+            location: { chapter: 3, page: 1 },
+            conflictingFact: 'The ward breaks twice.',
+            suggestedFix: ''
+        });
+        assert.strictEqual(issues.length, 2);
+        assert.deepStrictEqual(issues[1].location, { chapter: 1, page: 2 });
+    });
+
+    it('should only revise for issues at or above the policy severity', () => {
+        const checker = new ContinuityChecker({ policy: { action: 'patch', minSeverity: 'medium' } });
+        assert.ok(!checker.needsRevision([{ ...eyeColour, severity: 'low' }]));
+        assert.ok(checker.needsRevision([{ ...eyeColour, severity: 'medium' }]));
+        assert.ok(!new ContinuityChecker().needsRevision([eyeColour]), 'the default policy only records');
+    });
+
+    it('should patch a page with high severity issues and write the report', async () => {
+        const provider = checkingProvider('Patched page.');
+        await createBookPageByPage('Theme', 1, 2, null, bookName, { provider, continuity: { action: 'patch' } });
+
+        const page = await FileHandler.readFile(`output/books/${bookName}/chapters/chapter1/page2.json`, true);
+        assert.strictEqual(page.content, 'Patched page.');
+        const patch = provider.calls.find(call => call.context.task === 'revision');
+        assert.match(patch.params.messages[1].content, /\[high character\] Kai has green eyes/);
+
+        const report = await FileHandler.readFile(`output/books/${bookName}/metadata/continuity_report.json`, true);
+        assert.deepStrictEqual(report.summary, {
+            checked: 2,
+            issues: 0,
+            bySeverity: { low: 0, medium: 0, high: 0 },
+            revisions: 1
+        });
+        assert.deepStrictEqual(report.entries[1].revisions[0].issues, [eyeColour]);
+    });
+
+    it('should regenerate a page with the issues as notes', async () => {
+        const provider = checkingProvider('Regenerated page.');
+        await createBookPageByPage('Theme', 1, 2, null, bookName, { provider, continuity: { action: 'regenerate' } });
+
+        const regenerate = provider.calls.find(call => call.context.task === 'revision');
+        assert.match(regenerate.params.messages[1].content, /^Write page 2 of 2 of chapter 1\./);
+        assert.match(regenerate.params.messages[1].content, /earlier draft had these continuity problems; do not repeat them:\n- \[high character\]/);
+    });
+
+    it('should patch the pages flagged by the batch continuity stage', async () => {
+        const provider = checkingProvider('Patched in batch.');
+        const result = await createBookWithStagedBatch('Theme', 1, 2, bookName, { provider, continuity: { action: 'patch' } });
+
+        assert.strictEqual(result.progressState.status, 'completed');
+        const report = await FileHandler.readFile(`output/books/${bookName}/metadata/continuity_report.json`, true);
+        assert.deepStrictEqual(report.entries.map(entry => [entry.chapter, entry.page, entry.revisions.map(revision => revision.page)]), [
+            [1, null, [2]]
+        ]);
+        const page = await FileHandler.readFile(`output/books/${bookName}/chapters/chapter1/page2.json`, true);
+        assert.strictEqual(page.content, 'Patched in batch.');
+    });
+});
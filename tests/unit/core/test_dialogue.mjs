@@ -0,0 +1,99 @@
+import { DialogueValidator, VoiceProfiles } from '../../../src/core/dialogue.mjs';
+import { createBookPageByPage } from '../../../src/core/createbook.mjs';
+import { createDrakeConfig } from '../../../src/config/templates/drake_legacy.js';
+import { MockProvider } from '../../../src/providers/mock_provider.mjs';
+import { FileHandler } from '../../../src/utils/file_handler.mjs';
+import assert from 'assert';
+
+const bookName = 'dialogue_test_book';
+
+const voices = [
+    { name: 'John Drake', aliases: ['John'], communication: 'signed', quirks: ['Fingerspells names'] },
+    { name: 'Mr. Reynolds', aliases: ['Reynolds'], communication: 'both' },
+    { name: 'Mae', communication: 'spoken', vocabulary: 'Slang' }
+];
+const dialogueFormat = { signed: '<>', spoken: '""' };
+
+const wrongPage = [
+    'The gym was empty when they arrived.',
+    '"Keep your guard up," John said.',
+    'Mae laughed. <You always say that.>'
+].join('\n\n');
+
+describe('Dialogue Tests', () => {
+    afterEach(async () => {
+        await FileHandler.removeDirectory(`output/books/${bookName}`);
+    });
+
+    it('should describe voice profiles and find them by alias', () => {
+        const profiles = new VoiceProfiles(voices);
+        assert.strictEqual(profiles.find('john').name, 'John Drake');
+        assert.strictEqual(profiles.describe().split('\n')[0],
+            '- John Drake (also John): communicates only in sign; every line is signed dialogue. Quirks: Fingerspells names');
+        assert.match(profiles.describe(), /- Mae: speaks aloud; every line is spoken dialogue\. Vocabulary: Slang/);
+    });
+
+    it('should flag lines in the wrong format for their speaker', () => {
+        const validator = new DialogueValidator({ voices, dialogueFormat });
+        assert.deepStrictEqual(validator.validate(wrongPage), [
+            { type: 'wrong-format', speaker: 'John Drake', expected: 'signed', found: 'spoken', line: '"Keep your guard up,"' },
+            { type: 'wrong-format', speaker: 'Mae', expected: 'spoken', found: 'signed', line: '<You always say that.>' }
+        ]);
+
+        assert.deepStrictEqual(validator.validate([
+            '<Keep your guard up,> John signed.',
+            '"Again," Reynolds said, and then <Slower,> he signed.',
+            'Mae grinned. “Show-off.”'
+        ].join('\n\n')), []);
+    });
+
+    it('should flag lines whose narration contradicts their marks', () => {
+        const validator = new DialogueValidator({ voices, dialogueFormat });
+        assert.deepStrictEqual(validator.validate('"Not yet," the stranger signed.\n\n<Run!> the coach shouted.'), [
+            { type: 'verb-mismatch', speaker: null, expected: 'signed', found: 'spoken', line: '"Not yet,"' },
+            { type: 'verb-mismatch', speaker: null, expected: 'spoken', found: 'signed', line: '<Run!>' }
+        ]);
+
+        // Without marks for signed dialogue there is nothing to check
+        assert.deepStrictEqual(new DialogueValidator({ voices, dialogueFormat: { standard: '""' } }).validate(wrongPage), []);
+    });
+
+    it('should rewrite pages with dialogue in the wrong format before saving them', async () => {
+        const provider = new MockProvider({
+            responders: {
+                page: () => '"We start again tomorrow," John said.',
+                dialogue: () => '<We start again tomorrow,> John signed.'
+            }
+        });
+        const result = await createBookPageByPage('Theme', 1, 1, null, bookName, {
+            provider,
+            bookConfig: createDrakeConfig({ totalChapters: 1, pagesPerChapter: 1 }),
+            dialogue: { rewrite: true }
+        });
+
+        const pageCall = provider.calls.find(call => call.context.task === 'page');
+        assert.match(pageCall.params.messages[0].content, /Character voices:\n- John Drake \(also John\): communicates only in sign/);
+        assert.match(pageCall.params.messages[0].content, /- Mr\. Reynolds \(also Reynolds\): both signs and speaks/);
+        const rewriteCall = provider.calls.find(call => call.context.task === 'dialogue');
+        assert.match(rewriteCall.params.messages[1].content, /"We start again tomorrow," is marked as spoken dialogue, but John Drake only uses signed dialogue/);
+        assert.strictEqual((await FileHandler.readFile(result.compiledBook.json, true))[1][1], '<We start again tomorrow,> John signed.');
+
+        const report = await FileHandler.readFile(`output/books/${bookName}/metadata/dialogue_report.json`, true);
+        assert.deepStrictEqual(report.summary, { pages: 1, flagged: 1, rewrites: 1, unresolved: 0 });
+    });
+
+    it('should only report dialogue in the wrong format without the rewrite option', async () => {
+        const provider = new MockProvider({
+            responders: { page: () => '"We start again tomorrow," John said.' }
+        });
+        const result = await createBookPageByPage('Theme', 1, 1, null, bookName, {
+            provider,
+            bookConfig: createDrakeConfig({ totalChapters: 1, pagesPerChapter: 1 })
+        });
+
+        assert.ok(!provider.calls.some(call => call.context.task === 'dialogue'));
+        assert.strictEqual((await FileHandler.readFile(result.compiledBook.json, true))[1][1], '"We start again tomorrow," John said.');
+        const report = await FileHandler.readFile(`output/books/${bookName}/metadata/dialogue_report.json`, true);
+        assert.deepStrictEqual(report.summary, { pages: 1, flagged: 1, rewrites: 0, unresolved: 1 });
+    });
+});
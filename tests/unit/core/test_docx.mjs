@@ -0,0 +1,66 @@
+import JSZip from 'jszip';
+import { buildManuscript } from '../../../src/core/docx.mjs';
+import { exportBook as book } from '../../config/test_data.js';
+import assert from 'assert';
+
+async function documentXml(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    return {
+        document: await zip.file('word/document.xml').async('string'),
+        settings: await zip.file('word/settings.xml').async('string'),
+        headers: await Promise.all(zip.file(/^word\/header\d+\.xml$/).map(file => file.async('string'))),
+        footers: await Promise.all(zip.file(/^word\/footer\d+\.xml$/).map(file => file.async('string')))
+    };
+}
+
+// Paragraph styles and text of the body, in order
+function paragraphs(document) {
+    return [...document.matchAll(/<w:p>(.*?)<\/w:p>/g)].map(([, paragraph]) => ({
+        style: /<w:pStyle w:val="([^"]+)"\/>/.exec(paragraph)?.[1],
+        pageBreakBefore: paragraph.includes('<w:pageBreakBefore/>'),
+        text: [...paragraph.matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g)].map(match => match[1]).join('')
+    })).filter(paragraph => paragraph.text);
+}
+
+describe('DOCX Tests', () => {
+    it('should run the chapters continuously under headings with styled paragraphs', async () => {
+        const { document } = await documentXml(await buildManuscript(book));
+        const body = paragraphs(document).slice(3);
+
+        assert.deepStrictEqual(body.map(({ style, text }) => [style, text]), [
+            ['Heading1', 'Chapter 1: Awakening'],
+            ['chapterSubtitle', 'It begins'],
+            ['dialogue', '&lt;Hello,&gt; John signed.'],
+            ['sceneBreak', '* * *'],
+            ['dialogue', '&quot;Hi,&quot; Mae said.'],
+            ['bodyText', 'Page two.'],
+            ['Heading1', 'Chapter 2: The Gym'],
+            ['dialogue', '&quot;Ready?&quot; Mae said.']
+        ]);
+        assert.deepStrictEqual(body.filter(paragraph => paragraph.pageBreakBefore).map(paragraph => paragraph.text), ['Chapter 2: The Gym']);
+        assert.doesNotMatch(document, /Page \d/);
+    });
+
+    it('should set scene breaks with the configured marker', async () => {
+        const custom = { ...book, sceneBreakMarker: '~', chapters: [{ number: 1, title: 'Awakening', pages: ['One.\n\n~\n\nTwo.'] }] };
+        const { document } = await documentXml(await buildManuscript(custom));
+
+        assert.deepStrictEqual(paragraphs(document).filter(paragraph => paragraph.style === 'sceneBreak').map(paragraph => paragraph.text), ['~']);
+    });
+
+    it('should open with a title page and a table of contents field', async () => {
+        const { document, settings, headers, footers } = await documentXml(await buildManuscript(book));
+        const [title, author, contents] = paragraphs(document);
+
+        assert.deepStrictEqual([title.style, title.text], ['bookTitle', 'Drake Legacy']);
+        assert.deepStrictEqual([author.style, author.text], ['bookAuthor', 'Charlie Reeves']);
+        assert.ok(contents.pageBreakBefore);
+        assert.match(document, /<w:instrText xml:space="preserve">TOC \\h \\o &quot;1-1&quot;<\/w:instrText>/);
+        assert.match(settings, /<w:updateFields\/>/);
+
+        // The chapters section numbers its pages from 1 under running headers
+        assert.match(document, /<w:headerReference w:type="even" r:id="\w+"\/>.*<w:pgNumType w:start="1"\/>/);
+        assert.deepStrictEqual(headers.map(header => /<w:t[^>]*>([^<]*)<\/w:t>/.exec(header)[1]).sort(), ['CHARLIE REEVES', 'DRAKE LEGACY']);
+        assert.ok(footers.every(footer => footer.includes('PAGE')));
+    });
+});
@@ -0,0 +1,59 @@
+import JSZip from 'jszip';
+import { buildEpub, bookIdentifier } from '../../../src/core/epub.mjs';
+import { exportBook } from '../../config/test_data.js';
+import assert from 'assert';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47]);
+
+const book = {
+    ...exportBook,
+    identifier: bookIdentifier('epub_test_book'),
+    title: 'Drake & Sons',
+    modified: new Date('2024-05-01T10:20:30.456Z'),
+    cover: Buffer.concat([PNG_SIGNATURE, Buffer.from('image')])
+};
+
+describe('EPUB Tests', () => {
+    it('should store an uncompressed mimetype as the first entry', async () => {
+        const buffer = await buildEpub(book);
+        // Local file header: compression method at offset 8, file name at offset 30
+        assert.strictEqual(buffer.readUInt16LE(8), 0);
+        assert.strictEqual(buffer.toString('ascii', 30, 38), 'mimetype');
+        assert.strictEqual(buffer.toString('ascii', 38, 58), 'application/epub+zip');
+    });
+
+    it('should write the package document, navigation and chapters in order', async () => {
+        const zip = await JSZip.loadAsync(await buildEpub(book));
+        const opf = await zip.file('OEBPS/content.opf').async('string');
+
+        assert.match(opf, /<dc:identifier id="book-id">urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}<\/dc:identifier>/);
+        assert.match(opf, /<dc:title id="title">Drake &amp; Sons<\/dc:title>/);
+        assert.match(opf, /<dc:language>en<\/dc:language>/);
+        assert.match(opf, /<dc:subject>martial arts<\/dc:subject>\n<dc:subject>fantasy<\/dc:subject>/);
+        assert.match(opf, /<meta property="dcterms:modified">2024-05-01T10:20:30Z<\/meta>/);
+        assert.match(opf, /<item id="cover-image" href="images\/cover.png" media-type="image\/png" properties="cover-image" \/>/);
+        assert.deepStrictEqual([...opf.matchAll(/<itemref idref="([^"]+)" \/>/g)].map(match => match[1]),
+            ['cover', 'title-page', 'chapter-1', 'chapter-2']);
+
+        const nav = await zip.file('OEBPS/nav.xhtml').async('string');
+        assert.match(nav, /<li><a href="chapter-1.xhtml">Chapter 1: Awakening<\/a><\/li>\n<li><a href="chapter-2.xhtml">Chapter 2: The Gym<\/a><\/li>/);
+
+        const chapter = await zip.file('OEBPS/chapter-1.xhtml').async('string');
+        assert.match(chapter, /<html xmlns="http:\/\/www.w3.org\/1999\/xhtml" xmlns:epub="http:\/\/www.idpf.org\/2007\/ops" xml:lang="en" lang="en">/);
+        assert.match(chapter, /<p class="chapter-subtitle">It begins<\/p>/);
+        assert.match(chapter, /<p>&lt;Hello,&gt; John signed.<\/p>\n<hr class="scene-break" \/>\n<p>&quot;Hi,&quot; Mae said.<\/p>\n<p>Page two.<\/p>/);
+        assert.match(await zip.file('OEBPS/styles.css').async('string'), /hr\.scene-break::after \{ content: "\* \* \*"; \}/);
+    });
+
+    it('should show the configured scene break marker', async () => {
+        const custom = {
+            ...book,
+            sceneBreakMarker: '~ "o" ~',
+            chapters: [{ number: 1, title: 'Awakening', pages: ['One.\n\n~ "o" ~\n\nTwo.'] }]
+        };
+        const zip = await JSZip.loadAsync(await buildEpub(custom));
+
+        assert.match(await zip.file('OEBPS/chapter-1.xhtml').async('string'), /<p>One.<\/p>\n<hr class="scene-break" \/>\n<p>Two.<\/p>/);
+        assert.match(await zip.file('OEBPS/styles.css').async('string'), /hr\.scene-break::after \{ content: "~ \\"o\\" ~"; \}/);
+    });
+});
@@ -0,0 +1,33 @@
+import { buildHtmlSite } from '../../../src/core/html_site.mjs';
+import { exportBook } from '../../config/test_data.js';
+import assert from 'assert';
+
+const book = {
+    ...exportBook,
+    title: 'Drake & Sons',
+    chapters: [...exportBook.chapters, { number: 3, pages: ['Third chapter.'] }]
+};
+
+describe('HTML Site Tests', () => {
+    it('should write an index and chapter pages linked to each other', () => {
+        const files = Object.fromEntries(buildHtmlSite(book).map(file => [file.path, file.content]));
+        assert.deepStrictEqual(Object.keys(files), ['styles.css', 'index.html', 'chapter-1.html', 'chapter-2.html', 'chapter-3.html']);
+
+        assert.match(files['index.html'], /<h1>Drake &amp; Sons<\/h1>/);
+        assert.match(files['index.html'], /<p class="start"><a href="chapter-1.html">Start reading<\/a><\/p>/);
+        assert.match(files['index.html'], /<li value="2"><a href="chapter-2.html">Chapter 2: The Gym<\/a><\/li>\n<li value="3"><a href="chapter-3.html">Chapter 3<\/a><\/li>/);
+
+        const middle = files['chapter-2.html'];
+        assert.match(middle, /<link rel="prev" href="chapter-1.html" \/>\n<link rel="next" href="chapter-3.html" \/>/);
+        assert.match(middle, /<a rel="prev" href="chapter-1.html">&larr; Chapter 1: Awakening<\/a>\n<a href="index.html">Contents<\/a>\n<a rel="next" href="chapter-3.html">Chapter 3 &rarr;<\/a>/);
+        assert.match(files['chapter-1.html'], /<p>&lt;Hello,&gt; John signed.<\/p>\n<hr class="scene-break" \/>/);
+        assert.ok(!files['chapter-3.html'].includes('rel="next"'));
+        assert.match(files['styles.css'], /font-size: clamp\(/);
+        assert.match(files['styles.css'], /hr\.scene-break::after \{ content: "\* \* \*";/);
+    });
+
+    it('should show the configured scene break marker', () => {
+        const files = Object.fromEntries(buildHtmlSite({ ...book, sceneBreakMarker: '~' }).map(file => [file.path, file.content]));
+        assert.match(files['styles.css'], /hr\.scene-break::after \{ content: "~";/);
+    });
+});
@@ -0,0 +1,68 @@
+import { buildMarkdownFiles, escapeMarkdown } from '../../../src/core/markdown.mjs';
+import assert from 'assert';
+
+const book = {
+    title: 'Drake Legacy',
+    subtitle: 'The Fighter\'s Awakening',
+    author: 'Charlie Reeves',
+    language: 'en',
+    keywords: ['martial arts', 'fantasy'],
+    cover: Buffer.from('png'),
+    chapters: [
+        { number: 2, title: 'The Gym', pages: ['Second chapter.'] },
+        { number: 1, title: 'Awakening', subtitle: 'It "begins"', pages: ['<Hello,> John signed.\n\n* * *\n\n"Hi," Mae said.', 'Page *two*.'] }
+    ]
+};
+
+describe('Markdown Export Tests', () => {
+    it('should escape text Markdown would read as formatting', () => {
+        assert.strictEqual(escapeMarkdown('<Run!> he signed, *twice*.'), '\\<Run!\\> he signed, \\*twice\\*.');
+        assert.strictEqual(escapeMarkdown('# 1\n1. Not a list\n- nor this'), '\\# 1\n1\\. Not a list\n\\- nor this');
+    });
+
+    it('should write an index with front matter and one file per chapter', () => {
+        const files = Object.fromEntries(buildMarkdownFiles(book).map(file => [file.path, file.content]));
+        assert.deepStrictEqual(Object.keys(files), ['cover.png', 'index.md', 'chapter-1.md', 'chapter-2.md']);
+
+        assert.ok(files['index.md'].startsWith([
+            '---',
+            'title: "Drake Legacy"',
+            'subtitle: "The Fighter\'s Awakening"',
+            'author: "Charlie Reeves"',
+            'lang: "en"',
+            'keywords:',
+            '  - "martial arts"',
+            '  - "fantasy"',
+            '---',
+            '',
+            '# Drake Legacy'
+        ].join('\n')));
+        assert.match(files['index.md'], /!\[Cover of Drake Legacy\]\(cover\.png\)/);
+        assert.match(files['index.md'], /## Contents\n\n1\. \[Chapter 1: Awakening\]\(chapter-1\.md\)\n2\. \[Chapter 2: The Gym\]\(chapter-2\.md\)/);
+
+        assert.strictEqual(files['chapter-1.md'], [
+            '---',
+            'title: "Chapter 1: Awakening"',
+            'subtitle: "It \\"begins\\""',
+            'chapter: 1',
+            'book: "Drake Legacy"',
+            'author: "Charlie Reeves"',
+            'next: "chapter-2.md"',
+            '---',
+            '',
+            '# Chapter 1: Awakening',
+            '',
+            '*It "begins"*',
+            '',
+            '\\<Hello,\\> John signed.',
+            '',
+            '* * *',
+            '',
+            '"Hi," Mae said.',
+            '',
+            'Page \\*two\\*.',
+            ''
+        ].join('\n'));
+        assert.match(files['chapter-2.md'], /previous: "chapter-1\.md"/);
+    });
+});
@@ -0,0 +1,68 @@
+import { buildNarration } from '../../../src/core/narration.mjs';
+import { exportBook } from '../../config/test_data.js';
+import assert from 'assert';
+
+const book = {
+    ...exportBook,
+    voices: [{ name: 'John Drake', aliases: ['John'], communication: 'signed' }],
+    characters: [{ name: 'Mae Leigh', aliases: ['Mae'] }, { name: 'John Drake', aliases: ['John'] }],
+    chapters: [{
+        number: 1,
+        title: 'Awakening',
+        pages: ['John stepped into Lili’Van. <Where are we?> John asked.\n\n"Lili\'Van," Mae said.\n\n* * *\n\n<Hello,> John signed.']
+    }]
+};
+
+const lexicon = { "Lili'Van": 'LIL-ee vahn', 'Seelee Van': { ipa: 'ˈsiːli væn' } };
+
+function file(files, path) {
+    return files.find(entry => entry.path === path).content;
+}
+
+describe('Narration Tests', () => {
+    it('should tag narrator and character lines and pause at scene breaks', () => {
+        const script = file(buildNarration(book, { lexicon }), 'script.json');
+        const [heading, pause, first, second, sceneBreak, third] = script.chapters[0].blocks;
+
+        assert.deepStrictEqual(heading, { type: 'heading', text: 'Chapter 1: Awakening' });
+        assert.deepStrictEqual(pause, { type: 'pause', time: '1500ms', reason: 'chapter' });
+        assert.deepStrictEqual(first.segments.map(({ speaker, voice, mode, text }) => [speaker, voice, mode, text]), [
+            ['narrator', 'narrator', 'narration', 'John stepped into Lili’Van.'],
+            ['narrator', 'narrator', 'narration', 'John Drake signs:'],
+            ['John Drake', 'John Drake', 'signed', 'Where are we?'],
+            ['narrator', 'narrator', 'narration', 'John asked.']
+        ]);
+        assert.deepStrictEqual(second.segments[0], { speaker: 'Mae Leigh', voice: 'Mae Leigh', mode: 'spoken', text: "Lili'Van," });
+        assert.deepStrictEqual(sceneBreak, { type: 'pause', time: '2s', reason: 'scene-break' });
+        // The narration already says the line is signed
+        assert.deepStrictEqual(third.segments.map(segment => segment.text), ['Hello,', 'John signed.']);
+        assert.deepStrictEqual(script.speakers.map(entry => entry.speaker), ['narrator', 'John Drake', 'Mae Leigh']);
+    });
+
+    it('should write SSML with voices, breaks and the pronunciation lexicon', () => {
+        const files = buildNarration(book, { lexicon, voices: { narrator: 'en-US-Narrator' } });
+        const ssml = file(files, 'chapter-1.ssml');
+
+        assert.match(ssml, /<speak version="1.1" xmlns="http:\/\/www.w3.org\/2001\/10\/synthesis" xml:lang="en">/);
+        assert.match(ssml, /<lexicon uri="lexicon.pls" xml:id="names"\/>\n<lookup ref="names">/);
+        assert.match(ssml, /<voice name="en-US-Narrator">John stepped into <sub alias="LIL-ee vahn">Lili’Van<\/sub>.<\/voice>/);
+        assert.match(ssml, /<voice name="Mae Leigh"><sub alias="LIL-ee vahn">Lili&apos;Van<\/sub>,<\/voice>/);
+        assert.match(ssml, /<break time="2s"\/>/);
+
+        const pls = file(files, 'lexicon.pls');
+        assert.match(pls, /<lexicon version="1.0" xmlns="http:\/\/www.w3.org\/2005\/01\/pronunciation-lexicon" alphabet="ipa" xml:lang="en">/);
+        assert.match(pls, /<grapheme>Seelee Van<\/grapheme>\n<phoneme>ˈsiːli væn<\/phoneme>/);
+    });
+
+    it('should read signed dialogue by the configured convention', () => {
+        const narrated = file(buildNarration(book, { signedDialogue: 'narrator' }), 'chapter-1.ssml');
+        assert.match(narrated, /<voice name="narrator"><prosody rate="90%">Where are we\?<\/prosody><\/voice>/);
+        assert.doesNotMatch(narrated, /signs:/);
+        assert.doesNotMatch(narrated, /<lexicon/);
+
+        const voiced = file(buildNarration(book, { signedDialogue: 'character' }), 'script.json');
+        assert.deepStrictEqual(voiced.chapters[0].blocks[2].segments.map(segment => segment.voice), ['narrator', 'John Drake', 'narrator']);
+
+        assert.throws(() => buildNarration(book, { signedDialogue: 'subtitles' }), /Unknown signed dialogue convention subtitles/);
+    });
+});
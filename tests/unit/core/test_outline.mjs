@@ -0,0 +1,69 @@
+import { validateOutline, parseOutlineResponse, requestOutline, describeChapterOutline } from '../../../src/core/outline.mjs';
+import { MockProvider, DEFAULT_RESPONDERS } from '../../../src/providers/mock_provider.mjs';
+import assert from 'assert';
+
+const validOutline = {
+    chapters: [{
+        number: 1,
+        title: 'The Worn Mat',
+        subtitle: 'Where it starts',
+        summary: 'John meets his mentor.',
+        povCharacter: 'John Drake',
+        pages: [{ page: 1, beat: 'John arrives at the gym.' }, { page: 2, beat: 'The first lesson.' }]
+    }]
+};
+
+describe('Outline Tests', () => {
+    const messages = [{ role: 'user', content: 'Create a 1-chapter book. Each chapter has 2 pages.' }];
+
+    it('should report schema problems', () => {
+        assert.deepStrictEqual(validateOutline(validOutline, 1, 2), []);
+        assert.ok(validateOutline(validOutline, 2, 2).some(error => /expected 2 chapters/.test(error)));
+        assert.ok(validateOutline({ chapters: [{ ...validOutline.chapters[0], povCharacter: '' }] }, 1, 2)
+            .some(error => /povCharacter/.test(error)));
+        assert.deepStrictEqual(validateOutline('Free text outline', 1, 2), ['"chapters" must be an array']);
+    });
+
+    it('should report entries that are not chapters as schema problems, not as invalid JSON', () => {
+        assert.deepStrictEqual(validateOutline({ chapters: [null, 'Chapter 2'] }, 2, 2), [
+            'chapter 1 must be an object',
+            'chapter 2 must be an object'
+        ]);
+        assert.deepStrictEqual(parseOutlineResponse('{"chapters": [null]}', 1, 2), { errors: ['chapter 1 must be an object'] });
+        assert.match(parseOutlineResponse('not json', 1, 2).errors[0], /^response is not valid JSON/);
+        assert.strictEqual(parseOutlineResponse(JSON.stringify(validOutline), 1, 2).outline[1].title, 'The Worn Mat');
+    });
+
+    it('should re-request the outline until it validates', async () => {
+        const answers = ['Chapter 1: free text', JSON.stringify({ chapters: [] }), JSON.stringify(validOutline)];
+        const provider = new MockProvider({ responders: { outline: () => answers.shift() } });
+
+        const outline = await requestOutline(provider, messages, { chapters: 1, pagesPerChapter: 2 });
+        assert.strictEqual(outline[1].title, 'The Worn Mat');
+        assert.strictEqual(outline[1].pages[1].beat, 'The first lesson.');
+        assert.strictEqual(provider.calls.length, 3);
+        assert.match(provider.calls[2].params.messages.at(-1).content, /expected 1 chapters/);
+    });
+
+    it('should give up after the maximum number of attempts', async () => {
+        const provider = new MockProvider({ responders: { outline: () => 'not json' } });
+        await assert.rejects(
+            () => requestOutline(provider, messages, { chapters: 1, pagesPerChapter: 2, maxAttempts: 2 }),
+            /after 2 attempts/
+        );
+    });
+
+    it('should accept the mock provider outline', async () => {
+        const provider = new MockProvider({ responders: { outline: DEFAULT_RESPONDERS.outline } });
+        const outline = await requestOutline(provider, messages, { chapters: 1, pagesPerChapter: 2 });
+        assert.strictEqual(outline[1].pages.length, 2);
+    });
+
+    it('should describe the chapter and page beat for prompts', () => {
+        const description = describeChapterOutline({ 1: { ...validOutline.chapters[0] } }, 1, 1);
+        assert.match(description, /Chapter 1: The Worn Mat/);
+        assert.match(description, /This page: John arrives at the gym\./);
+        assert.match(description, /Next page \(do not write it yet\): The first lesson\./);
+        assert.strictEqual(describeChapterOutline('Legacy outline', 1, 1), 'Legacy outline');
+    });
+});
@@ -0,0 +1,122 @@
+import { createBookPageByPage } from '../../../src/core/createbook.mjs';
+import { BookManager } from '../../../src/core/book_manager.mjs';
+import { createDrakeConfig } from '../../../src/config/templates/drake_legacy.js';
+import { MockProvider } from '../../../src/providers/mock_provider.mjs';
+import { runWithConcurrency } from '../../../src/utils/concurrency.mjs';
+import { FileHandler } from '../../../src/utils/file_handler.mjs';
+import assert from 'assert';
+
+const bookName = 'parallel_test_book';
+
+// Mock whose page requests take a moment, so drafts overlap like real requests
+class SlowPageProvider extends MockProvider {
+    constructor(options) {
+        super(options);
+        this.inFlight = 0;
+        this.maxInFlight = 0;
+    }
+
+    async streamChatCompletion(params, context, onToken) {
+        this.inFlight++;
+        this.maxInFlight = Math.max(this.maxInFlight, this.inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        try {
+            return await super.streamChatCompletion(params, context, onToken);
+        } finally {
+            this.inFlight--;
+        }
+    }
+}
+
+describe('Parallel Drafting Tests', () => {
+    afterEach(async () => {
+        await FileHandler.removeDirectory(`output/books/${bookName}`);
+    });
+
+    it('should draft chapters concurrently and bridge their openings', async () => {
+        const provider = new SlowPageProvider();
+        const result = await createBookPageByPage('Theme', 4, 2, null, bookName, { provider, concurrency: 2 });
+
+        assert.strictEqual(provider.maxInFlight, 2);
+        assert.strictEqual(result.progressState.status, 'completed');
+        assert.deepStrictEqual(
+            [result.progressState.lastCompletedChapter, result.progressState.lastCompletedPage],
+            [4, 2]
+        );
+        assert.deepStrictEqual(result.progressState.pendingBridges, []);
+
+        const bridged = provider.calls.filter(call => call.context.task === 'bridge').map(call => call.context.chapter);
+        // Chapters 1 and 2 start together; later ones depend on timing
+        assert.strictEqual(bridged[0], 2);
+        assert.deepStrictEqual(bridged, [...new Set(bridged)].sort());
+
+        const state = await FileHandler.readFile(`output/books/${bookName}/metadata/book_state.json`, true);
+        assert.strictEqual(state.memory.digestedThrough, 4);
+        assert.deepStrictEqual(Object.keys(state.bookContent), ['1', '2', '3', '4']);
+    });
+
+    it('should review, summarize and extract the facts of a bridged opening', async () => {
+        const provider = new SlowPageProvider({ responders: { bridge: () => '"We start again," John said.' } });
+        await createBookPageByPage('Theme', 2, 1, null, bookName, {
+            provider,
+            concurrency: 2,
+            bookConfig: createDrakeConfig({ totalChapters: 2, pagesPerChapter: 1 })
+        });
+
+        const bridge = provider.calls.findIndex(call => call.context.task === 'bridge');
+        const after = provider.calls.slice(bridge + 1).map(call => [call.context.task, call.context.chapter, call.context.page ?? null]);
+        assert.deepStrictEqual(after.slice(0, 3), [['summary', 2, 1], ['metadata', 2, 1], ['summary', 2, null]]);
+
+        const state = await FileHandler.readFile(`output/books/${bookName}/metadata/book_state.json`, true);
+        assert.strictEqual(state.bookContent[2][1], '"We start again," John said.');
+        assert.match(state.memory.pageSummaries['2:1'], /We start again/);
+        const report = await FileHandler.readFile(`output/books/${bookName}/metadata/dialogue_report.json`, true);
+        const bridged = report.entries.find(entry => entry.chapter === 2 && entry.page === 1);
+        assert.match(bridged.findings[0].line, /We start again/);
+    });
+
+    it('should keep the book resumable when a parallel chapter fails', async () => {
+        const failing = new SlowPageProvider({
+            responders: {
+                page: (params, random, context) => {
+                    if (context.chapter === 2 && context.page === 2) throw new Error('Chapter 2 failed');
+                    return `Chapter ${context.chapter} page ${context.page}`;
+                }
+            }
+        });
+        await assert.rejects(
+            () => createBookPageByPage('Theme', 3, 2, null, bookName, { provider: failing, concurrency: 2 }),
+            /Chapter 2 failed/
+        );
+
+        const saved = new BookManager(bookName);
+        await saved.loadState();
+        assert.ok(saved.isChapterWritten(1, 2));
+        assert.ok(!saved.hasPage(2, 2));
+        assert.ok(!saved.hasPage(3, 1), 'no new chapter starts after a failure');
+
+        const provider = new SlowPageProvider();
+        const result = await createBookPageByPage('Theme', 3, 2, null, bookName, { provider, concurrency: 2 });
+        const pages = provider.calls
+            .filter(call => call.context.task === 'page')
+            .map(call => `${call.context.chapter}:${call.context.page}`)
+            .sort();
+        assert.deepStrictEqual(pages, ['2:2', '3:1', '3:2']);
+        assert.strictEqual(result.progressState.status, 'completed');
+    });
+
+    it('should limit how many workers run at once', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const done = [];
+        await runWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 6 - item));
+            running--;
+            done.push(item);
+        });
+        assert.strictEqual(maxRunning, 2);
+        assert.deepStrictEqual(done.sort(), [1, 2, 3, 4, 5]);
+    });
+});
@@ -0,0 +1,85 @@
+import zlib from 'zlib';
+import { buildPdf, resolveFonts } from '../../../src/core/pdf.mjs';
+import { exportBook } from '../../config/test_data.js';
+import assert from 'assert';
+
+const paragraph = 'The rain had not stopped for three days when John reached the gym on Ridgemont Street, and every window was fogged from the inside.';
+const longPage = Array.from({ length: 12 }, () => `${paragraph} ${paragraph}`).join('\n\n');
+
+const book = {
+    ...exportBook,
+    chapters: [
+        { number: 2, title: 'The Gym', pages: ['Short chapter.'] },
+        { number: 1, title: 'Awakening', pages: [longPage, `* * *\n\n${longPage}`] }
+    ]
+};
+
+function pageCount(pdf) {
+    return Number(/\/Type \/Pages\n\/Count (\d+)/.exec(pdf.toString('latin1'))[1]);
+}
+
+// x positions of the text drawn on the pages, read from the content streams
+function textPositions(pdf) {
+    const positions = new Set();
+    for (const [, stream] of pdf.toString('latin1').matchAll(/stream\r?\n([\s\S]*?)\r?\nendstream/g)) {
+        let content;
+        try {
+            content = zlib.inflateSync(Buffer.from(stream, 'latin1')).toString('latin1');
+        } catch {
+            continue;
+        }
+        for (const [, x] of content.matchAll(/1 0 0 -?1 ([\d.]+) [\d.]+ Tm/g)) {
+            positions.add(Number(x));
+        }
+    }
+    return positions;
+}
+
+describe('PDF Tests', () => {
+    it('should lay out the trim size with mirrored margins and chapters on odd pages', async () => {
+        const pdf = await buildPdf(book, { trimSize: '5.5x8.5' });
+        const text = pdf.toString('latin1');
+        assert.ok(text.startsWith('%PDF-'));
+        assert.match(text, /\/MediaBox \[0 0 396 612\]/);
+
+        // Inside margin 0.875in (63pt) on odd pages, outside 0.625in (45pt) on even ones
+        const positions = textPositions(pdf);
+        assert.ok(positions.has(63) && positions.has(45));
+
+        // Title page, blank, chapter 1 on page 3 running to an odd page, then
+        // chapter 2 on the next odd page after a blank
+        const pages = pageCount(pdf);
+        assert.strictEqual(pages % 2, 1);
+        const chapterOneOnly = pageCount(await buildPdf({ ...book, chapters: [book.chapters[1]] }, { trimSize: '5.5x8.5' }));
+        assert.strictEqual(pages, chapterOneOnly % 2 === 1 ? chapterOneOnly + 2 : chapterOneOnly + 1);
+    });
+
+    it('should give front matter its own page and open back matter on an odd page', async () => {
+        const section = { id: 'dedication', heading: null, layout: 'centered', paragraphs: ['For Mae.'] };
+        const pdf = await buildPdf({
+            ...book,
+            titlePage: false,
+            frontMatter: [section],
+            backMatter: [{ id: 'about-the-author', heading: 'About the Author', layout: 'prose', paragraphs: ['Short.'] }],
+            chapters: [book.chapters[0]]
+        });
+        // Dedication, blank, chapter, blank, about the author
+        assert.strictEqual(pageCount(pdf), 5);
+    });
+
+    it('should embed the bundled TrueType fonts', async () => {
+        assert.match(resolveFonts().regular, /DejaVuSerif\.ttf$/);
+        const text = (await buildPdf(book)).toString('latin1');
+        assert.match(text, /\/FontFile2/);
+        assert.doesNotMatch(text, /\/BaseFont \/Times/);
+        assert.match(text, /\/MediaBox \[0 0 432 648\]/);
+    });
+
+    it('should refuse to build a PDF without a font to embed', () => {
+        assert.throws(() => buildPdf(book, { fonts: { regular: '/missing/font.ttf' } }), /No TrueType font to embed in the PDF: \/missing\/font\.ttf/);
+    });
+
+    it('should reject unknown trim sizes', () => {
+        assert.throws(() => buildPdf(book, { trimSize: 'A4' }), /Unknown trim size A4/);
+    });
+});
@@ -0,0 +1,52 @@
+import { PromptBuilder } from '../../../src/core/prompt_builder.mjs';
+import { TemplateLoader } from '../../../src/config/template_loader.mjs';
+import { createBookPageByPage } from '../../../src/core/createbook.mjs';
+import { MockProvider } from '../../../src/providers/mock_provider.mjs';
+import { FileHandler } from '../../../src/utils/file_handler.mjs';
+import assert from 'assert';
+
+describe('PromptBuilder Tests', () => {
+    const loader = new TemplateLoader();
+
+    afterEach(async () => {
+        await FileHandler.removeDirectory('output/books/prompt_test_book');
+    });
+
+    it('should include the template style guide and format in page prompts', () => {
+        const prompts = new PromptBuilder(loader.loadTemplate('drake_legacy', { pageLength: 400 }));
+        const [system, user] = prompts.pageMessages({ chapter: 2, page: 1, pagesPerChapter: 7, outline: 'Outline' });
+
+        assert.match(system.content, /^You are writing "Drake Legacy"/);
+        assert.match(system.content, /Point of view: Third person limited/);
+        assert.match(system.content, /signed dialogue wrapped in < and >/);
+        assert.match(user.content, /approximately 400 words/);
+        assert.match(user.content, /\* \* \*/);
+        assert.strictEqual(prompts.pageMaxTokens, 1000);
+    });
+
+    it('should change the prompts when the tone changes', () => {
+        const light = new PromptBuilder(loader.loadTemplate('drake_legacy', { tone: 'Light and adventurous' }));
+        const dark = new PromptBuilder(loader.loadTemplate('drake_legacy', { tone: 'Dark and introspective' }));
+
+        assert.match(light.systemMessage(), /Tone: Light and adventurous/);
+        assert.match(dark.outlineMessages('Theme', 8, 3)[0].content, /dark and introspective tone/);
+    });
+
+    it('should fall back to the base book config', () => {
+        const prompts = new PromptBuilder();
+        assert.match(prompts.systemMessage(), /Tone: Neutral/);
+        assert.strictEqual(prompts.pageLength, 500);
+    });
+
+    it('should send the template prompts through createBookPageByPage', async () => {
+        const provider = new MockProvider();
+        const bookConfig = loader.loadTemplate('drake_legacy', { tone: 'Light and adventurous' });
+        await createBookPageByPage('Theme', 1, 1, null, 'prompt_test_book', { provider, bookConfig });
+
+        const writingCalls = provider.calls.filter(call => ['outline', 'page'].includes(call.context.task));
+        assert.strictEqual(writingCalls.length, 2);
+        for (const call of writingCalls) {
+            assert.match(call.params.messages[0].content, /Tone: Light and adventurous/);
+        }
+    });
+});
@@ -0,0 +1,110 @@
+import { RepetitionDetector, ngramOverlap, paragraphSimilarity } from '../../../src/core/repetition.mjs';
+import { BookManager } from '../../../src/core/book_manager.mjs';
+import { createBookPageByPage } from '../../../src/core/createbook.mjs';
+import { MockProvider } from '../../../src/providers/mock_provider.mjs';
+import { FileHandler } from '../../../src/utils/file_handler.mjs';
+import assert from 'assert';
+
+const bookName = 'repetition_test_book';
+
+const firstPage = [
+    'The rain had not stopped for three days when John reached the gym on Ridgemont Street.',
+    'Mr. Reynolds stood by the heavy bag with his arms folded, watching the door as if he had been waiting for hours.'
+].join('\n\n');
+
+const freshPage = [
+    'By morning the streets were dry and the whole town smelled of cut grass and diesel.',
+    'John signed a greeting to the bus driver, who grinned and waved him toward the back seats.'
+].join('\n\n');
+
+// Writes the first page again until `repeats` drafts have been written
+function repeatingProvider(repeats) {
+    let drafts = 0;
+    return new MockProvider({
+        responders: {
+            page: () => (drafts++ <= repeats ? firstPage : `${freshPage}\n\nDraft ${drafts}.`)
+        }
+    });
+}
+
+describe('Repetition Tests', () => {
+    afterEach(async () => {
+        await FileHandler.removeDirectory(`output/books/${bookName}`);
+    });
+
+    it('should measure n-gram overlap and paragraph similarity', () => {
+        assert.strictEqual(ngramOverlap(firstPage, firstPage), 1);
+        assert.strictEqual(ngramOverlap(freshPage, firstPage), 0);
+        assert.ok(paragraphSimilarity(
+            'Mr. Reynolds stood by the heavy bag with his arms folded, watching the door.',
+            'Mr. Reynolds stood by the heavy bag with his arms folded, watching the window.'
+        ) > 0.7);
+    });
+
+    it('should report repeated openings and near-duplicate paragraphs', () => {
+        const detector = new RepetitionDetector();
+        const earlier = [{ chapter: 1, page: 1, content: firstPage }];
+        const rewritten = [
+            'The rain had not stopped for three days when John reached the old diner instead.',
+            freshPage,
+            'Mr. Reynolds stood by the heavy bag with his arms folded, watching the door as if he had been waiting for days.'
+        ].join('\n\n');
+
+        const findings = detector.findRepetition(rewritten, earlier);
+        assert.deepStrictEqual(findings.map(finding => finding.type), ['ngram-overlap', 'repeated-opening', 'near-duplicate-paragraph']);
+        assert.deepStrictEqual(findings[2].against, { chapter: 1, page: 1 });
+        assert.match(findings[2].excerpt, /^Mr\. Reynolds stood/);
+        assert.deepStrictEqual(detector.findRepetition(freshPage, earlier), []);
+    });
+
+    it('should regenerate a page that repeats an earlier one and record it', async () => {
+        const provider = repeatingProvider(1);
+        await createBookPageByPage('Theme', 1, 2, null, bookName, { provider });
+
+        const page = await FileHandler.readFile(`output/books/${bookName}/chapters/chapter1/page2.json`, true);
+        assert.match(page.content, /^By morning the streets were dry/);
+
+        const regenerate = provider.calls.filter(call => call.context.task === 'page')[2];
+        assert.strictEqual(regenerate.context.page, 2);
+        assert.match(regenerate.params.messages[1].content, /rejected because it repeated earlier pages\. It:\n- reused much of the wording of chapter 1, page 1/);
+
+        const report = await FileHandler.readFile(`output/books/${bookName}/metadata/repetition_report.json`, true);
+        assert.deepStrictEqual(report.summary, { pages: 1, regenerations: 1, unresolved: 0 });
+        assert.deepStrictEqual(report.entries[0].rejected[0].findings.map(finding => finding.type), [
+            'ngram-overlap',
+            'repeated-opening',
+            'near-duplicate-paragraph',
+            'near-duplicate-paragraph'
+        ]);
+    });
+
+    it('should keep the last draft when regenerating does not help', async () => {
+        const provider = repeatingProvider(10);
+        await createBookPageByPage('Theme', 1, 2, null, bookName, { provider, repetition: { maxRegenerations: 1 } });
+
+        const report = await FileHandler.readFile(`output/books/${bookName}/metadata/repetition_report.json`, true);
+        assert.deepStrictEqual(report.summary, { pages: 1, regenerations: 1, unresolved: 1 });
+        const page = await FileHandler.readFile(`output/books/${bookName}/chapters/chapter1/page2.json`, true);
+        assert.strictEqual(page.content, firstPage);
+    });
+
+    it('should not check pages when turned off', async () => {
+        const provider = repeatingProvider(10);
+        await createBookPageByPage('Theme', 1, 2, null, bookName, { provider, repetition: false });
+
+        assert.strictEqual(provider.calls.filter(call => call.context.task === 'page').length, 2);
+        await assert.rejects(() => FileHandler.readFile(`output/books/${bookName}/metadata/repetition_report.json`), { code: 'ENOENT' });
+    });
+
+    it('should remove the report once a later run clears its findings', async () => {
+        const reportPath = `output/books/${bookName}/metadata/repetition_report.json`;
+        const manager = new BookManager(bookName);
+        manager.repetitionReport.record(1, 2, { findings: [{ type: 'repeated-opening' }], rejected: [] });
+        await manager.saveState();
+        assert.strictEqual((await FileHandler.readFile(reportPath, true)).summary.pages, 1);
+
+        manager.repetitionReport.record(1, 2, { findings: [], rejected: [] });
+        await manager.saveState();
+        await assert.rejects(() => FileHandler.readFile(reportPath), { code: 'ENOENT' });
+    });
+});
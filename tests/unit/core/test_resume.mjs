@@ -0,0 +1,52 @@
+import { createBookPageByPage } from '../../../src/core/createbook.mjs';
+import { BookManager } from '../../../src/core/book_manager.mjs';
+import { MockProvider } from '../../../src/providers/mock_provider.mjs';
+import { FileHandler } from '../../../src/utils/file_handler.mjs';
+import assert from 'assert';
+
+const bookName = 'resume_test_book';
+
+function pageCalls(provider) {
+    return provider.calls
+        .filter(call => call.context.task === 'page')
+        .map(call => `${call.context.chapter}:${call.context.page}`);
+}
+
+describe('Page-level Resume Tests', () => {
+    afterEach(async () => {
+        await FileHandler.removeDirectory(`output/books/${bookName}`);
+    });
+
+    it('should continue from the exact next page after a crash', async () => {
+        let pagesWritten = 0;
+        const crashing = new MockProvider({
+            responders: {
+                page: () => {
+                    if (++pagesWritten === 4) throw new Error('Crashed mid-chapter');
+                    return `Page text ${pagesWritten}`;
+                }
+            }
+        });
+        await assert.rejects(() => createBookPageByPage('Theme', 2, 3, null, bookName, { provider: crashing }));
+
+        const provider = new MockProvider();
+        await createBookPageByPage('Theme', 2, 3, null, bookName, { provider });
+
+        assert.deepStrictEqual(pageCalls(provider), ['2:1', '2:2', '2:3']);
+        const firstPage = await FileHandler.readFile(`output/books/${bookName}/chapters/chapter1/page1.json`, true);
+        assert.strictEqual(firstPage.content, 'Page text 1');
+    });
+
+    it('should restore pages that are on disk but missing from the state', async () => {
+        const bookManager = new BookManager(bookName);
+        await bookManager.saveProgress('First page', 1, 1);
+        await bookManager.writePageFiles('Second page', 1, 2);
+
+        const resumed = new BookManager(bookName);
+        await resumed.loadState();
+        await resumed.reconcilePages();
+
+        assert.strictEqual(resumed.bookContent[1][2], 'Second page');
+        assert.deepStrictEqual(resumed.findNextPage(1, 3), { chapter: 1, page: 3 });
+    });
+});
@@ -0,0 +1,123 @@
+import { StoryBible } from '../../../src/core/story_bible.mjs';
+import { BookManager } from '../../../src/core/book_manager.mjs';
+import { createBookPageByPage } from '../../../src/core/createbook.mjs';
+import { MockProvider } from '../../../src/providers/mock_provider.mjs';
+import { FileHandler } from '../../../src/utils/file_handler.mjs';
+import assert from 'assert';
+
+const bookName = 'story_bible_test_book';
+
+const pageExtractions = {
+    '1:1': {
+        characters: [
+            { name: 'Kai Drake', description: 'A deaf teenager training to fight.', physicalTraits: ['tall'], relationships: [{ name: 'Mr. Reynolds', relationship: 'coach' }] },
+            { name: 'Mr. Reynolds', aliases: ['Coach'], personalityTraits: ['patient'] }
+        ],
+        plotPoints: ['Kai starts training']
+    },
+    '1:2': {
+        characters: [
+            { name: 'Kai', aliases: ['Kai Drake'], description: 'A different description.', physicalTraits: ['Tall', 'scar over one eye'] },
+            { name: 'Coach', relationships: [{ name: 'Kai', relationship: 'mentor and friend' }] }
+        ]
+    }
+};
+
+describe('StoryBible Tests', () => {
+    afterEach(async () => {
+        await FileHandler.removeDirectory(`output/books/${bookName}`);
+    });
+
+    it('should merge extractions into canonical characters', () => {
+        const bible = new StoryBible();
+        bible.mergeExtraction(pageExtractions['1:1'], { chapter: 1, page: 1 });
+        bible.mergeExtraction(pageExtractions['1:2'], { chapter: 1, page: 2 });
+        bible.addCharacter('Coach', {}, { chapter: 3, page: 1 });
+
+        assert.deepStrictEqual(Object.keys(bible.characters), ['Kai Drake', 'Mr. Reynolds']);
+        const kai = bible.findCharacter('kai');
+        assert.strictEqual(kai.name, 'Kai Drake');
+        assert.deepStrictEqual(kai.aliases, ['Kai']);
+        assert.strictEqual(kai.description, 'A deaf teenager training to fight.');
+        assert.deepStrictEqual(kai.physicalTraits, ['tall', 'scar over one eye']);
+        assert.deepStrictEqual(kai.appearances, { 1: [1, 2] });
+
+        const coach = bible.findCharacter('Coach');
+        assert.deepStrictEqual(coach.firstAppearance, { chapter: 1, page: 1 });
+        assert.deepStrictEqual(coach.appearances, { 1: [1, 2], 3: [1] });
+        assert.deepStrictEqual(coach.relationships['Kai Drake'], { description: 'mentor and friend', since: { chapter: 1, page: 2 } });
+    });
+
+    it('should take string-valued lists as a single entry', () => {
+        const bible = new StoryBible();
+        bible.mergeExtraction({
+            characters: [{ name: 'John Drake', aliases: 'Johnny', physicalTraits: 'muscular build', personalityTraits: 'gentle' }]
+        }, { chapter: 1, page: 1 });
+
+        const john = bible.findCharacter('Johnny');
+        assert.strictEqual(john.name, 'John Drake');
+        assert.deepStrictEqual(john.aliases, ['Johnny']);
+        assert.deepStrictEqual(john.physicalTraits, ['muscular build']);
+        assert.deepStrictEqual(john.personalityTraits, ['gentle']);
+        assert.strictEqual(bible.findCharacter('J'), null);
+    });
+
+    it('should take a single character object as a one-entry list', () => {
+        const bible = new StoryBible();
+        const merged = bible.mergeExtraction({ characters: { name: 'John Drake', aliases: ['John'] } }, { chapter: 1, page: 1 });
+        assert.deepStrictEqual(merged.map(character => character.name), ['John Drake']);
+    });
+
+    it('should keep a string-valued list of plot points as one plot point', async () => {
+        const manager = new BookManager(bookName);
+        const provider = new MockProvider({
+            responders: { metadata: () => JSON.stringify({ characters: [], plotPoints: 'John finds the key' }) }
+        });
+        await manager.extractStoryFacts(provider, 1, 1, 'John finds the key.');
+        assert.deepStrictEqual([...manager.plotPoints], ['John finds the key']);
+    });
+
+    it('should keep appearances through saving and loading the book state', async () => {
+        const manager = new BookManager(bookName);
+        manager.storyBible.mergeExtraction(pageExtractions['1:1'], { chapter: 2, page: 3 });
+        await manager.saveState();
+
+        const loaded = new BookManager(bookName);
+        await loaded.loadState();
+        assert.deepStrictEqual(loaded.storyBible.findCharacter('Kai Drake').appearances, { 2: [3] });
+    });
+
+    it('should load characters saved before the registry existed', () => {
+        const bible = new StoryBible();
+        bible.load([['Kai', { details: 'The hero', firstAppearance: 2, appearances: {} }]]);
+        assert.strictEqual(bible.findCharacter('Kai').description, 'The hero');
+        assert.deepStrictEqual(bible.findCharacter('Kai').firstAppearance, { chapter: 2, page: null });
+    });
+
+    it('should extract characters while writing and export the story bible', async () => {
+        const provider = new MockProvider({
+            responders: {
+                metadata: (params, random, context) => JSON.stringify(pageExtractions[`${context.chapter}:${context.page}`] || { characters: [] })
+            }
+        });
+        const result = await createBookPageByPage('Theme', 1, 2, null, bookName, { provider });
+
+        const extractionPrompts = provider.calls.filter(call => call.context.task === 'metadata').map(call => call.params.messages[1].content);
+        assert.strictEqual(extractionPrompts.length, 2);
+        assert.match(extractionPrompts[1], /Known characters[^\n]*\nKai Drake\nMr\. Reynolds \(also Coach\)/);
+
+        const bible = await FileHandler.readFile(result.compiledBook.storyBible);
+        assert.match(bible, /### Kai Drake\n\n\*Also known as: Kai\*/);
+        assert.match(bible, /- \*\*Appears in:\*\* Chapter 1 \(pages 1, 2\)/);
+        assert.match(bible, /  - Kai Drake: mentor and friend \(since Chapter 1, page 2\)/);
+        assert.match(bible, /## Plot Points\n\n- Kai starts training/);
+    });
+
+    it('should treat an unparseable extraction as empty', async () => {
+        const bible = new StoryBible();
+        const provider = new MockProvider({ responders: { metadata: () => 'not json' } });
+        const extraction = await bible.extract(provider, 1, 1, 'Some text.');
+        assert.deepStrictEqual(extraction.characters, []);
+        assert.deepStrictEqual(bible.characters, {});
+    });
+});
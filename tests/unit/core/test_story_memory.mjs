@@ -0,0 +1,69 @@
+import { StoryMemory } from '../../../src/core/story_memory.mjs';
+import { createBookPageByPage } from '../../../src/core/createbook.mjs';
+import { MockProvider } from '../../../src/providers/mock_provider.mjs';
+import { FileHandler } from '../../../src/utils/file_handler.mjs';
+import { estimateTokens } from '../../../src/utils/tokens.mjs';
+import assert from 'assert';
+
+const bookContent = {
+    1: {
+        1: 'John walked into the gym. The lights hummed. Mr. Reynolds was waiting.',
+        2: 'They trained until dark. John felt the floor shake before the door opened.'
+    },
+    2: {
+        1: 'A stranger stood in the rain. He signed a name John had never seen.'
+    }
+};
+
+describe('StoryMemory Tests', () => {
+    afterEach(async () => {
+        await FileHandler.removeDirectory('output/books/memory_test_book');
+    });
+
+    it('should build context from summaries and the previous page', async () => {
+        const provider = new MockProvider();
+        const memory = new StoryMemory();
+        await memory.ensureSummaries(provider, bookContent, 2, 2, 2);
+
+        assert.ok(memory.pageSummaries['1:1']);
+        assert.ok(memory.chapterSummaries[1]);
+        assert.ok(memory.storySoFar);
+
+        const context = memory.buildContext(bookContent, 2, 2);
+        assert.match(context, /^Story so far:/);
+        assert.match(context, /Recent chapters:\nChapter 1:/);
+        assert.match(context, /End of the previous page:\nA stranger stood in the rain/);
+    });
+
+    it('should keep the context within the token budget', async () => {
+        const memory = new StoryMemory({ tokenBudget: 40, previousPageTokens: 10 });
+        memory.load({
+            storySoFar: 'Long digest. '.repeat(100),
+            chapterSummaries: { 1: 'Chapter summary. '.repeat(50) }
+        });
+
+        const context = memory.buildContext(bookContent, 2, 2);
+        assert.ok(estimateTokens(context) <= 60, `context used ${estimateTokens(context)} tokens`);
+        assert.match(context, /End of the previous page/);
+    });
+
+    it('should not recompute saved summaries', async () => {
+        const memory = new StoryMemory();
+        await memory.ensureSummaries(new MockProvider(), bookContent, 2, 2, 2);
+
+        const resumed = new StoryMemory();
+        resumed.load(JSON.parse(JSON.stringify(memory.toJSON())));
+        const provider = new MockProvider();
+        await resumed.ensureSummaries(provider, bookContent, 2, 2, 2);
+        assert.strictEqual(provider.calls.length, 0);
+    });
+
+    it('should persist summaries in the book state', async () => {
+        await createBookPageByPage('Theme', 2, 2, null, 'memory_test_book', { provider: new MockProvider() });
+        const state = await FileHandler.readFile('output/books/memory_test_book/metadata/book_state.json', true);
+
+        assert.strictEqual(Object.keys(state.memory.pageSummaries).length, 4);
+        assert.deepStrictEqual(Object.keys(state.memory.chapterSummaries), ['1', '2']);
+        assert.ok(state.memory.storySoFar);
+    });
+});
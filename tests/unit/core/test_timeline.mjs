@@ -0,0 +1,84 @@
+import { StoryTimeline } from '../../../src/core/timeline.mjs';
+import { StoryBible } from '../../../src/core/story_bible.mjs';
+import { createBookPageByPage } from '../../../src/core/createbook.mjs';
+import { MockProvider } from '../../../src/providers/mock_provider.mjs';
+import { FileHandler } from '../../../src/utils/file_handler.mjs';
+import assert from 'assert';
+
+const bookName = 'timeline_test_book';
+
+const developments = {
+    '1:1': [
+        { event: 'Kai arrives at the gym.', when: 'Day 1, evening', characters: ['Kai Drake'] },
+        { event: 'Kai\'s father leaves the family.', when: 'ten years earlier', characters: ['Kai'], flashback: true }
+    ],
+    '1:2': ['The lights go out.'],
+    '2:1': [{ event: 'Kai reaches the coast.', when: 'two days later', characters: ['Kai', 'Coach'] }]
+};
+
+describe('StoryTimeline Tests', () => {
+    afterEach(async () => {
+        await FileHandler.removeDirectory(`output/books/${bookName}`);
+    });
+
+    it('should record events per page with canonical character names', () => {
+        const bible = new StoryBible();
+        bible.addCharacter('Kai Drake', { aliases: ['Kai'] });
+        const timeline = new StoryTimeline();
+        timeline.addDevelopments(developments['2:1'], { chapter: 2, page: 1 }, bible);
+        timeline.addDevelopments(developments['1:1'], { chapter: 1, page: 1 }, bible);
+
+        assert.deepStrictEqual(timeline.events.map(event => [event.chapter, event.page, event.event]), [
+            [1, 1, 'Kai arrives at the gym.'],
+            [1, 1, 'Kai\'s father leaves the family.'],
+            [2, 1, 'Kai reaches the coast.']
+        ]);
+        assert.deepStrictEqual(timeline.events[2].characters, ['Kai Drake', 'Coach']);
+
+        // Extracting a page again replaces its events
+        timeline.addDevelopments(['Kai arrives late.'], { chapter: 1, page: 1 }, bible);
+        assert.deepStrictEqual(timeline.eventsAt(1).map(event => event.event), ['Kai arrives late.']);
+    });
+
+    it('should take a string-valued character list as one character', () => {
+        const bible = new StoryBible();
+        bible.addCharacter('Kai Drake', { aliases: ['Kai'] });
+        const timeline = new StoryTimeline();
+        timeline.addDevelopments({ event: 'Kai trains alone.', characters: 'Kai' }, { chapter: 1, page: 1 }, bible);
+
+        assert.deepStrictEqual(timeline.events.map(event => [event.event, event.characters]), [['Kai trains alone.', ['Kai Drake']]]);
+    });
+
+    it('should describe only the events told before a page', () => {
+        const timeline = new StoryTimeline({ promptEvents: 2 });
+        timeline.addDevelopments(developments['1:1'], { chapter: 1, page: 1 });
+        timeline.addDevelopments(developments['1:2'], { chapter: 1, page: 2 });
+        timeline.addDevelopments(developments['2:1'], { chapter: 2, page: 1 });
+
+        assert.strictEqual(timeline.describe(1, 2), [
+            '- Chapter 1, page 1: [Day 1, evening] Kai arrives at the gym. (Kai Drake)',
+            '- Chapter 1, page 1: [ten years earlier, flashback] Kai\'s father leaves the family. (Kai)'
+        ].join('\n'));
+        assert.match(timeline.describe(2), /^- Chapter 1, page 1: \[ten years earlier.*\n- Chapter 1, page 2: The lights go out\.$/);
+        assert.strictEqual(timeline.describe(1, 1), '');
+    });
+
+    it('should feed the timeline into page prompts and export it', async () => {
+        const provider = new MockProvider({
+            responders: {
+                metadata: (params, random, context) => JSON.stringify({
+                    characters: [],
+                    storyDevelopments: developments[`${context.chapter}:${context.page}`] || []
+                })
+            }
+        });
+        const result = await createBookPageByPage('Theme', 2, 2, null, bookName, { provider });
+
+        const secondPage = provider.calls.find(call => call.context.task === 'page' && call.context.chapter === 1 && call.context.page === 2);
+        assert.match(secondPage.params.messages[1].content, /Timeline so far \(keep ages, travel times and the order of events consistent with it\):\n- Chapter 1, page 1: \[Day 1, evening\] Kai arrives at the gym\./);
+
+        const exported = await FileHandler.readFile(result.compiledBook.timeline);
+        assert.match(exported, /## Chapter 1\n\n- \*\*Page 1\*\* \*Day 1, evening\*: Kai arrives at the gym\. \(Kai Drake\)\n- \*\*Page 1\*\* \*ten years earlier\* \(flashback\): /);
+        assert.match(exported, /## Chapter 2\n\n- \*\*Page 1\*\* \*two days later\*: Kai reaches the coast\./);
+    });
+});
@@ -0,0 +1,79 @@
+import { WorldRegistry } from '../../../src/core/world_registry.mjs';
+import { createBookPageByPage } from '../../../src/core/createbook.mjs';
+import { createDrakeConfig } from '../../../src/config/templates/drake_legacy.js';
+import { MockProvider } from '../../../src/providers/mock_provider.mjs';
+import { FileHandler } from '../../../src/utils/file_handler.mjs';
+import assert from 'assert';
+
+const bookName = 'world_test_book';
+
+describe('WorldRegistry Tests', () => {
+    afterEach(async () => {
+        await FileHandler.removeDirectory(`output/books/${bookName}`);
+    });
+
+    it('should seed the world from the template', () => {
+        const world = new WorldRegistry();
+        world.seed(createDrakeConfig());
+        world.seed(createDrakeConfig());
+
+        assert.deepStrictEqual(Object.keys(world.entries.locations), ["Lili'Van", 'Small town outside Detroit']);
+        assert.match(world.find('locations', "lili'van").description, /^A pocket dimension/);
+        assert.deepStrictEqual(Object.keys(world.entries.organizations), ['Lilian']);
+        assert.strictEqual(world.entries.organizations.Lilian.source, 'template');
+    });
+
+    it('should merge extracted entries by name and alias', () => {
+        const world = new WorldRegistry();
+        world.mergeExtraction({ locations: [{ name: 'Ridgemont Club', aliases: ['the club'], description: 'A boxing gym.' }] }, { chapter: 1, page: 2 });
+        world.mergeExtraction({
+            locations: [{ name: 'The Club', facts: ['Closes at nine.'] }],
+            artifacts: ['Silver bracer']
+        }, { chapter: 1, page: 1 });
+
+        const club = world.find('locations', 'Ridgemont Club');
+        assert.deepStrictEqual(club.aliases, ['the club']);
+        assert.deepStrictEqual(club.facts, ['Closes at nine.']);
+        assert.deepStrictEqual(club.mentions, { 1: [1, 2] });
+        assert.deepStrictEqual(club.firstMention, { chapter: 1, page: 1 });
+        assert.strictEqual(world.describe(), [
+            'Locations:',
+            '- Ridgemont Club (also the club): A boxing gym.; Closes at nine.',
+            'Artifacts:',
+            '- Silver bracer'
+        ].join('\n'));
+    });
+
+    it('should take string-valued lists as a single entry', () => {
+        const world = new WorldRegistry();
+        world.mergeExtraction({ locations: { name: 'Ridgemont Club', aliases: 'the club', facts: 'Closes at nine.' } }, { chapter: 1, page: 1 });
+
+        const club = world.find('locations', 'the club');
+        assert.deepStrictEqual([club.name, club.aliases, club.facts], ['Ridgemont Club', ['the club'], ['Closes at nine.']]);
+    });
+
+    it('should feed the template world and extracted places into page prompts', async () => {
+        const provider = new MockProvider({
+            responders: {
+                metadata: (params, random, context) => JSON.stringify({
+                    characters: [],
+                    world: context.page === 1 ? { locations: [{ name: 'The Gate', description: 'The way into Lili\'Van.' }] } : {}
+                })
+            }
+        });
+        const bookConfig = createDrakeConfig({ totalChapters: 1, pagesPerChapter: 2 });
+        const result = await createBookPageByPage('Theme', 1, 2, null, bookName, { provider, bookConfig });
+
+        const pagePrompts = provider.calls.filter(call => call.context.task === 'page').map(call => call.params.messages[1].content);
+        assert.match(pagePrompts[0], /The world of the book[^\n]*\nLocations:\n- Lili'Van: A pocket dimension[^\n]*\n- Small town outside Detroit\nOrganizations:\n- Lilian: /);
+        assert.ok(!pagePrompts[0].includes('The Gate'));
+        assert.match(pagePrompts[1], /- The Gate: The way into Lili'Van\./);
+
+        const extraction = provider.calls.filter(call => call.context.task === 'metadata')[1];
+        assert.match(extraction.params.messages[1].content, /Known world \(reuse these names\):\nLocations: Lili'Van, Small town outside Detroit, The Gate\n/);
+
+        const bible = await FileHandler.readFile(result.compiledBook.storyBible);
+        assert.match(bible, /## World\n\n### Locations\n\n- \*\*Lili'Van\*\*: A pocket dimension/);
+        assert.match(bible, /- \*\*The Gate\*\*: The way into Lili'Van\.\n  - First mentioned: Chapter 1, page 1/);
+    });
+});
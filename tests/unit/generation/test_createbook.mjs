@@ -0,0 +1,48 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { BookManager, createBookPageByPage } from '../../../src/generation/createbook.mjs';
+import { MockProvider } from '../../../src/providers/mock_provider.mjs';
+import assert from 'assert';
+
+// The legacy entry point writes into the working directory
+describe('Legacy Generation Tests', () => {
+    const cwd = process.cwd();
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'legacy-book-'));
+        process.chdir(directory);
+    });
+
+    afterEach(async () => {
+        process.chdir(cwd);
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should write a book through the provider', async () => {
+        const provider = new MockProvider();
+        const result = await createBookPageByPage('Theme', 2, 1, null, { provider });
+
+        assert.deepStrictEqual(Object.keys(result.bookContent), ['1', '2']);
+        assert.deepStrictEqual(result.compiledBook, { json: 'complete_book.json', docx: 'complete_book.docx' });
+        assert.ok(provider.calls.some(call => call.context.task === 'page'));
+        await fs.access('chapter2_page1.docx');
+    });
+
+    it('should export the book and format single texts', async () => {
+        const manager = new BookManager(new MockProvider());
+        manager.bookContent = { 1: { 1: 'One.\n\n* * *\n\nTwo.' } };
+
+        assert.strictEqual(await manager.exportToFormat('epub'), 'complete_book.epub');
+        assert.strictEqual(await manager.exportToFormat('pdf'), 'complete_book.pdf');
+        assert.strictEqual(await manager.exportToFormat('markdown'), 'complete_book_markdown/index.md');
+        assert.strictEqual(await manager.exportToFormat('html'), 'complete_book_html/index.html');
+        await Promise.all(['complete_book.epub', 'complete_book.pdf', 'complete_book_html/chapter-1.html'].map(file => fs.access(file)));
+
+        const html = await manager.formatContent('One.\n\n* * *\n\nTwo.', 'html');
+        assert.match(html, /<p>One.<\/p>\n<hr class="scene-break" \/>\n<p>Two.<\/p>/);
+        assert.match(await manager.formatContent('One.', 'epub'), /<p>One.<\/p>/);
+        assert.ok(Buffer.isBuffer(await manager.formatContent('One.', 'pdf')));
+    });
+});
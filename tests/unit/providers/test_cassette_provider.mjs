@@ -0,0 +1,56 @@
+import { CassetteProvider, cassetteKey } from '../../../src/providers/cassette_provider.mjs';
+import { MockProvider } from '../../../src/providers/mock_provider.mjs';
+import { FileHandler } from '../../../src/utils/file_handler.mjs';
+import { TestMode } from '../../config/test_mode.mjs';
+import assert from 'assert';
+
+const testMode = TestMode.getInstance();
+
+describe('CassetteProvider Tests', () => {
+    const directory = `${testMode.outputPath}/cassettes`;
+    const params = {
+        model: 'gpt-4-turbo',
+        messages: [{ role: 'user', content: 'Write page 2 of chapter 3.' }]
+    };
+
+    afterEach(async () => {
+        await FileHandler.removeDirectory(testMode.outputPath);
+    });
+
+    it('should replay a recorded response without calling the provider', async () => {
+        const recorder = new CassetteProvider(new MockProvider(), { mode: 'record', directory });
+        const recorded = await recorder.createChatCompletion(params, { task: 'page' });
+
+        const player = new CassetteProvider(null, { mode: 'replay', directory });
+        const replayed = await player.createChatCompletion(params, { task: 'page' });
+        assert.deepStrictEqual(replayed, recorded);
+    });
+
+    it('should fail in replay mode when no cassette exists', async () => {
+        const player = new CassetteProvider(null, { mode: 'replay', directory });
+        await assert.rejects(() => player.createChatCompletion(params, { task: 'page' }), /No cassette recorded/);
+    });
+
+    it('should refuse file and batch calls in replay mode', async () => {
+        const player = new CassetteProvider(null, { mode: 'replay', directory });
+        await assert.rejects(() => player.createBatch({ input_file_id: 'file-1' }), /createBatch is not supported in cassette replay mode/);
+        await assert.rejects(() => player.uploadFile({ file: Buffer.from('') }), /uploadFile is not supported in cassette replay mode/);
+        await assert.rejects(() => player.retrieveBatch('batch-1'), /retrieveBatch is not supported/);
+        await assert.rejects(() => player.cancelBatch('batch-1'), /cancelBatch is not supported/);
+        await assert.rejects(() => player.getFileContent('file-1'), /getFileContent is not supported/);
+    });
+
+    it('should only call the provider once in auto mode', async () => {
+        const inner = new MockProvider();
+        const provider = new CassetteProvider(inner, { mode: 'auto', directory });
+        await provider.createChatCompletion(params);
+        await provider.createChatCompletion(params);
+        assert.strictEqual(inner.calls.length, 1);
+    });
+
+    it('should key cassettes independently of property order', () => {
+        const reordered = { messages: params.messages, model: params.model };
+        assert.strictEqual(cassetteKey('chat', params), cassetteKey('chat', reordered));
+        assert.notStrictEqual(cassetteKey('chat', params), cassetteKey('chat', { ...params, temperature: 0.7 }));
+    });
+});
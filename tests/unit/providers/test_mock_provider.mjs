@@ -0,0 +1,51 @@
+import { MockProvider } from '../../../src/providers/mock_provider.mjs';
+import { createProvider } from '../../../src/providers/provider_factory.mjs';
+import { TestMode } from '../../config/test_mode.mjs';
+import assert from 'assert';
+
+describe('MockProvider Tests', () => {
+    const params = {
+        model: 'gpt-4-turbo',
+        messages: [{ role: 'user', content: 'Write page 1 of chapter 1.' }]
+    };
+
+    it('should return the same completion for the same request', async () => {
+        const first = await new MockProvider().createChatCompletion(params, { task: 'page' });
+        const second = await new MockProvider().createChatCompletion(params, { task: 'page' });
+        assert.strictEqual(first.choices[0].message.content, second.choices[0].message.content);
+        assert.ok(first.usage.total_tokens > 0);
+    });
+
+    it('should use custom responders for a task', async () => {
+        const provider = new MockProvider({ responders: { outline: () => 'Custom outline' } });
+        const completion = await provider.createChatCompletion(params, { task: 'outline' });
+        assert.strictEqual(completion.choices[0].message.content, 'Custom outline');
+    });
+
+    it('should stream the same answer word by word', async () => {
+        const provider = new MockProvider();
+        const tokens = [];
+        const streamed = await provider.streamChatCompletion(params, { task: 'page' }, token => tokens.push(token));
+        const plain = await provider.createChatCompletion(params, { task: 'page' });
+        assert.ok(tokens.length > 1);
+        assert.strictEqual(tokens.join(''), plain.choices[0].message.content);
+        assert.deepStrictEqual(streamed.usage, plain.usage);
+    });
+
+    it('should run batches against uploaded files', async () => {
+        const provider = new MockProvider();
+        const file = await provider.uploadFile({
+            file: JSON.stringify({ custom_id: 'chapter-1', method: 'POST', url: '/v1/chat/completions', body: params }),
+            purpose: 'batch'
+        });
+        const batch = await provider.createBatch({ input_file_id: file.id, endpoint: '/v1/chat/completions', completion_window: '24h' });
+        const output = await provider.getFileContent(batch.output_file_id);
+        assert.strictEqual(batch.status, 'completed');
+        assert.strictEqual(JSON.parse(output).custom_id, 'chapter-1');
+    });
+
+    it('should be selected by TestMode.useMocks', () => {
+        assert.ok(TestMode.getInstance().getProvider() instanceof MockProvider);
+        assert.ok(createProvider({ useMocks: true }) instanceof MockProvider);
+    });
+});
@@ -0,0 +1,65 @@
+import { RetryingProvider, RequestFailedError, classifyError, parseRetryAfter, ERROR_CATEGORIES } from '../../../src/providers/retrying_provider.mjs';
+import { MockProvider } from '../../../src/providers/mock_provider.mjs';
+import { createBookPageByPage } from '../../../src/core/createbook.mjs';
+import { FileHandler } from '../../../src/utils/file_handler.mjs';
+import assert from 'assert';
+
+function apiError(status, extra = {}) {
+    return Object.assign(new Error(`HTTP ${status}`), { status, headers: {} }, extra);
+}
+
+describe('RetryingProvider Tests', () => {
+    const params = { model: 'gpt-4-turbo', messages: [{ role: 'user', content: 'Hello' }] };
+
+    afterEach(async () => {
+        await FileHandler.removeDirectory('output/books/retry_test_book');
+    });
+
+    it('should classify errors', () => {
+        assert.strictEqual(classifyError(apiError(429)), ERROR_CATEGORIES.RETRYABLE);
+        assert.strictEqual(classifyError(apiError(429, { code: 'insufficient_quota' })), ERROR_CATEGORIES.QUOTA_EXHAUSTED);
+        assert.strictEqual(classifyError(apiError(503)), ERROR_CATEGORIES.RETRYABLE);
+        assert.strictEqual(classifyError(Object.assign(new Error('timeout'), { name: 'APIConnectionTimeoutError' })), ERROR_CATEGORIES.RETRYABLE);
+        assert.strictEqual(classifyError(apiError(400)), ERROR_CATEGORIES.FATAL);
+    });
+
+    it('should read Retry-After headers', () => {
+        assert.strictEqual(parseRetryAfter(apiError(429, { headers: { 'retry-after': '3' } })), 3000);
+        assert.strictEqual(parseRetryAfter(apiError(429, { headers: { 'retry-after-ms': '250' } })), 250);
+        assert.strictEqual(parseRetryAfter(apiError(429)), null);
+    });
+
+    it('should retry retryable errors with backoff and honour Retry-After', async () => {
+        const failures = [apiError(500), apiError(429, { headers: { 'retry-after': '7' } })];
+        const delays = [];
+        const provider = new RetryingProvider(new MockProvider({
+            responders: { default: () => { if (failures.length) throw failures.shift(); return 'ok'; } }
+        }), { baseDelayMs: 100, random: () => 1, sleep: async ms => delays.push(ms) });
+
+        const completion = await provider.createChatCompletion(params);
+        assert.strictEqual(completion.choices[0].message.content, 'ok');
+        assert.deepStrictEqual(delays, [100, 7000]);
+    });
+
+    it('should not retry when the quota is exhausted', async () => {
+        let calls = 0;
+        const provider = new RetryingProvider(new MockProvider({
+            responders: { default: () => { calls++; throw apiError(429, { code: 'insufficient_quota' }); } }
+        }), { sleep: async () => {} });
+
+        await assert.rejects(() => provider.createChatCompletion(params), (error) =>
+            error instanceof RequestFailedError && error.category === ERROR_CATEGORIES.QUOTA_EXHAUSTED);
+        assert.strictEqual(calls, 1);
+    });
+
+    it('should pause the book after repeated failures', async () => {
+        const provider = new RetryingProvider(new MockProvider({
+            responders: { page: () => { throw apiError(503); } }
+        }), { maxRetries: 2, sleep: async () => {} });
+
+        const result = await createBookPageByPage('Test theme', 1, 1, null, 'retry_test_book', { provider });
+        assert.strictEqual(result.progressState.status, 'paused');
+        assert.strictEqual(result.progressState.lastError.category, ERROR_CATEGORIES.RETRYABLE);
+        assert.strictEqual(result.progressState.lastError.attempts, 3);
+    });
+});
@@ -0,0 +1,22 @@
+import { findNamed, mergeNamed, mergeUnique, toList } from '../../../src/utils/names.mjs';
+import assert from 'assert';
+
+describe('Names Tests', () => {
+    it('should take single values as one-entry lists', () => {
+        assert.deepStrictEqual(toList('John finds the key'), ['John finds the key']);
+        assert.deepStrictEqual(toList({ name: 'John' }), [{ name: 'John' }]);
+        assert.deepStrictEqual(toList(null), []);
+        assert.deepStrictEqual(mergeUnique(['Tall'], ['tall', ' scar ', '']), ['Tall', 'scar']);
+    });
+
+    it('should merge entries by name or alias', () => {
+        const entries = {};
+        const created = mergeNamed(entries, ' Kai  Drake ', { description: 'A fighter.' }, () => ({ facts: [] }));
+        const merged = mergeNamed(entries, 'Kai', { aliases: ['Kai Drake'], description: 'Ignored.' }, () => ({ facts: [] }));
+
+        assert.strictEqual(merged, created);
+        assert.deepStrictEqual(entries, { 'Kai Drake': { name: 'Kai Drake', aliases: ['Kai'], description: 'A fighter.', facts: [] } });
+        assert.strictEqual(findNamed(entries, 'KAI'), created);
+        assert.strictEqual(findNamed(entries, ''), null);
+    });
+});
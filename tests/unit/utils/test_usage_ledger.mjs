@@ -0,0 +1,72 @@
+import { UsageLedger } from '../../../src/utils/usage_ledger.mjs';
+import { UsageTrackingProvider } from '../../../src/providers/usage_tracking_provider.mjs';
+import { MockProvider } from '../../../src/providers/mock_provider.mjs';
+import { createBookPageByPage } from '../../../src/core/createbook.mjs';
+import { FileHandler } from '../../../src/utils/file_handler.mjs';
+import { TestMode } from '../../config/test_mode.mjs';
+import assert from 'assert';
+
+const testMode = TestMode.getInstance();
+
+describe('UsageLedger Tests', () => {
+    afterEach(async () => {
+        await FileHandler.removeDirectory(testMode.outputPath);
+        await FileHandler.removeDirectory('output/books/ledger_test_book');
+    });
+
+    it('should attribute usage and cost to chapters and pages', () => {
+        const ledger = new UsageLedger('test_book');
+        ledger.record('gpt-4-turbo', { prompt_tokens: 1000, completion_tokens: 500 }, { task: 'page', chapter: 2, page: 1 });
+        ledger.record('gpt-4-turbo', { prompt_tokens: 1000, completion_tokens: 500 }, { task: 'outline' });
+
+        assert.strictEqual(ledger.totals.totalTokens, 3000);
+        assert.strictEqual(ledger.chapters[2].calls, 1);
+        assert.strictEqual(ledger.pages['2:1'].promptTokens, 1000);
+        assert.ok(Math.abs(ledger.chapters[2].cost - 0.025) < 1e-9);
+    });
+
+    it('should price batch usage at half the live price', () => {
+        const ledger = new UsageLedger('test_book', { budget: { maxCost: 0.02 } });
+        const live = ledger.record('gpt-4-turbo', { prompt_tokens: 1000, completion_tokens: 500 }, { task: 'page', chapter: 1, page: 1 });
+        const batch = ledger.record('gpt-4-turbo', { prompt_tokens: 1000, completion_tokens: 500 }, { task: 'page', chapter: 1, page: 2, batch: true });
+
+        assert.ok(Math.abs(live.cost - 0.025) < 1e-9);
+        assert.ok(Math.abs(batch.cost - 0.0125) < 1e-9);
+        assert.strictEqual(batch.batch, true);
+        assert.ok(Math.abs(ledger.totals.cost - 0.0375) < 1e-9);
+
+        const batchOnly = new UsageLedger('test_book', { budget: { maxCost: 0.02 } });
+        batchOnly.record('gpt-4-turbo', { prompt_tokens: 1000, completion_tokens: 500 }, { batch: true });
+        assert.strictEqual(batchOnly.checkBudget(), null);
+    });
+
+    it('should report when a budget is exceeded', () => {
+        const ledger = new UsageLedger('test_book', { budget: { maxTokens: 100 } });
+        assert.strictEqual(ledger.checkBudget(), null);
+        ledger.record('gpt-4-turbo', { prompt_tokens: 80, completion_tokens: 40 }, {});
+        assert.match(ledger.checkBudget(), /Token budget exceeded/);
+    });
+
+    it('should persist and reload the ledger', async () => {
+        const ledgerPath = `${testMode.outputPath}/usage_ledger.json`;
+        const ledger = new UsageLedger('test_book', { ledgerPath });
+        const provider = new UsageTrackingProvider(new MockProvider(), ledger);
+        await provider.createChatCompletion({ model: 'gpt-4-turbo', messages: [{ role: 'user', content: 'Hello' }] }, { chapter: 1, page: 1 });
+        await ledger.save();
+
+        const reloaded = new UsageLedger('test_book', { ledgerPath });
+        assert.strictEqual(await reloaded.load(), true);
+        assert.deepStrictEqual(reloaded.totals, ledger.totals);
+    });
+
+    it('should pause book creation when the budget is exhausted', async () => {
+        const result = await createBookPageByPage('Test theme', 2, 2, null, 'ledger_test_book', {
+            provider: testMode.getProvider(),
+            budget: { maxCost: 0.000001 }
+        });
+
+        assert.strictEqual(result.progressState.status, 'paused');
+        assert.match(result.progressState.pauseReason, /Cost budget exceeded/);
+        assert.strictEqual(result.compiledBook, null);
+    });
+});